@@ -0,0 +1,214 @@
+// lib/linkPreview.js
+// Fetches a page server-side and reads OpenGraph, Twitter-card and oEmbed metadata.
+// SSRF guard: http(s) only, no credentials in the URL, and every address a host resolves to
+// must be public. The check runs inside the request's own DNS lookup (and again on each
+// redirect), so a rebinding answer can't slip in between check and connect. Fetches are
+// capped in time and size. Caching is up to the caller (server.js keeps it in Mongo).
+import dns from 'dns'
+import net from 'net'
+import http from 'http'
+import https from 'https'
+import zlib from 'zlib'
+
+const PRIVATE_NETS = new net.BlockList()
+for (const [a, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) PRIVATE_NETS.addSubnet(a, bits, 'ipv4')
+for (const [a, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) PRIVATE_NETS.addSubnet(a, bits, 'ipv6') // ::/127 = unspecified + loopback; v4-mapped is checked against the v4 list
+
+export const isPublicAddress = (ip) => !PRIVATE_NETS.check(ip, net.isIP(ip) === 6 ? 'ipv6' : 'ipv4')
+const blocked = (msg) => Object.assign(new Error(msg), { status: 400 })
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v)
+
+export function normalizePreviewUrl(raw) {
+  if (!raw || raw.length > 2048) throw blocked('Invalid url')
+  let u
+  try { u = new URL(raw) } catch { throw blocked('Invalid url') }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw blocked('Only http(s) links have previews')
+  if (u.username || u.password) throw blocked('URL not allowed')
+  u.hash = ''
+  return u
+}
+
+// The first http(s) link in a chat message, normalized, or null
+export function firstLink(text) {
+  const raw = String(text || '').match(/\bhttps?:\/\/\S+/i)?.[0]
+  if (!raw) return null
+  try { return normalizePreviewUrl(raw) } catch { return null }
+}
+
+function decodeBody({ body, contentType }) {
+  const charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1] || 'utf-8'
+  try { return new TextDecoder(charset).decode(body) } catch { return new TextDecoder('utf-8').decode(body) }
+}
+
+const decodeEntities = (str) => str
+  .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16) || 32))
+  .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d) || 32))
+  .replace(/&(amp|lt|gt|quot|apos|nbsp|#39);/g, (_, e) => ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" })[e])
+
+function tagAttrs(tag) {
+  const out = {}
+  for (const m of tag.matchAll(/([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+    out[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '')
+  }
+  return out
+}
+
+// <meta> values (first one wins), <title> and the oEmbed discovery link
+export function parseHtmlMeta(html) {
+  const meta = {}
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const a = tagAttrs(tag)
+    const key = (a.property || a.name || '').toLowerCase()
+    if (key && a.content && !(key in meta)) meta[key] = a.content.trim()
+  }
+  let oembed = null
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const a = tagAttrs(tag)
+    if (/\balternate\b/i.test(a.rel || '') && /json\+oembed/i.test(a.type || '') && a.href) { oembed = a.href; break }
+  }
+  const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1]
+  return { meta, oembed, title: title ? decodeEntities(title).replace(/\s+/g, ' ').trim() : '' }
+}
+
+const httpUrl = (ref, base) => {
+  try {
+    const u = new URL(ref, base)
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.href : null
+  } catch { return null }
+}
+const clip = (v, n) => (typeof v === 'string' && v.trim() ? v.trim().slice(0, n) : null)
+
+// Only the fields ChatPanel renders, and only http(s) links (imported chat carries its previews)
+export function cleanPreview(p) {
+  if (!isPlainObject(p)) return null
+  const url = httpUrl(String(p.url || ''))
+  if (!url) return null
+  return {
+    url,
+    title: clip(p.title, 300),
+    description: clip(p.description, 500),
+    image: p.image ? httpUrl(String(p.image)) : null,
+    siteName: clip(p.siteName, 100),
+    author: clip(p.author, 100),
+    type: clip(p.type, 40),
+  }
+}
+
+/**
+ * { fetchLimited, buildPreview } bound to the limits:
+ * - timeoutMs: whole fetch, redirects included
+ * - maxBytes: of (decompressed) body read
+ * - isAllowed: (ip) => boolean, checked for every address connected to (tests point it at loopback)
+ */
+export function createLinkPreviewer({ timeoutMs = 5000, maxBytes = 512 * 1024, isAllowed = isPublicAddress } = {}) {
+  function safeLookup(hostname, opts, cb) {
+    dns.lookup(hostname, { all: true, verbatim: true }, (err, addrs) => {
+      if (err) return cb(err)
+      if (!addrs.length || addrs.some(a => !isAllowed(a.address))) return cb(blocked('URL not allowed'))
+      if (opts?.all) cb(null, addrs)
+      else cb(null, addrs[0].address, addrs[0].family)
+    })
+  }
+
+  // One GET, following up to 3 redirects; resolves with at most maxBytes of body
+  async function fetchLimited(url, accept, deadline = Date.now() + timeoutMs, redirects = 3) {
+    const u = normalizePreviewUrl(String(url))
+    const host = u.hostname.replace(/^\[|\]$/g, '')
+    // IP literals never reach the lookup
+    if (net.isIP(host) && !isAllowed(host)) return Promise.reject(blocked('URL not allowed'))
+
+    return new Promise((resolve, reject) => {
+      let settled = false
+      const finish = (err, value) => {
+        if (settled) return
+        settled = true
+        clearTimeout(timer)
+        req.destroy()
+        err ? reject(err) : resolve(value)
+      }
+      const lib = u.protocol === 'https:' ? https : http
+      const req = lib.get(u, {
+        lookup: safeLookup,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; WhiteboardLinkPreview/1.0)',
+          Accept: accept,
+          'Accept-Encoding': 'gzip, deflate, br',
+        },
+      }, (res) => {
+        const status = res.statusCode || 0
+        if ([301, 302, 303, 307, 308].includes(status) && res.headers.location) {
+          res.resume()
+          if (!redirects) return finish(Object.assign(new Error('Too many redirects'), { status: 422 }))
+          let next
+          try { next = new URL(res.headers.location, u) } catch { return finish(Object.assign(new Error('Bad redirect'), { status: 422 })) }
+          clearTimeout(timer)
+          settled = true
+          return fetchLimited(next, accept, deadline, redirects - 1).then(resolve, reject)
+        }
+        if (status < 200 || status >= 300) {
+          res.resume()
+          return finish(Object.assign(new Error(`Upstream answered ${status}`), { status: 422 }))
+        }
+
+        const enc = String(res.headers['content-encoding'] || '').toLowerCase()
+        const body = enc === 'gzip' || enc === 'x-gzip' ? res.pipe(zlib.createGunzip())
+          : enc === 'deflate' ? res.pipe(zlib.createInflate())
+          : enc === 'br' ? res.pipe(zlib.createBrotliDecompress())
+          : res
+        const chunks = []
+        let size = 0
+        const done = () => finish(null, { url: u.href, contentType: String(res.headers['content-type'] || ''), body: Buffer.concat(chunks) })
+        body.on('data', (c) => {
+          size += c.length
+          chunks.push(size > maxBytes ? c.subarray(0, c.length - (size - maxBytes)) : c)
+          if (size >= maxBytes) done() // a truncated page still has its <head>
+        })
+        body.on('end', done)
+        body.on('error', (e) => finish(Object.assign(e, { status: 422 })))
+      })
+      req.on('error', (e) => finish(e.status ? e : Object.assign(e, { status: 422 })))
+      const timer = setTimeout(
+        () => finish(Object.assign(new Error('Timed out'), { status: 422 })),
+        Math.max(0, deadline - Date.now())
+      )
+    })
+  }
+
+  async function buildPreview(target) {
+    const page = await fetchLimited(target, 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1')
+    if (!/html/i.test(page.contentType)) throw Object.assign(new Error('Not an HTML page'), { status: 422 })
+    const { meta, oembed: oembedHref, title } = parseHtmlMeta(decodeBody(page))
+
+    let oembed = {}
+    const oembedUrl = oembedHref && httpUrl(oembedHref, page.url)
+    if (oembedUrl) {
+      try {
+        const r = await fetchLimited(oembedUrl, 'application/json')
+        const j = JSON.parse(decodeBody(r))
+        if (isPlainObject(j)) oembed = j
+      } catch (e) {
+        console.warn('[link-preview] oEmbed failed for', page.url, e?.message || e)
+      }
+    }
+
+    const pick = (...keys) => keys.map(k => meta[k]).find(Boolean)
+    return {
+      url: httpUrl(pick('og:url') || '', page.url) || page.url,
+      title: clip(pick('og:title', 'twitter:title') || oembed.title || title, 300),
+      description: clip(pick('og:description', 'twitter:description', 'description'), 500),
+      image: httpUrl(pick('og:image:secure_url', 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src') || oembed.thumbnail_url || '', page.url),
+      siteName: clip(pick('og:site_name', 'application-name') || oembed.provider_name, 100) || new URL(page.url).hostname,
+      author: clip(oembed.author_name || pick('author', 'article:author', 'twitter:creator'), 100),
+      type: clip(pick('og:type') || oembed.type, 40),
+    }
+  }
+
+  return { fetchLimited, buildPreview }
+}
@@ -11,6 +11,12 @@ import jwt from 'jsonwebtoken'
 import path from 'path'
 import fs from 'fs'
 import crypto from 'crypto'
+import multer from 'multer'
+import { createAdapter } from '@socket.io/mongo-adapter'
+import { Store } from '@tldraw/store'
+import { createTLSchema } from '@tldraw/tlschema'
+import { createClock, mergeChanges } from './shared/recordMerge.js'
+import { createLinkPreviewer, cleanPreview, firstLink, normalizePreviewUrl } from './lib/linkPreview.js'
 
 /* ========================== ENV ========================== */
 const NODE_ENV   = process.env.NODE_ENV || 'development'
@@ -18,6 +24,26 @@ const PORT       = Number(process.env.PORT || 4000)
 const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173'
 const MONGO_URL  = process.env.MONGO_URL  || 'mongodb://127.0.0.1:27017/whiteboarddb'
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_super_secret_change_me'
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 10 * 1024 * 1024)
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES || 50 * 1024 * 1024)
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'console').toLowerCase() // console | file
+const MAIL_FILE  = process.env.MAIL_FILE || path.resolve('outbox', 'mail.jsonl')
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS || 14)
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30)
+const DOC_PERSIST_MS = Number(process.env.DOC_PERSIST_MS || 2000)  // write-behind delay for live documents
+const DOC_IDLE_MS = Number(process.env.DOC_IDLE_MS || 60 * 1000)    // unload a document this long after its room empties
+const SYNC_MAX_GAP = Number(process.env.SYNC_MAX_GAP || 500)         // reconnect catch-up: more missed ops than this -> snapshot
+const REALTIME_ADAPTER = (process.env.REALTIME_ADAPTER || 'memory').toLowerCase() // memory | mongo (see CLUSTER)
+const REALTIME_COLLECTION = process.env.REALTIME_COLLECTION || 'socketio_events'
+const OPS_MAX_BYTES = Number(process.env.OPS_MAX_BYTES || 2 * 1024 * 1024) // largest board:ops batch accepted
+const CURSOR_TICK_MS = Number(process.env.CURSOR_TICK_MS || 50)            // cursor moves are relayed once per tick
+const PRESENCE_GRACE_MS = Number(process.env.PRESENCE_GRACE_MS || 15 * 1000)   // a dropped socket stays "away" this long before leaving
+const LAST_SEEN_DAYS = Number(process.env.LAST_SEEN_DAYS || 7)                 // roster "recently here" window
+const NOTIFY_TTL_DAYS = Number(process.env.NOTIFY_TTL_DAYS || 90)               // notifications are dropped after this
+const LINK_PREVIEW_TIMEOUT_MS = Number(process.env.LINK_PREVIEW_TIMEOUT_MS || 5000)      // whole fetch, redirects included
+const LINK_PREVIEW_MAX_BYTES = Number(process.env.LINK_PREVIEW_MAX_BYTES || 512 * 1024)  // of (decompressed) body read
+const LINK_PREVIEW_TTL_HOURS = Number(process.env.LINK_PREVIEW_TTL_HOURS || 24)          // cache lifetime of a preview
+const SEARCH_REINDEX_BATCH = Number(process.env.SEARCH_REINDEX_BATCH || 20)              // stale boards a search re-indexes first
 
 const ALLOWED_ORIGINS = new Set(
   (process.env.CORS_ORIGINS?.split(',') || [])
@@ -41,6 +67,8 @@ const io = new Server(httpServer, {
       (!origin || ALLOWED_ORIGINS.has(origin)) ? cb(null, true) : cb(new Error(`CORS blocked: ${origin}`)),
     credentials: true,
   },
+  // above the largest per-event cap so oversize events get a 413 ack instead of a dropped connection
+  maxHttpBufferSize: OPS_MAX_BYTES + 64 * 1024,
 })
 
 /* ====================== MIDDLEWARE ======================= */
@@ -59,7 +87,12 @@ app.use((req, _res, next) => { console.log(`[req] ${req.method} ${req.path}`); n
 // static uploads
 const uploadsDir = path.resolve('uploads')
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir)
-app.use('/uploads', express.static(uploadsDir))
+app.use('/uploads', express.static(uploadsDir, {
+  setHeaders: (res, filePath) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    if (filePath.endsWith('.svg')) res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox")
+  },
+}))
 
 /* ======================== MODELS ========================= */
 const userSchema = new mongoose.Schema({
@@ -74,11 +107,13 @@ userSchema.index({ username: 1 }, { unique: true, sparse: true })
 
 const boardSchema = new mongoose.Schema({
   title: String,
-  document: { type: Object, default: { tldraw: null, ops: [], updatedAt: Date.now() } },
+  // tldraw store snapshot written by the server's live document (see DOCUMENT STATE)
+  document: { type: Object, default: { tldraw: null, updatedAt: Date.now() } },
   members: [{
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     role: { type: String, enum: ['owner', 'editor', 'viewer'], default: 'owner' },
   }],
+  // legacy: messages now live in ChatMessage and are moved there on first access (migrateLegacyChat)
   chat: [{
     id: String,
     userId: String,
@@ -90,7 +125,30 @@ const boardSchema = new mongoose.Schema({
     ts: Number,
   }],
   publicViewerToken: { type: String, default: '' },
+  // "Anyone with the link" for signed-in non-members: none | view | edit
+  linkAccess: { type: String, enum: ['none', 'view', 'edit'], default: 'none' },
+  accessRequests: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String, enum: ['editor', 'viewer'], default: 'viewer' },
+    message: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  // Pending invitations for emails without an account; redeemed on signup
+  invites: [{
+    email: { type: String, lowercase: true, trim: true },
+    role: { type: String, enum: ['owner', 'editor', 'viewer'], default: 'editor' },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date },
+  }],
+  archivedAt: { type: Date, default: null },
+  deletedAt: { type: Date, default: null }, // in trash; purged TRASH_RETENTION_DAYS later
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
 }, { timestamps: true })
+boardSchema.index({ 'members.userId': 1, updatedAt: -1, _id: -1 })
+boardSchema.index({ 'invites.email': 1 })
+boardSchema.index({ deletedAt: 1 })
+boardSchema.index({ 'members.userId': 1, title: 1, _id: 1 }, { collation: { locale: 'en', strength: 2 } })
 
 const User = mongoose.model('User', userSchema)
 const Board = mongoose.model('Board', boardSchema)
@@ -113,13 +171,119 @@ const BoardOp = mongoose.model('BoardOp', boardOpSchema)
 const boardSnapshotSchema = new mongoose.Schema({
   boardId: { type: mongoose.Schema.Types.ObjectId, index: true, required: true },
   version: { type: Number, index: true },
+  seq: { type: Number, default: null }, // last BoardOp seq covered by this snapshot
   tldraw: { type: Object, default: null },
   checksum: { type: String, default: '' },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reason: { type: String, enum: ['auto', 'manual', 'restore', 'import'], default: 'auto' },
+  restoredFrom: { type: Number, default: null },
   createdAt: { type: Date, default: Date.now, index: true },
 }, { timestamps: true })
 boardSnapshotSchema.index({ boardId: 1, version: -1 })
 const BoardSnapshot = mongoose.model('BoardSnapshot', boardSnapshotSchema)
 
+// When each signed-in user was last on a board ("last seen" in the roster)
+const boardVisitSchema = new mongoose.Schema({
+  boardId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: String,
+  color: String,
+  lastSeenAt: { type: Date, default: Date.now },
+})
+boardVisitSchema.index({ boardId: 1, userId: 1 }, { unique: true })
+boardVisitSchema.index({ boardId: 1, lastSeenAt: -1 })
+const BoardVisit = mongoose.model('BoardVisit', boardVisitSchema)
+
+/* ===================== CHAT MODEL ======================== */
+const chatMessageSchema = new mongoose.Schema({
+  boardId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  id: { type: String, required: true }, // client-generated; replies and reactions refer to it
+  userId: String,
+  name: String,
+  text: String,
+  replyTo: { type: String, default: null },
+  // replies live in the thread of their root message (threadId = root id); roots have null
+  threadId: { type: String, default: null },
+  replyCount: { type: Number, default: 0 },
+  lastReplyAt: { type: Number, default: null },
+  reactions: { type: Object, default: {} }, // emoji -> [userId]
+  linkPreview: { type: Object, default: null },
+  mentions: { type: [String], default: [] }, // userIds of the members @mentioned in `text`
+  // files go through /api/upload first; a snippet is a copy of some shapes (TLContent) plus a
+  // PNG thumbnail and where they were on the canvas
+  attachments: [{
+    _id: false,
+    kind: { type: String, enum: ['file', 'snippet'] },
+    url: String,
+    name: String,
+    mime: String,
+    size: Number,
+    thumb: String,
+    pageId: String,
+    shapeIds: [String],
+    bounds: Object,
+    content: Object, // snippets only; served by GET .../chat/:messageId/snippets/:index
+  }],
+  ts: { type: Number, required: true }, // server receive time; history is ordered by (ts, _id)
+  editedAt: { type: Number, default: null },
+  edits: [{ _id: false, text: String, ts: Number }], // previous versions, oldest first
+  // tombstone: the document stays so threads and reply quotes keep their anchor
+  deletedAt: { type: Number, default: null },
+  deletedBy: { type: String, default: null },
+  moderated: { type: Boolean, default: false }, // removed by a board owner rather than its author
+}, { minimize: false })
+chatMessageSchema.index({ boardId: 1, id: 1 }, { unique: true })
+chatMessageSchema.index({ boardId: 1, ts: -1, _id: -1 })
+chatMessageSchema.index({ boardId: 1, threadId: 1, ts: -1, _id: -1 })
+chatMessageSchema.index({ text: 'text' }) // /api/search
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema)
+
+/* ================= NOTIFICATION MODEL ==================== */
+// One record per recipient, so the inbox and its unread badge work across boards
+const notificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  boardId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  kind: { type: String, enum: ['mention'], default: 'mention' },
+  messageId: String,
+  threadId: { type: String, default: null },
+  actorId: String,
+  actorName: String,
+  excerpt: String,
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+})
+notificationSchema.index({ userId: 1, createdAt: -1, _id: -1 })
+notificationSchema.index({ userId: 1, readAt: 1 })
+notificationSchema.index({ boardId: 1, messageId: 1 })
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFY_TTL_DAYS * 86400 })
+const Notification = mongoose.model('Notification', notificationSchema)
+
+/* ================= LINK PREVIEW CACHE ==================== */
+const linkPreviewSchema = new mongoose.Schema({
+  url: { type: String, required: true, unique: true }, // normalized (no fragment)
+  data: { type: Object, default: null }, // null = the fetch failed (short negative cache)
+  error: String,
+  status: Number,
+  expiresAt: { type: Date, required: true },
+}, { minimize: false })
+linkPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+const LinkPreview = mongoose.model('LinkPreview', linkPreviewSchema)
+
+/* ================== SEARCH INDEX MODEL =================== */
+// Canvas text lives inside the board's tldraw snapshot, so every shape that shows text gets
+// a row here for the text index. Kept in step by syncShapeText (see SEARCH).
+const shapeTextSchema = new mongoose.Schema({
+  boardId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  shapeId: { type: String, required: true },
+  pageId: { type: String, default: null },
+  type: String, // tldraw shape type: text, note, geo, arrow, frame…
+  text: { type: String, default: '' },
+  updatedAt: { type: Date, default: Date.now },
+})
+shapeTextSchema.index({ boardId: 1, shapeId: 1 }, { unique: true })
+shapeTextSchema.index({ text: 'text' })
+const ShapeText = mongoose.model('ShapeText', shapeTextSchema)
+
 /* ======================= HELPERS ========================= */
 async function nextBoardSeq(boardId, session) {
   const key = `board:${boardId.toString()}:op_seq`
@@ -130,8 +294,178 @@ async function nextBoardSeq(boardId, session) {
   )
   return doc.seq
 }
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v)
 const hashObj = (obj) => crypto.createHash('sha256').update(JSON.stringify(obj || {})).digest('hex')
 
+async function currentBoardSeq(boardId, session = null) {
+  const doc = await Counter.findById(`board:${boardId.toString()}:op_seq`).session(session).lean()
+  return doc?.seq || 0
+}
+
+// Appends a new head version (max version + 1) to a board's snapshot history,
+// stamped with the op seq it covers so replay can start from it.
+async function writeSnapshot({ boardId, tldraw, authorId = null, reason = 'auto', restoredFrom = null, session = null }) {
+  const last = await BoardSnapshot.findOne({ boardId }).sort({ version: -1 }).select('version').session(session).lean()
+  const version = (last?.version || 0) + 1
+  const checksum = hashObj(tldraw)
+  const seq = await currentBoardSeq(boardId, session)
+  await BoardSnapshot.create([{ boardId, version, seq, tldraw, checksum, authorId, reason, restoredFrom }], { session })
+  return { version, checksum, seq }
+}
+
+const CHAT_MAX_CHARS = 4000
+const CHAT_EDIT_HISTORY = 20
+const CHAT_MAX_ATTACHMENTS = 6
+const CHAT_SNIPPET_MAX_BYTES = 256 * 1024
+
+const attachmentOut = ({ content, ...a }) => ({ ...a, hasContent: !!content })
+
+const chatOut = (m) => ({
+  id: m.id,
+  userId: m.userId || '',
+  name: m.name || 'User',
+  text: m.deletedAt ? '' : m.text || '',
+  replyTo: m.replyTo || null,
+  threadId: m.threadId || null,
+  replyCount: m.replyCount || 0,
+  lastReplyAt: m.lastReplyAt || null,
+  reactions: m.deletedAt ? {} : m.reactions || {},
+  linkPreview: m.deletedAt ? null : m.linkPreview || null,
+  mentions: m.deletedAt ? [] : m.mentions || [],
+  attachments: m.deletedAt ? [] : (m.attachments || []).map(attachmentOut),
+  ts: m.ts,
+  editedAt: m.editedAt || null,
+  edits: m.edits || [],
+  deleted: m.deletedAt ? { at: m.deletedAt, by: m.moderated ? 'moderator' : 'author' } : null,
+  boardId: String(m.boardId),
+})
+
+// Boards from before ChatMessage keep their messages in Board.chat; they move over on first
+// access. Ids are derived for messages that never had one, so a concurrent second run only
+// hits the unique index.
+async function migrateLegacyChat(boardId) {
+  const b = await Board.findOne({ _id: boardId, 'chat.0': { $exists: true } }).select('chat').lean()
+  if (!b) return
+  const docs = b.chat.map((c, i) => ({
+    boardId: b._id,
+    id: c.id ? String(c.id) : `legacy-${hashObj([c.ts, c.userId, c.text, i]).slice(0, 16)}`,
+    userId: String(c.userId || ''),
+    name: c.name || 'User',
+    text: c.text || '',
+    replyTo: c.replyTo || null,
+    reactions: isPlainObject(c.reactions) ? c.reactions : {},
+    linkPreview: c.linkPreview || null,
+    ts: Number(c.ts) || 0,
+  }))
+  try {
+    await ChatMessage.insertMany(docs, { ordered: false })
+  } catch (e) {
+    if (e?.code !== 11000) throw e
+  }
+  await Board.updateOne({ _id: b._id }, { $unset: { chat: '' } })
+}
+
+// Attachments must be files this board's uploads folder already holds (see /api/upload)
+function boardUpload(boardId, url) {
+  const m = /^\/uploads\/([a-f0-9]{24})\/([a-f0-9]{64})\.(\w+)$/.exec(String(url || ''))
+  if (!m || m[1] !== String(boardId)) return null
+  const mime = Object.keys(UPLOAD_TYPES).find(k => UPLOAD_TYPES[k].ext === m[3])
+  if (!mime || !fs.existsSync(path.join(uploadsDir, m[1], `${m[2]}.${m[3]}`))) return null
+  return { url: m[0], mime }
+}
+
+// -> clean attachment list, or a string describing what's wrong
+function cleanAttachments(boardId, list) {
+  if (list == null) return []
+  if (!Array.isArray(list) || list.length > CHAT_MAX_ATTACHMENTS) return `At most ${CHAT_MAX_ATTACHMENTS} attachments`
+  const out = []
+  for (const a of list) {
+    if (!isPlainObject(a)) return 'Invalid attachment'
+    if (a.kind === 'file') {
+      const file = boardUpload(boardId, a.url)
+      if (!file) return 'Attachment was not uploaded to this board'
+      out.push({ kind: 'file', ...file, name: String(a.name || 'file').slice(0, 200), size: Number(a.size) || 0 })
+    } else if (a.kind === 'snippet') {
+      const thumb = boardUpload(boardId, a.thumb)
+      if (!thumb || !thumb.mime.startsWith('image/')) return 'Snippet thumbnail was not uploaded to this board'
+      if (!isPlainObject(a.content) || !Array.isArray(a.content.shapes) || !a.content.shapes.length) return 'Snippet has no shapes'
+      if (JSON.stringify(a.content).length > CHAT_SNIPPET_MAX_BYTES) return 'Snippet is too large'
+      const b = isPlainObject(a.bounds) ? a.bounds : {}
+      out.push({
+        kind: 'snippet',
+        thumb: thumb.url,
+        name: String(a.name || 'Canvas snippet').slice(0, 200),
+        pageId: /^page:/.test(a.pageId) ? String(a.pageId).slice(0, 100) : null,
+        shapeIds: (Array.isArray(a.shapeIds) ? a.shapeIds : []).filter(id => typeof id === 'string' && id.startsWith('shape:')).slice(0, 500),
+        bounds: ['x', 'y', 'w', 'h'].every(k => Number.isFinite(b[k])) ? { x: b.x, y: b.y, w: b.w, h: b.h } : null,
+        content: a.content,
+      })
+    } else {
+      return 'Invalid attachment'
+    }
+  }
+  return out
+}
+
+/* -------- Mentions & notifications -------- */
+// What people type after "@": the display name, else the email's local part
+const mentionHandle = (u) => u?.name || String(u?.email || '').split('@')[0] || 'User'
+
+// Board members whose "@handle" appears in `text` (longest handles first, so "@Ann Lee"
+// isn't also read as "@Ann"). The author is never notified of their own mention.
+async function findMentions(boardId, text, authorId) {
+  if (!text.includes('@')) return []
+  const b = await Board.findById(boardId).select('members').lean()
+  const users = await User.find({ _id: { $in: (b?.members || []).map(m => m.userId) } }).select('name email').lean()
+  let rest = text
+  const found = []
+  for (const u of users.sort((x, y) => mentionHandle(y).length - mentionHandle(x).length)) {
+    const re = new RegExp(`(^|[^\\w@])@${escapeRegex(mentionHandle(u))}(?![\\w])`, 'gi')
+    if (!re.test(rest)) continue
+    rest = rest.replace(re, '$1')
+    if (String(u._id) !== String(authorId)) found.push(String(u._id))
+  }
+  return found
+}
+
+const userRoom = (userId) => `user:${userId}`
+
+const notificationOut = (n, boardTitle) => ({
+  id: String(n._id),
+  kind: n.kind,
+  boardId: String(n.boardId),
+  boardTitle: boardTitle ?? null,
+  messageId: n.messageId,
+  threadId: n.threadId || null,
+  actorId: n.actorId,
+  actorName: n.actorName,
+  excerpt: n.excerpt,
+  readAt: n.readAt,
+  createdAt: n.createdAt,
+})
+
+// Stores a mention notification per recipient and pushes it to their open tabs, on any board
+async function notifyMentions(userIds, { boardId, message }) {
+  if (!userIds.length) return
+  const board = await Board.findById(boardId).select('title').lean()
+  const rows = await Notification.insertMany(userIds.map(userId => ({
+    userId,
+    boardId,
+    kind: 'mention',
+    messageId: message.id,
+    threadId: message.threadId || null,
+    actorId: message.userId,
+    actorName: message.name,
+    excerpt: message.text.slice(0, 200),
+  })))
+  for (const n of rows) io.to(userRoom(n.userId)).emit('notify:new', notificationOut(n, board?.title || 'Untitled'))
+}
+
+// Tell each user's tabs to re-read their inbox (read elsewhere, or a notification went away)
+const notifySync = (userIds) => {
+  for (const id of new Set(userIds.map(String))) io.to(userRoom(id)).emit('notify:sync')
+}
+
 /* -------- TLDraw deep sanitize (server-side) -------- */
 function ensureAnyMeta(rec) {
   if (!rec || typeof rec !== 'object') return
@@ -189,6 +523,67 @@ function requireAuth(req, res, next) {
   if (!t) return res.status(401).json({ error: 'Unauthenticated' })
   try { req.user = jwt.verify(t, JWT_SECRET); next() } catch { return res.status(401).json({ error: 'Invalid token' }) }
 }
+function userIdFromCookie(req) {
+  const t = req.cookies?.access_token
+  if (!t) return null
+  try { return jwt.verify(t, JWT_SECRET).sub } catch { return null }
+}
+
+/* ========================= MAIL ========================= */
+// Dev/test transports only: `console` logs, `file` appends JSON lines to MAIL_FILE.
+async function sendMail({ to, subject, text }) {
+  const mail = { to, subject, text, at: new Date().toISOString() }
+  try {
+    if (MAIL_TRANSPORT === 'file') {
+      await fs.promises.mkdir(path.dirname(MAIL_FILE), { recursive: true })
+      await fs.promises.appendFile(MAIL_FILE, JSON.stringify(mail) + '\n')
+    } else {
+      console.log(`[mail] to=${to} subject="${subject}"\n${text}`)
+    }
+  } catch (e) {
+    console.warn('[mail] send failed', e?.message || e)
+  }
+}
+
+/* ==================== BOARD ACCESS ====================== */
+// Single source of truth for REST routes and room:join.
+// Returns { role, via: 'member'|'link'|'token' } or null (no access).
+function resolveBoardAccess(board, { userId = null, token = '' } = {}) {
+  if (!board || board.deletedAt) return null // trashed boards are only reachable through /restore
+  if (userId) {
+    const m = (board.members || []).find(x => String(x.userId) === String(userId))
+    if (m) return { role: m.role, via: 'member' }
+    if (board.linkAccess === 'edit') return { role: 'editor', via: 'link' }
+    if (board.linkAccess === 'view') return { role: 'viewer', via: 'link' }
+  }
+  if (token && board.publicViewerToken && token === board.publicViewerToken) return { role: 'viewer', via: 'token' }
+  return null
+}
+const canEdit = (access) => !!access && ['owner', 'editor'].includes(access.role)
+const isOwner = (access) => access?.role === 'owner'
+
+// Re-check every socket in the board's room after members/settings/link changes:
+// sockets that lost access are kicked, the rest get their (possibly new) role.
+// socket.data can only be changed where the socket lives, so other instances redo this locally.
+async function refreshRoomAccess(board) {
+  const boardId = board._id.toString()
+  clusterEmit('room:refresh', { boardId })
+  await refreshLocalSockets(boardId, board)
+}
+
+async function refreshLocalSockets(boardId, board) {
+  const sockets = await io.local.in(boardId).fetchSockets()
+  for (const s of sockets) {
+    const access = resolveBoardAccess(board, { userId: s.data.userId, token: s.data.joinToken })
+    if (!access) {
+      s.emit('room:revoked', { boardId })
+      s.disconnect(true)
+    } else if (access.role !== s.data.role) {
+      s.data.role = access.role
+      s.emit('room:role', { boardId, role: access.role })
+    }
+  }
+}
 
 /* ====================== ROUTES ========================== */
 app.get('/api/health', (_req, res) => {
@@ -215,10 +610,11 @@ app.post('/api/auth/signup', async (req, res) => {
     const passwordHash = await bcrypt.hash(password, 12)
     const name = rawName || email.split('@')[0]
     const u = await User.create({ email, username, name, passwordHash })
+    const redeemed = await redeemInvites(u).catch(e => { console.warn('[signup] invite redeem failed', e?.message || e); return [] })
 
     const token = signAccess({ sub: u._id.toString(), email: u.email, name: u.name, username: u.username || null, color: u.color })
     setAuthCookie(res, token)
-    res.status(201).json({ user: { id: u._id, email: u.email, name: u.name, username: u.username || null, color: u.color } })
+    res.status(201).json({ user: { id: u._id, email: u.email, name: u.name, username: u.username || null, color: u.color }, boards: redeemed })
   } catch (err) {
     if (err?.code === 11000) {
       const key = Object.keys(err?.keyPattern || {})[0] || 'email'
@@ -268,75 +664,355 @@ app.get('/api/me', requireAuth, async (req, res) => {
 app.post('/api/boards', requireAuth, async (req, res) => {
   const b = await Board.create({
     title: req.body?.title || 'Untitled',
-    document: { tldraw: null, ops: [], updatedAt: Date.now() },
+    document: { tldraw: null, updatedAt: Date.now() },
     members: [{ userId: req.user.sub, role: 'owner' }],
   })
   res.json(b)
 })
 
+// GET /api/boards?q=&role=owner|editor|viewer&status=active|archived|trash&sort=updatedAt_desc&limit=30&cursor=
+// Lightweight list (no document/chat), keyset-paginated on (sort field, _id).
+// The trash only lists boards the caller owns.
+const BOARD_SORTS = {
+  updatedAt_desc: { field: 'updatedAt', dir: -1 },
+  updatedAt_asc:  { field: 'updatedAt', dir: 1 },
+  title_asc:      { field: 'title', dir: 1 },
+  title_desc:     { field: 'title', dir: -1 },
+}
+const TITLE_COLLATION = { locale: 'en', strength: 2 }
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+function encodeCursor(obj) { return Buffer.from(JSON.stringify(obj)).toString('base64url') }
+function decodeCursor(s) {
+  try { return JSON.parse(Buffer.from(String(s), 'base64url').toString('utf8')) } catch { return null }
+}
+
 app.get('/api/boards', requireAuth, async (req, res) => {
-  const boards = await Board.find({ 'members.userId': req.user.sub }).sort({ updatedAt: -1 })
-  res.json(boards)
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.sub)
+    const q = String(req.query.q || '').trim()
+    const role = String(req.query.role || '')
+    const sortKey = BOARD_SORTS[req.query.sort] ? String(req.query.sort) : 'updatedAt_desc'
+    const { field, dir } = BOARD_SORTS[sortKey]
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100)
+
+    const status = ['archived', 'trash'].includes(req.query.status) ? String(req.query.status) : 'active'
+
+    const filter = role && ['owner', 'editor', 'viewer'].includes(role)
+      ? { members: { $elemMatch: { userId, role } } }
+      : { 'members.userId': userId }
+    if (status === 'trash') {
+      filter.members = { $elemMatch: { userId, role: 'owner' } }
+      delete filter['members.userId']
+      filter.deletedAt = { $ne: null }
+    } else {
+      filter.deletedAt = null
+      filter.archivedAt = status === 'archived' ? { $ne: null } : null
+    }
+    if (q) filter.title = { $regex: escapeRegex(q.slice(0, 100)), $options: 'i' }
+
+    if (req.query.cursor) {
+      const c = decodeCursor(req.query.cursor)
+      if (!c || !mongoose.isValidObjectId(c.id)) return res.status(400).json({ error: 'Invalid cursor' })
+      const v = field === 'updatedAt' ? new Date(c.v) : (c.v ?? '')
+      const op = dir === 1 ? '$gt' : '$lt'
+      filter.$or = [
+        { [field]: { [op]: v } },
+        { [field]: v, _id: { [op]: new mongoose.Types.ObjectId(c.id) } },
+      ]
+    }
+
+    let query = Board.find(filter)
+      .select('title members publicViewerToken archivedAt deletedAt createdAt updatedAt')
+      .sort({ [field]: dir, _id: dir })
+      .limit(limit + 1)
+    if (field === 'title') query = query.collation(TITLE_COLLATION)
+    const rows = await query.lean()
+
+    const page = rows.slice(0, limit)
+    const items = page.map(b => {
+      const me = (b.members || []).find(m => String(m.userId) === String(userId))
+      const myRole = me?.role || 'viewer'
+      return {
+        _id: b._id,
+        title: b.title,
+        role: myRole,
+        memberCount: (b.members || []).length,
+        publicLink: !!b.publicViewerToken && ['owner', 'editor'].includes(myRole),
+        archivedAt: b.archivedAt || null,
+        deletedAt: b.deletedAt || null,
+        purgeAt: b.deletedAt ? new Date(b.deletedAt.getTime() + TRASH_RETENTION_DAYS * 86400000) : null,
+        createdAt: b.createdAt,
+        updatedAt: b.updatedAt,
+      }
+    })
+    const last = page[page.length - 1]
+    const nextCursor = rows.length > limit && last
+      ? encodeCursor({ v: field === 'updatedAt' ? last.updatedAt : (last.title ?? ''), id: last._id.toString() })
+      : null
+    res.json({ items, nextCursor })
+  } catch (e) {
+    console.error('[boards:list] failed', e)
+    res.status(500).json({ error: 'List failed' })
+  }
 })
 
 app.get('/api/boards/:id', async (req, res) => {
   const b = await Board.findById(req.params.id)
-  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!b || b.deletedAt) return res.status(404).json({ error: 'Not found' })
+
+  // Auth (cookie) or token (viewer). Knowing the id alone grants nothing.
+  const userId = userIdFromCookie(req)
+  const access = resolveBoardAccess(b, { userId, token: (req.query.token || '').toString() })
+  if (!access) {
+    if (!userId) return res.status(401).json({ error: 'Unauthenticated' })
+    const pending = (b.accessRequests || []).some(r => String(r.userId) === String(userId))
+    // nothing about the board itself (not even its title) until the owner lets them in
+    return res.status(403).json({ error: 'Forbidden', canRequestAccess: true, pendingRequest: pending })
+  }
 
-  // Auth (cookie) or token (viewer)
-  let authedUserId = null
-  const t = req.cookies?.access_token
-  if (t) { try { authedUserId = jwt.verify(t, JWT_SECRET).sub } catch {} }
-  if (authedUserId) {
-    const isMember = b.members.find(m => String(m.userId) === String(authedUserId))
-    if (!isMember) { b.members.push({ userId: authedUserId, role: 'editor' }); await b.save() }
-  } else {
-    const token = (req.query.token || '').toString()
-    if (!(token && token === b.publicViewerToken)) return res.status(401).json({ error: 'Unauthenticated' })
+  const out = b.toObject()
+  delete out.chat // paged through GET /api/boards/:id/chat
+  out.document = { tldraw: await currentDocument(b._id), updatedAt: out.document?.updatedAt }
+  if (!canEdit(access)) delete out.publicViewerToken
+  if (!isOwner(access)) delete out.accessRequests
+  res.json({ ...out, role: access.role, access: access.via })
+})
+
+/* ---- Board lifecycle (owner only) ---- */
+// Owner check that also works for trashed boards (resolveBoardAccess hides those)
+const isBoardOwner = (b, userId) =>
+  (b.members || []).some(m => String(m.userId) === String(userId) && m.role === 'owner')
+
+app.patch('/api/boards/:id', requireAuth, async (req, res) => {
+  const title = String(req.body?.title ?? '').trim().slice(0, 200)
+  if (!title) return res.status(400).json({ error: 'title required' })
+  const b = await Board.findById(req.params.id)
+  if (!b || b.deletedAt) return res.status(404).json({ error: 'Not found' })
+  if (!isBoardOwner(b, req.user.sub)) return res.status(403).json({ error: 'Only owner can rename' })
+  b.title = title
+  await b.save()
+  res.json({ ok: true, title })
+})
+
+// Copies the current canvas (and its uploaded assets) into a new board owned by the caller.
+app.post('/api/boards/:id/duplicate', requireAuth, async (req, res) => {
+  try {
+    const src = await Board.findById(req.params.id).lean()
+    if (!src || src.deletedAt) return res.status(404).json({ error: 'Not found' })
+    if (!isBoardOwner(src, req.user.sub)) return res.status(403).json({ error: 'Only owner can duplicate' })
+
+    const _id = new mongoose.Types.ObjectId()
+    let tldraw = await currentDocument(src._id)
+    const srcUploads = path.join(uploadsDir, src._id.toString())
+    if (tldraw && fs.existsSync(srcUploads)) {
+      await fs.promises.cp(srcUploads, path.join(uploadsDir, _id.toString()), { recursive: true })
+      tldraw = JSON.parse(JSON.stringify(tldraw).split(`/uploads/${src._id}/`).join(`/uploads/${_id}/`))
+    }
+    const title = String(req.body?.title || '').trim().slice(0, 200) || `Copy of ${src.title || 'Untitled'}`
+    const b = await Board.create({
+      _id,
+      title,
+      document: { tldraw, updatedAt: Date.now() },
+      members: [{ userId: req.user.sub, role: 'owner' }],
+    })
+    if (tldraw) await writeSnapshot({ boardId: _id, tldraw, authorId: req.user.sub, reason: 'manual' })
+    res.status(201).json({ ok: true, _id: b._id, title: b.title })
+  } catch (e) {
+    console.error('[duplicate] failed', e)
+    res.status(500).json({ error: 'Duplicate failed' })
   }
+})
+
+app.post('/api/boards/:id/archive', requireAuth, async (req, res) => {
+  const archived = req.body?.archived !== false
+  const b = await Board.findById(req.params.id)
+  if (!b || b.deletedAt) return res.status(404).json({ error: 'Not found' })
+  if (!isBoardOwner(b, req.user.sub)) return res.status(403).json({ error: 'Only owner can archive' })
+  b.archivedAt = archived ? new Date() : null
+  await b.save()
+  res.json({ ok: true, archivedAt: b.archivedAt })
+})
 
-  if (b?.document?.tldraw) {
-    b.document.tldraw = sanitizeTlSnapshotDeep(b.document.tldraw)
+// DELETE moves the board to the trash; ?permanent=1 purges a trashed board right away.
+app.delete('/api/boards/:id', requireAuth, async (req, res) => {
+  try {
+    const b = await Board.findById(req.params.id)
+    if (!b) return res.status(404).json({ error: 'Not found' })
+    if (!isBoardOwner(b, req.user.sub)) return res.status(403).json({ error: 'Only owner can delete' })
+    if (req.query.permanent === '1' || req.query.permanent === 'true') {
+      if (!b.deletedAt) return res.status(409).json({ error: 'Move the board to the trash first' })
+      await purgeBoard(b._id)
+      return res.json({ ok: true, purged: true })
+    }
+    if (!b.deletedAt) {
+      b.deletedAt = new Date()
+      b.deletedBy = req.user.sub
+      await b.save()
+      await refreshRoomAccess(b) // everyone in the room is sent out
+    }
+    const purgeAt = new Date(b.deletedAt.getTime() + TRASH_RETENTION_DAYS * 86400000)
+    res.json({ ok: true, deletedAt: b.deletedAt, purgeAt })
+  } catch (e) {
+    console.error('[delete] failed', e)
+    res.status(500).json({ error: 'Delete failed' })
   }
-  res.json(b)
 })
 
+app.post('/api/boards/:id/restore', requireAuth, async (req, res) => {
+  const b = await Board.findById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!isBoardOwner(b, req.user.sub)) return res.status(403).json({ error: 'Only owner can restore' })
+  if (!b.deletedAt) return res.status(409).json({ error: 'Board is not in the trash' })
+  b.deletedAt = null
+  b.deletedBy = null
+  await b.save()
+  res.json({ ok: true })
+})
+
+// Removes a board and everything hanging off it
+async function purgeBoard(boardId) {
+  const id = boardId.toString()
+  await dropDoc(id)
+  clusterEmit('doc:drop', { boardId: id })
+  await Promise.all([
+    BoardOp.deleteMany({ boardId: id }),
+    BoardSnapshot.deleteMany({ boardId: id }),
+    BoardVisit.deleteMany({ boardId: id }),
+    ChatMessage.deleteMany({ boardId: id }),
+    Notification.deleteMany({ boardId: id }),
+    ShapeText.deleteMany({ boardId: id }),
+    Counter.deleteOne({ _id: `board:${id}:op_seq` }),
+  ])
+  await Board.deleteOne({ _id: id })
+  await fs.promises.rm(path.join(uploadsDir, id), { recursive: true, force: true })
+  console.log('[trash] purged board', id)
+}
+
+async function purgeExpiredTrash() {
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 86400000)
+    const expired = await Board.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').lean()
+    for (const b of expired) await purgeBoard(b._id)
+  } catch (e) {
+    console.warn('[trash] sweep failed', e?.message || e)
+  }
+}
+
 /* ---- Members & roles ---- */
 app.get('/api/boards/:id/members', requireAuth, async (req, res) => {
   const b = await Board.findById(req.params.id)
   if (!b) return res.status(404).json({ error: 'Not found' })
-  const isMember = b.members.find(m => String(m.userId) === String(req.user.sub))
-  if (!isMember) return res.status(403).json({ error: 'Forbidden' })
+  const access = resolveBoardAccess(b, { userId: req.user.sub })
+  if (!access) return res.status(403).json({ error: 'Forbidden' })
+  // people who only came in through "anyone with the link" don't get members' emails
+  const showEmails = access.via === 'member'
 
   const ids = b.members.map(m => m.userId)
   const users = await User.find({ _id: { $in: ids } }).select('_id name email username color').lean()
   const map = new Map(users.map(u => [u._id.toString(), u]))
-  const result = b.members.map(m => ({
-    userId: m.userId.toString(),
-    role: m.role,
-    name: map.get(m.userId.toString())?.name || 'User',
-    email: map.get(m.userId.toString())?.email || '',
-    color: map.get(m.userId.toString())?.color || '#7c3aed',
-  }))
+  const result = b.members.map(m => {
+    const u = map.get(m.userId.toString())
+    return {
+      userId: m.userId.toString(),
+      role: m.role,
+      name: u?.name || 'User',
+      handle: showEmails || u?.name ? mentionHandle(u) : null, // what @mentions match (the fallback is the email's local part)
+      email: showEmails ? u?.email || '' : '',
+      color: u?.color || '#7c3aed',
+    }
+  })
   res.json(result)
 })
 
+// Adds an existing user right away; unknown emails get a pending invite (202).
 app.post('/api/boards/:id/members', requireAuth, async (req, res) => {
   const { email, role } = req.body || {}
   if (!email || !role) return res.status(400).json({ error: 'email and role required' })
+  if (!['owner', 'editor', 'viewer'].includes(role)) return res.status(400).json({ error: 'Invalid role' })
+  const addr = String(email).trim().toLowerCase()
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(addr)) return res.status(400).json({ error: 'Invalid email' })
   const b = await Board.findById(req.params.id)
   if (!b) return res.status(404).json({ error: 'Not found' })
   const me = b.members.find(m => String(m.userId) === String(req.user.sub))
   if (!me || me.role !== 'owner') return res.status(403).json({ error: 'Only owner can add members' })
-  const u = await User.findOne({ email: String(email).toLowerCase() })
-  if (!u) return res.status(404).json({ error: 'User not found' })
+  const inviter = req.user.name || req.user.email || 'Someone'
+  const u = await User.findOne({ email: addr })
+
+  if (!u) {
+    const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    const existing = b.invites.find(i => i.email === addr)
+    if (existing) { existing.role = role; existing.expiresAt = expiresAt }
+    else b.invites.push({ email: addr, role, invitedBy: req.user.sub, expiresAt })
+    await b.save()
+    await sendMail({
+      to: addr,
+      subject: `${inviter} invited you to "${b.title || 'Untitled'}"`,
+      text: `${inviter} invited you to collaborate on a whiteboard as ${role}.\n` +
+        `Create an account with this email address to join: ${CLIENT_URL}/?id=${b._id}\n` +
+        `This invitation expires on ${expiresAt.toDateString()}.`,
+    })
+    const inv = b.invites.find(i => i.email === addr)
+    return res.status(202).json({ ok: true, pending: true, invite: invitePayload(inv) })
+  }
 
   const already = b.members.find(m => String(m.userId) === String(u._id))
   if (already) { already.role = role } else { b.members.push({ userId: u._id, role }) }
+  b.accessRequests = (b.accessRequests || []).filter(r => String(r.userId) !== String(u._id))
+  b.invites = (b.invites || []).filter(i => i.email !== addr)
+  await b.save()
+  await refreshRoomAccess(b)
+  if (!already) {
+    await sendMail({
+      to: addr,
+      subject: `${inviter} added you to "${b.title || 'Untitled'}"`,
+      text: `You can now open the board as ${role}: ${CLIENT_URL}/?id=${b._id}`,
+    })
+  }
+  res.json({ ok: true })
+})
+
+/* ---- Pending invites ---- */
+const invitePayload = (i) => ({
+  id: i._id.toString(), email: i.email, role: i.role, createdAt: i.createdAt, expiresAt: i.expiresAt || null,
+})
+
+app.get('/api/boards/:id/members/invites', requireAuth, async (req, res) => {
+  const b = await Board.findById(req.params.id).lean()
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!isOwner(resolveBoardAccess(b, { userId: req.user.sub }))) return res.status(403).json({ error: 'Only owner can list invites' })
+  const now = Date.now()
+  res.json((b.invites || []).filter(i => !i.expiresAt || i.expiresAt.getTime() > now).map(invitePayload))
+})
+
+app.delete('/api/boards/:id/members/invites/:inviteId', requireAuth, async (req, res) => {
+  const b = await Board.findById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!isOwner(resolveBoardAccess(b, { userId: req.user.sub }))) return res.status(403).json({ error: 'Only owner can revoke invites' })
+  const idx = b.invites.findIndex(i => String(i._id) === String(req.params.inviteId))
+  if (idx < 0) return res.status(404).json({ error: 'Invite not found' })
+  b.invites.splice(idx, 1)
   await b.save()
   res.json({ ok: true })
 })
 
+// Called on signup: turn every unexpired invite for this email into a membership
+async function redeemInvites(user) {
+  const now = new Date()
+  const boards = await Board.find({ 'invites.email': user.email })
+  const joined = []
+  for (const b of boards) {
+    const inv = b.invites.find(i => i.email === user.email)
+    b.invites = b.invites.filter(i => i.email !== user.email)
+    if (inv && (!inv.expiresAt || inv.expiresAt > now) && !b.members.some(m => String(m.userId) === String(user._id))) {
+      b.members.push({ userId: user._id, role: inv.role })
+      joined.push({ id: b._id.toString(), title: b.title, role: inv.role })
+    }
+    await b.save()
+  }
+  return joined
+}
+
 app.patch('/api/boards/:id/members', requireAuth, async (req, res) => {
   const { userId, role } = req.body || {}
   if (!userId || !role) return res.status(400).json({ error: 'userId and role required' })
@@ -352,6 +1028,7 @@ app.patch('/api/boards/:id/members', requireAuth, async (req, res) => {
   }
   m.role = role
   await b.save()
+  await refreshRoomAccess(b)
   res.json({ ok: true })
 })
 
@@ -370,178 +1047,1511 @@ app.delete('/api/boards/:id/members/:userId', requireAuth, async (req, res) => {
   }
   b.members.splice(idx, 1)
   await b.save()
+  await refreshRoomAccess(b)
   res.json({ ok: true })
 })
 
-/* ---- Link preview (stub) ---- */
-app.get('/api/link-preview', async (req, res) => {
-  try {
-    const url = String(req.query.url || '')
-    if (!url) return res.status(400).json({ error: 'Missing url' })
-    res.json({ url, title: null, description: null, image: null, siteName: null })
-  } catch {
-    res.json({ url: String(req.query.url || ''), title: null })
+/* ---- Public viewer link ---- */
+const newViewerToken = () => crypto.randomBytes(24).toString('base64url')
+
+function publicLinkPayload(b) {
+  const token = b.publicViewerToken || ''
+  if (!token) return { enabled: false, token: null, url: null }
+  const sp = new URLSearchParams({ id: b._id.toString(), token })
+  return { enabled: true, token, url: `${CLIENT_URL}/?${sp.toString()}` }
+}
+
+app.get('/api/boards/:id/public-link', requireAuth, async (req, res) => {
+  const b = await Board.findById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!canEdit(resolveBoardAccess(b, { userId: req.user.sub }))) return res.status(403).json({ error: 'Forbidden' })
+  res.json(publicLinkPayload(b))
+})
+
+// body: { enabled?: boolean, rotate?: boolean }
+// Editors may turn an existing link on; disabling and rotating are owner-only.
+app.post('/api/boards/:id/public-link', requireAuth, async (req, res) => {
+  const enabled = req.body?.enabled
+  const rotate = !!req.body?.rotate
+  const b = await Board.findById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  const access = resolveBoardAccess(b, { userId: req.user.sub })
+  if (!canEdit(access)) return res.status(403).json({ error: 'Forbidden' })
+  if ((enabled === false || rotate) && !isOwner(access)) {
+    return res.status(403).json({ error: 'Only owner can disable or rotate the public link' })
+  }
+
+  if (enabled === false) b.publicViewerToken = ''
+  else if (rotate || (enabled === true && !b.publicViewerToken)) b.publicViewerToken = newViewerToken()
+  if (b.isModified('publicViewerToken')) {
+    await b.save()
+    await refreshRoomAccess(b) // holders of the old token lose access right away
   }
+  res.json(publicLinkPayload(b))
 })
 
-/* ================ RECOVERY & EXPORT ====================== */
-app.post('/api/boards/:id/snapshots', requireAuth, async (req, res) => {
-  try {
-    const boardId = req.params.id
-    const board = await Board.findById(boardId)
-    if (!board) return res.status(404).json({ error: 'Board not found' })
-    const isMember = (board.members || []).some(m => String(m.userId) === String(req.user.sub))
-    if (!isMember) return res.status(403).json({ error: 'Forbidden' })
+/* ---- Link access & access requests ---- */
+// PATCH /api/boards/:id/settings  body: { linkAccess: 'none'|'view'|'edit' }
+app.patch('/api/boards/:id/settings', requireAuth, async (req, res) => {
+  const { linkAccess } = req.body || {}
+  if (!['none', 'view', 'edit'].includes(linkAccess)) return res.status(400).json({ error: 'linkAccess must be none, view or edit' })
+  const b = await Board.findById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!isOwner(resolveBoardAccess(b, { userId: req.user.sub }))) return res.status(403).json({ error: 'Only owner can change access settings' })
+  b.linkAccess = linkAccess
+  await b.save()
+  await refreshRoomAccess(b)
+  res.json({ ok: true, linkAccess: b.linkAccess })
+})
 
-    const tldraw = sanitizeTlSnapshotDeep(board.document?.tldraw || null)
-    const checksum = hashObj(tldraw)
-    const version = (await BoardSnapshot.countDocuments({ boardId })) + 1
-    await BoardSnapshot.create({ boardId, version, tldraw, checksum })
-    board.document = { ...(board.document || {}), updatedAt: Date.now(), tldraw }
-    await board.save()
-    return res.json({ ok: true, version, checksum })
+app.get('/api/boards/:id/access-requests', requireAuth, async (req, res) => {
+  const b = await Board.findById(req.params.id).lean()
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!isOwner(resolveBoardAccess(b, { userId: req.user.sub }))) return res.status(403).json({ error: 'Forbidden' })
+  const reqs = b.accessRequests || []
+  const users = await User.find({ _id: { $in: reqs.map(r => r.userId) } }).select('_id name email color').lean()
+  const map = new Map(users.map(u => [u._id.toString(), u]))
+  res.json(reqs.map(r => ({
+    userId: r.userId.toString(),
+    role: r.role,
+    message: r.message || '',
+    createdAt: r.createdAt,
+    name: map.get(r.userId.toString())?.name || 'User',
+    email: map.get(r.userId.toString())?.email || '',
+    color: map.get(r.userId.toString())?.color || '#7c3aed',
+  })))
+})
+
+// Signed-in non-members ask the owner for access. body: { role?: 'viewer'|'editor', message? }
+app.post('/api/boards/:id/access-requests', requireAuth, async (req, res) => {
+  const role = req.body?.role === 'editor' ? 'editor' : 'viewer'
+  const message = String(req.body?.message || '').slice(0, 500)
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Not found' })
+  const b = await Board.findById(req.params.id)
+  if (!b || b.deletedAt) return res.status(404).json({ error: 'Not found' })
+  const isMember = b.members.some(m => String(m.userId) === String(req.user.sub))
+  if (isMember) return res.status(409).json({ error: 'Already a member' })
+
+  const existing = b.accessRequests.find(r => String(r.userId) === String(req.user.sub))
+  if (existing) { existing.role = role; existing.message = message }
+  else b.accessRequests.push({ userId: req.user.sub, role, message })
+  await b.save()
+  // only owners can act on requests, so only their sockets hear about them (see userRoom)
+  const owners = b.members.filter(m => m.role === 'owner').map(m => userRoom(m.userId))
+  if (owners.length) io.to(owners).emit('access:request', { boardId: b._id.toString(), userId: req.user.sub, name: req.user.name || req.user.email, role })
+  res.status(existing ? 200 : 201).json({ ok: true, pending: true })
+})
+
+// Owner approves (optionally overriding the role) or denies a pending request
+app.post('/api/boards/:id/access-requests/:userId/approve', requireAuth, async (req, res) => {
+  const b = await Board.findById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!isOwner(resolveBoardAccess(b, { userId: req.user.sub }))) return res.status(403).json({ error: 'Only owner can approve access' })
+  const idx = b.accessRequests.findIndex(r => String(r.userId) === String(req.params.userId))
+  if (idx < 0) return res.status(404).json({ error: 'Request not found' })
+  const role = ['editor', 'viewer'].includes(req.body?.role) ? req.body.role : b.accessRequests[idx].role
+  const userId = b.accessRequests[idx].userId
+  b.accessRequests.splice(idx, 1)
+  if (!b.members.some(m => String(m.userId) === String(userId))) b.members.push({ userId, role })
+  await b.save()
+  await refreshRoomAccess(b)
+  res.json({ ok: true, role })
+})
+
+app.delete('/api/boards/:id/access-requests/:userId', requireAuth, async (req, res) => {
+  const b = await Board.findById(req.params.id)
+  if (!b) return res.status(404).json({ error: 'Not found' })
+  if (!isOwner(resolveBoardAccess(b, { userId: req.user.sub }))) return res.status(403).json({ error: 'Only owner can deny access' })
+  const idx = b.accessRequests.findIndex(r => String(r.userId) === String(req.params.userId))
+  if (idx < 0) return res.status(404).json({ error: 'Request not found' })
+  b.accessRequests.splice(idx, 1)
+  await b.save()
+  res.json({ ok: true })
+})
+
+/* ---- Chat history ---- */
+// GET /api/boards/:id/chat?limit=50              -> newest page
+// GET /api/boards/:id/chat?before=<messageId>    -> the page just older than that message
+// GET /api/boards/:id/chat?after=<messageId>     -> the page just newer (reconnect catch-up)
+// GET /api/boards/:id/chat?thread=<rootId>&...   -> the same, over the replies of one thread
+// -> { items (oldest first), hasMore }  hasMore: more pages in the same direction
+// Without `thread` only top-level messages are listed; replies are counted on their root.
+const CHAT_PAGE = 50
+
+app.get('/api/boards/:id/chat', async (req, res) => {
+  try {
+    const b = await Board.findById(req.params.id).select('members linkAccess publicViewerToken deletedAt').lean()
+    if (!b || b.deletedAt) return res.status(404).json({ error: 'Not found' })
+    const userId = userIdFromCookie(req)
+    if (!resolveBoardAccess(b, { userId, token: (req.query.token || '').toString() })) {
+      return res.status(userId ? 403 : 401).json({ error: userId ? 'Forbidden' : 'Unauthenticated' })
+    }
+    await migrateLegacyChat(b._id)
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || CHAT_PAGE, 1), 200)
+    const after = req.query.after ? String(req.query.after) : ''
+    const before = req.query.before ? String(req.query.before) : ''
+    const q = { boardId: b._id, threadId: req.query.thread ? String(req.query.thread) : null }
+    if (after || before) {
+      const c = await ChatMessage.findOne({ boardId: b._id, threadId: q.threadId, id: after || before }).select('ts').lean()
+      if (!c) return res.status(400).json({ error: 'Unknown cursor' })
+      q.$or = after
+        ? [{ ts: { $gt: c.ts } }, { ts: c.ts, _id: { $gt: c._id } }]
+        : [{ ts: { $lt: c.ts } }, { ts: c.ts, _id: { $lt: c._id } }]
+    }
+    const rows = await ChatMessage.find(q).sort(after ? { ts: 1, _id: 1 } : { ts: -1, _id: -1 }).limit(limit + 1).lean()
+    const page = rows.slice(0, limit)
+    if (!after) page.reverse()
+    res.json({ items: page.map(chatOut), hasMore: rows.length > limit })
   } catch (e) {
-    console.error('[snapshot-now] failed', e)
-    res.status(500).json({ error: 'Snapshot failed' })
+    console.error('[chat] history failed', e)
+    res.status(500).json({ error: 'Could not load chat' })
   }
 })
 
-app.get('/api/boards/:id/export', requireAuth, async (req, res) => {
+// GET /api/boards/:id/chat/:messageId/snippets/:index -> the snippet's TLContent (for "insert a copy")
+app.get('/api/boards/:id/chat/:messageId/snippets/:index', async (req, res) => {
   try {
-    const boardId = req.params.id
-    const board = await Board.findById(boardId).lean()
-    if (!board) return res.status(404).json({ error: 'Board not found' })
-    const isMember = (board.members || []).some(m => String(m.userId) === String(req.user.sub))
-    if (!isMember) return res.status(403).json({ error: 'Forbidden' })
-
-    const latestSnap = await BoardSnapshot.findOne({ boardId }).sort({ version: -1 }).lean()
-    const baseVersion = latestSnap?.version || 0
-    const snapshot = latestSnap?.tldraw || board.document?.tldraw || null
-    const ops = await BoardOp.find({ boardId }).sort({ seq: 1 }).lean()
+    const b = await Board.findById(req.params.id).select('members linkAccess publicViewerToken deletedAt').lean()
+    if (!b || b.deletedAt) return res.status(404).json({ error: 'Not found' })
+    const userId = userIdFromCookie(req)
+    if (!resolveBoardAccess(b, { userId, token: (req.query.token || '').toString() })) {
+      return res.status(userId ? 403 : 401).json({ error: userId ? 'Forbidden' : 'Unauthenticated' })
+    }
+    const m = await ChatMessage.findOne({ boardId: b._id, id: req.params.messageId, deletedAt: null }).select('attachments').lean()
+    const a = m?.attachments?.[Number(req.params.index)]
+    if (!a || a.kind !== 'snippet' || !a.content) return res.status(404).json({ error: 'Snippet not found' })
+    res.json(a.content)
+  } catch (e) {
+    console.error('[chat] snippet failed', e)
+    res.status(500).json({ error: 'Could not load snippet' })
+  }
+})
 
-    const payload = {
-      meta: {
-        exportedAt: new Date().toISOString(),
-        boardId,
-        title: board.title,
-        baseVersion,
-        checksum: latestSnap?.checksum || (snapshot ? hashObj(snapshot) : ''),
-      },
-      snapshot,
-      ops,
-      members: board.members || [],
-      chat: board.chat || [],
+/* ---- Notifications ---- */
+// GET /api/notifications?before=<id>&limit=20 -> { items (newest first), unread, nextCursor }
+app.get('/api/notifications', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.sub
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100)
+    const q = { userId }
+    if (req.query.before) {
+      if (!mongoose.isValidObjectId(req.query.before)) return res.status(400).json({ error: 'Unknown cursor' })
+      const c = await Notification.findOne({ _id: req.query.before, userId }).select('createdAt').lean()
+      if (!c) return res.status(400).json({ error: 'Unknown cursor' })
+      q.$or = [{ createdAt: { $lt: c.createdAt } }, { createdAt: c.createdAt, _id: { $lt: c._id } }]
     }
-    const filename = (board.title || 'board').toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/-+/g,'-') + '.export.json'
-    res.setHeader('Content-Type', 'application/json')
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
-    res.status(200).send(JSON.stringify(payload, null, 2))
+    const [rows, unread] = await Promise.all([
+      Notification.find(q).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean(),
+      Notification.countDocuments({ userId, readAt: null }),
+    ])
+    const page = rows.slice(0, limit)
+    const boards = await Board.find({ _id: { $in: [...new Set(page.map(n => String(n.boardId)))] } }).select('title').lean()
+    const titles = new Map(boards.map(b => [String(b._id), b.title || 'Untitled']))
+    res.json({
+      items: page.map(n => notificationOut(n, titles.get(String(n.boardId)) ?? null)),
+      unread,
+      nextCursor: rows.length > limit ? String(page[page.length - 1]._id) : null,
+    })
   } catch (e) {
-    console.error('[export] failed', e)
-    res.status(500).json({ error: 'Export failed' })
+    console.error('[notifications] list failed', e)
+    res.status(500).json({ error: 'Could not load notifications' })
   }
 })
 
-/* =================== SOCKETS (base) ===================== */
-// tiny cookie parser
-function parseCookie(header = '') {
-  const out = {}
-  header.split(';').forEach(p => {
-    const i = p.indexOf('=')
-    if (i > -1) out[p.slice(0, i).trim()] = decodeURIComponent(p.slice(i + 1))
-  })
-  return out
-}
+// POST /api/notifications/read { ids: [...] } | { boardId } | { all: true } -> { ok, unread }
+app.post('/api/notifications/read', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.sub
+    const { ids, boardId, all } = req.body || {}
+    const q = { userId, readAt: null }
+    if (Array.isArray(ids)) q._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)).slice(0, 500) }
+    else if (boardId && mongoose.isValidObjectId(boardId)) q.boardId = boardId
+    else if (all !== true) return res.status(400).json({ error: 'ids, boardId or all required' })
+    const r = await Notification.updateMany(q, { $set: { readAt: new Date() } })
+    if (r.modifiedCount) notifySync([userId])
+    res.json({ ok: true, unread: await Notification.countDocuments({ userId, readAt: null }) })
+  } catch (e) {
+    console.error('[notifications] read failed', e)
+    res.status(500).json({ error: 'Could not update notifications' })
+  }
+})
 
-// Attach userId from cookie
-io.use((socket, next) => {
+/* ---- Search ---- */
+// GET /api/search?q=&boardId=&limit= -> { items, terms }
+// Chat messages and canvas text on every board the user can open: boards they are a member
+// of, and link-shared boards they have visited. `boardId` narrows it to one of those.
+app.get('/api/search', requireAuth, async (req, res) => {
   try {
-    const cookies = parseCookie(socket.request.headers?.cookie || '')
-    const token = cookies['access_token']
-    let userId = null
-    if (token) { try { userId = jwt.verify(token, JWT_SECRET).sub } catch {} }
-    socket.data.userId = userId
-    socket.data.boardId = null
-    socket.data.role = 'viewer'
-    next()
+    const q = String(req.query.q || '').trim().slice(0, 200)
+    if (q.length < 2) return res.status(400).json({ error: 'Search for at least 2 characters' })
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50)
+    const userId = new mongoose.Types.ObjectId(req.user.sub)
+
+    const visited = await BoardVisit.find({ userId }).select('boardId').lean()
+    const filter = {
+      deletedAt: null,
+      $or: [{ 'members.userId': userId }, { _id: { $in: visited.map(v => v.boardId) }, linkAccess: { $ne: 'none' } }],
+    }
+    if (req.query.boardId) {
+      if (!mongoose.isValidObjectId(req.query.boardId)) return res.status(400).json({ error: 'Invalid boardId' })
+      filter._id = new mongoose.Types.ObjectId(String(req.query.boardId))
+    }
+    const boards = await Board.find(filter).select('title').lean()
+    const terms = searchTerms(q)
+    if (!boards.length) return res.json({ items: [], terms })
+    const ids = boards.map(b => b._id)
+
+    // Boards whose index lags behind (or whose chat is still on the board document) catch up first
+    await indexStaleBoards({ _id: { $in: ids } }, SEARCH_REINDEX_BATCH)
+    const legacy = await Board.find({ _id: { $in: ids }, 'chat.0': { $exists: true } }).select('_id').lean()
+    for (const b of legacy) await migrateLegacyChat(b._id)
+
+    const score = { $meta: 'textScore' }
+    const [messages, shapes] = await Promise.all([
+      ChatMessage.find({ boardId: { $in: ids }, deletedAt: null, $text: { $search: q } }, { score, attachments: 0, edits: 0, linkPreview: 0 })
+        .sort({ score }).limit(limit).lean(),
+      ShapeText.find({ boardId: { $in: ids }, $text: { $search: q } }, { score })
+        .sort({ score }).limit(limit).lean(),
+    ])
+
+    const titles = new Map(boards.map(b => [String(b._id), b.title || 'Untitled board']))
+    const items = [
+      ...messages.map(m => ({
+        kind: 'chat',
+        boardId: String(m.boardId),
+        boardTitle: titles.get(String(m.boardId)),
+        messageId: m.id,
+        threadId: m.threadId || null,
+        userId: m.userId,
+        name: m.name,
+        ts: m.ts,
+        excerpt: searchExcerpt(m.text, terms),
+        score: m.score,
+      })),
+      ...shapes.map(t => ({
+        kind: 'shape',
+        boardId: String(t.boardId),
+        boardTitle: titles.get(String(t.boardId)),
+        shapeId: t.shapeId,
+        pageId: t.pageId,
+        shapeType: t.type,
+        excerpt: searchExcerpt(t.text, terms),
+        score: t.score,
+      })),
+    ].sort((a, b) => b.score - a.score).slice(0, limit)
+    res.json({ items, terms })
   } catch (e) {
-    next(e)
+    console.error('[search] failed', e)
+    res.status(500).json({ error: 'Search failed' })
   }
 })
 
-/* ===== Presence store: room -> (socketId -> user) ===== */
-const presenceByBoard = new Map()
+/* ---- Link previews ---- */
+// Fetching and parsing live in lib/linkPreview.js (SSRF guard, time and size caps);
+// results, and failures for a shorter time, are cached in Mongo.
+const previewer = createLinkPreviewer({ timeoutMs: LINK_PREVIEW_TIMEOUT_MS, maxBytes: LINK_PREVIEW_MAX_BYTES })
 
-/* ============== Merge/persist helpers for ops =========== */
-function mergeOps(existing, incoming) {
-  const map = new Map()
-  ;[...existing, ...incoming].forEach(op => {
-    const cur = map.get(op.id)
-    if (!cur || op.ts >= cur.ts) map.set(op.id, op)
-  })
-  return Array.from(map.values()).sort((a, b) => a.ts - b.ts)
-}
-
-const _buffers = new Map() // boardId -> { ops:[], snapshot:null, timer:null }
-function enqueuePersist(boardId, ops, snapshot) {
-  let buf = _buffers.get(boardId)
-  if (!buf) { buf = { ops: [], snapshot: null, timer: null }; _buffers.set(boardId, buf) }
-  if (ops?.length) buf.ops.push(...ops)
-  if (snapshot) buf.snapshot = snapshot
-  if (!buf.timer) {
-    buf.timer = setTimeout(async () => {
-      const payload = _buffers.get(boardId)
-      _buffers.delete(boardId)
-      if (!payload) return
-      try {
-        const b = await Board.findById(boardId)
-        const doc = b?.document || { tldraw: null, ops: [] }
-        doc.ops = mergeOps(doc.ops || [], payload.ops || [])
-        doc.updatedAt = Date.now()
-        if (payload.snapshot) {
-          const safe = sanitizeTlSnapshotDeep(payload.snapshot)
-          if (safe) doc.tldraw = safe
-        }
-        await Board.findByIdAndUpdate(boardId, { $set: { document: doc } })
-      } catch (e) {
-        console.warn('[persist] failed', e?.message || e)
-      }
-    }, 150)
+const _previewInflight = new Map() // url -> Promise (concurrent requests for one link share a fetch)
+
+async function getLinkPreview(target) {
+  const key = target.href
+  const hit = await LinkPreview.findOne({ url: key, expiresAt: { $gt: new Date() } }).lean()
+  if (hit) {
+    if (hit.data) return hit.data
+    throw Object.assign(new Error(hit.error || 'No preview'), { status: hit.status || 422 })
   }
+  if (_previewInflight.has(key)) return _previewInflight.get(key)
+
+  const job = (async () => {
+    try {
+      const data = await previewer.buildPreview(target)
+      const expiresAt = new Date(Date.now() + LINK_PREVIEW_TTL_HOURS * 3600000)
+      await LinkPreview.updateOne({ url: key }, { $set: { data, error: null, status: 200, expiresAt } }, { upsert: true })
+      return data
+    } catch (e) {
+      const status = e.status || 422
+      const error = status === 400 ? e.message : 'Could not load a preview for this link'
+      const expiresAt = new Date(Date.now() + 10 * 60000) // retry failures after 10 minutes
+      await LinkPreview.updateOne({ url: key }, { $set: { data: null, error, status, expiresAt } }, { upsert: true })
+        .catch(() => {})
+      throw Object.assign(new Error(error), { status })
+    } finally {
+      _previewInflight.delete(key)
+    }
+  })()
+  _previewInflight.set(key, job)
+  return job
 }
 
-/* =================== SOCKETS (events) =================== */
-io.on('connection', (socket) => {
-  console.log('[socket] connected', socket.id, 'user=', socket.data.userId)
+// A preview that is already cached, or null; never fetches
+async function cachedLinkPreview(target) {
+  const hit = await LinkPreview.findOne({ url: target.href, expiresAt: { $gt: new Date() } }).select('data').lean()
+  return hit?.data || null
+}
 
-  // Join a board room
-  socket.on('room:join', async ({ boardId, token } = {}, ack) => {
+// Chat previews come from the server only (a client's linkPreview is ignored). A cached one goes
+// out with the message; otherwise the message is sent without and a chat:update follows once the
+// fetch finishes, unless the text changed meanwhile.
+async function chatLinkPreview(text) {
+  const url = firstLink(text)
+  return { url, data: url ? await cachedLinkPreview(url).catch(() => null) : null }
+}
+
+function attachLinkPreviewLater(boardId, messageId, text, url) {
+  getLinkPreview(url)
+    .then(data => ChatMessage.findOneAndUpdate(
+      { boardId, id: messageId, text, deletedAt: null },
+      { $set: { linkPreview: data } },
+      { new: true }
+    ).lean())
+    .then(updated => { if (updated) io.to(boardId).emit('chat:update', chatOut(updated)) })
+    .catch(() => {}) // no preview for this link
+}
+
+// GET /api/link-preview?url= -> { url, title, description, image, siteName, author, type }
+app.get('/api/link-preview', requireAuth, async (req, res) => {
+  try {
+    res.json(await getLinkPreview(normalizePreviewUrl(String(req.query.url || ''))))
+  } catch (e) {
+    if (!e.status) console.warn('[link-preview] failed', e?.message || e)
+    res.status(e.status || 500).json({ error: e.status ? e.message : 'Could not load a preview for this link' })
+  }
+})
+
+/* ---- Uploads ---- */
+// Allowed types, each with a magic-number check so a renamed file can't sneak through
+const UPLOAD_TYPES = {
+  'image/png':  { ext: 'png',  sniff: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/jpeg': { ext: 'jpg',  sniff: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/gif':  { ext: 'gif',  sniff: (b) => b.subarray(0, 4).toString('ascii') === 'GIF8' },
+  'image/webp': { ext: 'webp', sniff: (b) => b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP' },
+  'application/pdf': { ext: 'pdf', sniff: (b) => b.subarray(0, 5).toString('ascii') === '%PDF-' },
+  // the rest is what tldraw accepts on drop (DEFAULT_SUPPORTED_MEDIA_TYPE_LIST)
+  'image/svg+xml': { ext: 'svg', sniff: (b) => /<svg[\s>]/i.test(b.subarray(0, 65536).toString('utf8')), clean: sanitizeSvg },
+  'image/apng': { ext: 'apng', sniff: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/avif': { ext: 'avif', sniff: (b) => b.subarray(4, 8).toString('ascii') === 'ftyp' && ['avif', 'avis'].includes(b.subarray(8, 12).toString('ascii')) },
+  'video/mp4': { ext: 'mp4', sniff: (b) => b.subarray(4, 8).toString('ascii') === 'ftyp' },
+  'video/webm': { ext: 'webm', sniff: (b) => b.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])) },
+  'video/quicktime': { ext: 'mov', sniff: (b) => ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'].includes(b.subarray(4, 8).toString('ascii')) },
+}
+
+// Browsers run script inside SVGs opened directly, so anything that executes or loads from
+// elsewhere is stripped. /uploads also serves SVGs under a script-free CSP (see static uploads).
+function sanitizeSvg(buf) {
+  let s = buf.toString('utf8')
+  s = s.replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '') // entity definitions
+  s = s.replace(/<(script|foreignObject|iframe|embed|object)\b[\s\S]*?<\/\1\s*>/gi, '')
+  s = s.replace(/<\/?(script|foreignObject|iframe|embed|object)\b[^>]*>/gi, '')
+  s = s.replace(/\s(on[\w-]+)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+  s = s.replace(/\s[\w:-]+\s*=\s*("[^"]*javascript:[^"]*"|'[^']*javascript:[^']*')/gi, '')
+  // links only to fragments or inline raster images
+  s = s.replace(/\s((?:xlink:)?href|src)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, (m, _attr, v) =>
+    /^["']?\s*(#|data:image\/(png|jpe?g|gif|webp)[;,])/i.test(v) ? m : '')
+  s = s.replace(/@import[^;]*;?/gi, '')
+  s = s.replace(/url\(\s*(['"]?)(?!#|data:image\/)[^)]*\)/gi, 'none')
+  return Buffer.from(s, 'utf8')
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!UPLOAD_TYPES[file.mimetype]) req.uploadRejected = file.mimetype || 'unknown'
+    cb(null, !!UPLOAD_TYPES[file.mimetype])
+  },
+})
+
+// POST /api/upload?boardId=   (multipart field "file")
+// Files are stored as uploads/<boardId|user-<id>>/<sha256>.<ext>, so re-uploads dedupe.
+app.post('/api/upload', requireAuth, (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    try {
+      if (err?.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `File too large (max ${UPLOAD_MAX_BYTES} bytes)` })
+      if (err) return res.status(400).json({ error: err.message || 'Upload failed' })
+      const file = req.file
+      if (!file && req.uploadRejected) {
+        return res.status(415).json({ error: `Unsupported file type (${req.uploadRejected}). Allowed: ${Object.keys(UPLOAD_TYPES).join(', ')}` })
+      }
+      if (!file) return res.status(400).json({ error: 'Missing file' })
+      const type = UPLOAD_TYPES[file.mimetype]
+      if (!type.sniff(file.buffer)) return res.status(415).json({ error: 'File content does not match its type' })
+      if (type.clean) {
+        file.buffer = type.clean(file.buffer)
+        file.size = file.buffer.length
+      }
+
+      let folder = `user-${req.user.sub}`
+      const boardId = String(req.query.boardId || req.body?.boardId || '')
+      if (boardId) {
+        if (!mongoose.isValidObjectId(boardId)) return res.status(400).json({ error: 'Invalid boardId' })
+        const b = await Board.findById(boardId).select('members linkAccess').lean()
+        if (!b) return res.status(404).json({ error: 'Board not found' })
+        if (!canEdit(resolveBoardAccess(b, { userId: req.user.sub }))) return res.status(403).json({ error: 'Forbidden' })
+        folder = boardId
+      }
+
+      const hash = crypto.createHash('sha256').update(file.buffer).digest('hex')
+      const filename = `${hash}.${type.ext}`
+      const dir = path.join(uploadsDir, folder)
+      const dest = path.join(dir, filename)
+      await fs.promises.mkdir(dir, { recursive: true })
+      const existed = fs.existsSync(dest)
+      if (!existed) await fs.promises.writeFile(dest, file.buffer)
+
+      res.status(existed ? 200 : 201).json({
+        ok: true,
+        url: `/uploads/${folder}/${filename}`,
+        hash,
+        size: file.size,
+        mime: file.mimetype,
+        name: file.originalname,
+        deduped: existed,
+      })
+    } catch (e) {
+      console.error('[upload] failed', e)
+      res.status(500).json({ error: 'Upload failed' })
+    }
+  })
+})
+
+/* ================ RECOVERY & EXPORT ====================== */
+app.post('/api/boards/:id/snapshots', requireAuth, async (req, res) => {
+  try {
+    const boardId = req.params.id
+    const board = await Board.findById(boardId)
+    if (!board) return res.status(404).json({ error: 'Board not found' })
+    if (!canEdit(resolveBoardAccess(board, { userId: req.user.sub }))) return res.status(403).json({ error: 'Forbidden' })
+
+    const tldraw = await currentDocument(boardId)
+    const { version, checksum } = await writeSnapshot({ boardId, tldraw, authorId: req.user.sub, reason: 'manual' })
+    return res.json({ ok: true, version, checksum })
+  } catch (e) {
+    console.error('[snapshot-now] failed', e)
+    res.status(500).json({ error: 'Snapshot failed' })
+  }
+})
+
+/* ---- Version history ---- */
+// GET /api/boards/:id/versions?limit=50&before=<version>  (newest first, no payload)
+app.get('/api/boards/:id/versions', requireAuth, async (req, res) => {
+  try {
+    const boardId = req.params.id
+    const board = await Board.findById(boardId).lean()
+    if (!board) return res.status(404).json({ error: 'Board not found' })
+    if (!resolveBoardAccess(board, { userId: req.user.sub })) return res.status(403).json({ error: 'Forbidden' })
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+    const filter = { boardId }
+    const before = parseInt(req.query.before, 10)
+    if (Number.isFinite(before)) filter.version = { $lt: before }
+    const rows = await BoardSnapshot.find(filter).sort({ version: -1 }).limit(limit + 1)
+      .select('version seq checksum authorId reason restoredFrom createdAt').lean()
+    const page = rows.slice(0, limit)
+    const authors = await User.find({ _id: { $in: page.map(r => r.authorId).filter(Boolean) } }).select('_id name email color').lean()
+    const map = new Map(authors.map(u => [u._id.toString(), u]))
+    res.json({
+      items: page.map(r => ({
+        version: r.version,
+        seq: r.seq ?? null,
+        checksum: r.checksum,
+        reason: r.reason || 'auto',
+        restoredFrom: r.restoredFrom ?? null,
+        createdAt: r.createdAt,
+        author: r.authorId
+          ? { id: r.authorId.toString(), name: map.get(r.authorId.toString())?.name || 'User', color: map.get(r.authorId.toString())?.color || '#7c3aed' }
+          : null,
+      })),
+      nextBefore: rows.length > limit ? page[page.length - 1].version : null,
+    })
+  } catch (e) {
+    console.error('[versions] list failed', e)
+    res.status(500).json({ error: 'Could not list versions' })
+  }
+})
+
+app.get('/api/boards/:id/versions/:version', requireAuth, async (req, res) => {
+  try {
+    const boardId = req.params.id
+    const board = await Board.findById(boardId).lean()
+    if (!board) return res.status(404).json({ error: 'Board not found' })
+    if (!resolveBoardAccess(board, { userId: req.user.sub })) return res.status(403).json({ error: 'Forbidden' })
+    const snap = await BoardSnapshot.findOne({ boardId, version: Number(req.params.version) }).lean()
+    if (!snap) return res.status(404).json({ error: 'Version not found' })
+    res.json({
+      version: snap.version,
+      checksum: snap.checksum,
+      reason: snap.reason || 'auto',
+      createdAt: snap.createdAt,
+      tldraw: sanitizeTlSnapshotDeep(snap.tldraw),
+    })
+  } catch (e) {
+    console.error('[versions] fetch failed', e)
+    res.status(500).json({ error: 'Could not load version' })
+  }
+})
+
+// Restoring never rewrites history: the old state becomes a new head version.
+app.post('/api/boards/:id/versions/:version/restore', requireAuth, async (req, res) => {
+  try {
+    const boardId = req.params.id
+    const board = await Board.findById(boardId)
+    if (!board) return res.status(404).json({ error: 'Board not found' })
+    if (!canEdit(resolveBoardAccess(board, { userId: req.user.sub }))) return res.status(403).json({ error: 'Forbidden' })
+    const from = Number(req.params.version)
+    const snap = await BoardSnapshot.findOne({ boardId, version: from }).lean()
+    if (!snap) return res.status(404).json({ error: 'Version not found' })
+
+    const tldraw = sanitizeTlSnapshotDeep(snap.tldraw)
+    const { version, checksum, seq } = await writeSnapshot({ boardId, tldraw, authorId: req.user.sub, reason: 'restore', restoredFrom: from })
+    await replaceDocument(boardId, tldraw, seq)
+    clusterEmit('doc:replace', { boardId, tldraw, seq })
+    board.document = { tldraw, seq, updatedAt: Date.now() }
+    await board.save()
+
+    io.to(boardId).emit('board:restored', { boardId, version, restoredFrom: from, by: req.user.sub, doc: { tldraw } })
+    res.json({ ok: true, version, checksum, restoredFrom: from })
+  } catch (e) {
+    console.error('[versions] restore failed', e)
+    res.status(500).json({ error: 'Restore failed' })
+  }
+})
+
+/* ---- Replay ---- */
+// GET /api/boards/:id/replay?from=<seq>        -> base snapshot (nearest at or before seq) + frames after it
+// GET /api/boards/:id/replay?after=<seq>       -> next page of frames only
+// Frames are ops ({ seq, ts, authorId, changes }) interleaved with restore/import checkpoints
+// ({ seq, ts, authorId, version, reason, tldraw }) that replace the whole document.
+const REPLAY_PAGE = 2000
+app.get('/api/boards/:id/replay', requireAuth, async (req, res) => {
+  try {
+    const boardId = req.params.id
+    const board = await Board.findById(boardId).lean()
+    if (!board) return res.status(404).json({ error: 'Board not found' })
+    if (!resolveBoardAccess(board, { userId: req.user.sub })) return res.status(403).json({ error: 'Forbidden' })
+
+    let base = null
+    let after = parseInt(req.query.after, 10)
+    if (!Number.isFinite(after)) {
+      const from = parseInt(req.query.from, 10)
+      const filter = { boardId, seq: { $ne: null } }
+      if (Number.isFinite(from)) filter.seq = { $ne: null, $lte: from }
+      // Without `from`, start at the very beginning: an empty board at seq 0
+      const snap = Number.isFinite(from)
+        ? await BoardSnapshot.findOne(filter).sort({ seq: -1, version: -1 }).lean()
+        : null
+      base = snap
+        ? { version: snap.version, seq: snap.seq, createdAt: snap.createdAt, tldraw: sanitizeTlSnapshotDeep(snap.tldraw) }
+        : { version: 0, seq: 0, createdAt: board.createdAt, tldraw: null }
+      after = base.seq
+    }
+
+    const ops = await BoardOp.find({ boardId, seq: { $gt: after } }).sort({ seq: 1 }).limit(REPLAY_PAGE + 1).lean()
+    const hasMore = ops.length > REPLAY_PAGE
+    const page = ops.slice(0, REPLAY_PAGE)
+    const upTo = hasMore ? page[page.length - 1].seq : Infinity
+    const checkpointFilter = { boardId, reason: { $in: ['restore', 'import'] }, seq: { $gte: after } }
+    if (hasMore) checkpointFilter.seq.$lt = upTo
+    const checkpoints = await BoardSnapshot.find(checkpointFilter).sort({ seq: 1, version: 1 }).lean()
+
+    const frames = []
+    let ci = 0
+    const pushCheckpoints = (seq) => {
+      while (ci < checkpoints.length && checkpoints[ci].seq <= seq) {
+        const c = checkpoints[ci++]
+        // skip the checkpoint the base itself was taken from
+        if (base && c.version === base.version) continue
+        frames.push({ seq: c.seq, ts: c.createdAt, authorId: c.authorId, version: c.version, reason: c.reason, tldraw: sanitizeTlSnapshotDeep(c.tldraw) })
+      }
+    }
+    pushCheckpoints(after)
+    for (const o of page) {
+      pushCheckpoints(o.seq - 1)
+      frames.push({ seq: o.seq, ts: o.op?.ts || o.ts, authorId: o.authorId || null, changes: o.op?.changes || null })
+    }
+    if (!hasMore) pushCheckpoints(Infinity)
+
+    const ids = [...new Set(frames.map(f => f.authorId && String(f.authorId)).filter(Boolean))]
+    const users = await User.find({ _id: { $in: ids } }).select('_id name color').lean()
+    const authors = Object.fromEntries(users.map(u => [u._id.toString(), { name: u.name || 'User', color: u.color || '#7c3aed' }]))
+
+    res.json({
+      base,
+      frames,
+      authors,
+      nextAfter: hasMore ? page[page.length - 1].seq : null,
+      headSeq: await currentBoardSeq(boardId),
+    })
+  } catch (e) {
+    console.error('[replay] failed', e)
+    res.status(500).json({ error: 'Could not load replay' })
+  }
+})
+
+app.get('/api/boards/:id/export', requireAuth, async (req, res) => {
+  try {
+    const boardId = req.params.id
+    const board = await Board.findById(boardId).lean()
+    if (!board) return res.status(404).json({ error: 'Board not found' })
+    const isMember = (board.members || []).some(m => String(m.userId) === String(req.user.sub))
+    if (!isMember) return res.status(403).json({ error: 'Forbidden' })
+
+    // the document as it is now, not the last saved version (which can be up to 200 ops behind)
+    const { tldraw: snapshot, seq } = await currentDocumentAt(boardId, { flush: true })
+    const latestSnap = await BoardSnapshot.findOne({ boardId }).sort({ version: -1 }).select('version').lean()
+    const baseVersion = latestSnap?.version || 0
+    const ops = await BoardOp.find({ boardId }).sort({ seq: 1 }).lean()
+    await migrateLegacyChat(boardId)
+    const chat = await ChatMessage.find({ boardId }).sort({ ts: 1, _id: 1 }).lean()
+
+    const payload = {
+      meta: {
+        exportedAt: new Date().toISOString(),
+        boardId,
+        title: board.title,
+        baseVersion,
+        seq, // `snapshot` includes every op up to this seq
+        // checksum always describes `snapshot` as exported (POST /api/boards/import verifies it)
+        checksum: hashObj(snapshot),
+      },
+      snapshot,
+      ops,
+      members: board.members || [],
+      chat: chat.map(chatOut),
+    }
+    const filename = (board.title || 'board').toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/-+/g,'-') + '.export.json'
+    res.setHeader('Content-Type', 'application/json')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.status(200).send(JSON.stringify(payload, null, 2))
+  } catch (e) {
+    console.error('[export] failed', e)
+    res.status(500).json({ error: 'Export failed' })
+  }
+})
+
+/* ---- Import (mirror of export) ---- */
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+})
+const flag = (v) => v === true || v === '1' || v === 'true' || v === 'on'
+
+// Returns an error string, or null when `p` looks like GET /api/boards/:id/export output
+function validateExport(p) {
+  if (!isPlainObject(p)) return 'Export must be a JSON object'
+  if (!isPlainObject(p.meta)) return 'Missing meta'
+  if (p.meta.title != null && typeof p.meta.title !== 'string') return 'meta.title must be a string'
+  if (p.snapshot != null && !isPlainObject(p.snapshot)) return 'snapshot must be an object or null'
+  if (!Array.isArray(p.ops)) return 'ops must be an array'
+  const badOp = p.ops.findIndex(o => !isPlainObject(o) || !isPlainObject(o.op) || (o.seq != null && !Number.isFinite(o.seq)))
+  if (badOp !== -1) return `ops[${badOp}] is not a valid op`
+  if (p.members != null && !Array.isArray(p.members)) return 'members must be an array'
+  if (p.chat != null && !Array.isArray(p.chat)) return 'chat must be an array'
+  if (typeof p.meta.checksum !== 'string' || !p.meta.checksum) return 'Missing meta.checksum'
+  if (hashObj(p.snapshot) !== p.meta.checksum) return 'Checksum mismatch: snapshot was modified or truncated'
+  return null
+}
+
+// POST /api/boards/import   multipart field "file" (*.export.json) or a JSON body;
+// options keepChat / keepMembers as form fields, JSON fields or query params.
+// Always creates a new board owned by the importer; op seqs are renumbered from 1.
+app.post('/api/boards/import', requireAuth, (req, res) => {
+  importUpload.single('file')(req, res, async (err) => {
+    let boardId = null
+    try {
+      if (err?.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `Export too large (max ${IMPORT_MAX_BYTES} bytes)` })
+      if (err) return res.status(400).json({ error: err.message || 'Import failed' })
+
+      let payload = req.body
+      if (req.file) {
+        try { payload = JSON.parse(req.file.buffer.toString('utf8')) }
+        catch { return res.status(400).json({ error: 'File is not valid JSON' }) }
+      }
+      const problem = validateExport(payload)
+      if (problem) return res.status(422).json({ error: problem })
+
+      const keepChat = flag(req.body?.keepChat ?? req.query.keepChat)
+      const keepMembers = flag(req.body?.keepMembers ?? req.query.keepMembers)
+      const me = req.user.sub
+
+      const members = [{ userId: me, role: 'owner' }]
+      if (keepMembers) {
+        const wanted = (payload.members || []).filter(m => mongoose.isValidObjectId(m?.userId) && String(m.userId) !== String(me))
+        const existing = new Set((await User.find({ _id: { $in: wanted.map(m => m.userId) } }).select('_id').lean()).map(u => u._id.toString()))
+        for (const m of wanted) {
+          if (!existing.has(String(m.userId)) || members.some(x => String(x.userId) === String(m.userId))) continue
+          // the importer is the only owner of the copy
+          members.push({ userId: m.userId, role: m.role === 'viewer' ? 'viewer' : 'editor' })
+        }
+      }
+      const chat = keepChat
+        ? (payload.chat || []).filter(isPlainObject).map(c => ({
+            id: c.id ? String(c.id).slice(0, 100) : crypto.randomUUID(),
+            userId: mongoose.isValidObjectId(c.userId) ? String(c.userId) : '',
+            name: String(c.name || ''),
+            text: String(c.text || ''),
+            replyTo: c.replyTo ? String(c.replyTo) : null,
+            threadId: c.threadId ? String(c.threadId) : null,
+            replyCount: Number(c.replyCount) || 0,
+            lastReplyAt: Number(c.lastReplyAt) || null,
+            reactions: isPlainObject(c.reactions) ? c.reactions : {},
+            linkPreview: cleanPreview(c.linkPreview),
+            ts: Number(c.ts) || Date.now(),
+            editedAt: Number(c.editedAt) || null,
+            edits: (Array.isArray(c.edits) ? c.edits : []).filter(isPlainObject)
+              .map(e => ({ text: String(e.text || ''), ts: Number(e.ts) || 0 })).slice(-CHAT_EDIT_HISTORY),
+            deletedAt: c.deleted ? Number(c.deleted.at) || Date.now() : null,
+            moderated: c.deleted?.by === 'moderator',
+          }))
+        : []
+
+      // Duplicate opIds keep their first occurrence
+      const seen = new Set()
+      const logged = [...payload.ops]
+        .sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0))
+        .filter(o => {
+          const id = o.opId || o.op?.id
+          if (!id) return true
+          if (seen.has(id)) return false
+          seen.add(id)
+          return true
+        })
+
+      // The snapshot goes through the same migration and schema validation as a live document.
+      // meta.seq is the last op it includes; later ops are replayed onto it (exports without it
+      // are taken as current).
+      const upTo = Number(payload.meta.seq)
+      const tail = Number.isFinite(upTo) ? logged.filter(o => (o.seq ?? 0) > upTo).map(o => o.op) : []
+      let tldraw
+      try { tldraw = sanitizeTlSnapshotDeep(replayDocOps(sanitizeTlSnapshotDeep(payload.snapshot || null), tail)) }
+      catch (e) { return res.status(422).json({ error: `Snapshot could not be loaded: ${e?.message || e}` }) }
+
+      const title = (String(req.body?.title || payload.meta.title || 'Imported board').trim() || 'Imported board').slice(0, 200)
+      const board = await Board.create({
+        title,
+        members,
+        document: { tldraw, seq: logged.length, updatedAt: Date.now() },
+      })
+      boardId = board._id
+      if (chat.length) {
+        const seenIds = new Set()
+        const rows = chat.filter(c => !seenIds.has(c.id) && seenIds.add(c.id)).map(c => ({ ...c, boardId }))
+        for (let i = 0; i < rows.length; i += 1000) await ChatMessage.insertMany(rows.slice(i, i + 1000), { ordered: true })
+      }
+
+      // Renumber seqs 1..n in original order
+      const ops = logged
+        .map((o, i) => ({
+          boardId,
+          seq: i + 1,
+          opId: o.opId || o.op?.id || crypto.randomUUID(),
+          op: o.op,
+          authorId: mongoose.isValidObjectId(o.authorId) ? o.authorId : null,
+          ts: o.ts ? new Date(o.ts) : new Date(),
+        }))
+      for (let i = 0; i < ops.length; i += 1000) await BoardOp.insertMany(ops.slice(i, i + 1000), { ordered: true })
+      await Counter.updateOne({ _id: `board:${boardId}:op_seq` }, { $set: { seq: ops.length } }, { upsert: true })
+
+      const { version } = await writeSnapshot({ boardId, tldraw, authorId: me, reason: 'import' })
+
+      res.status(201).json({
+        ok: true,
+        board: { _id: boardId, title, role: 'owner' },
+        ops: ops.length,
+        version,
+        members: members.length,
+        chat: chat.length,
+      })
+    } catch (e) {
+      console.error('[import] failed', e)
+      if (boardId) await purgeBoard(boardId).catch(() => {})
+      res.status(500).json({ error: 'Import failed' })
+    }
+  })
+})
+
+/* =================== SOCKETS (base) ===================== */
+// tiny cookie parser
+function parseCookie(header = '') {
+  const out = {}
+  header.split(';').forEach(p => {
+    const i = p.indexOf('=')
+    if (i > -1) out[p.slice(0, i).trim()] = decodeURIComponent(p.slice(i + 1))
+  })
+  return out
+}
+
+// Attach userId from cookie
+io.use((socket, next) => {
+  try {
+    const cookies = parseCookie(socket.request.headers?.cookie || '')
+    const token = cookies['access_token']
+    let userId = null
+    if (token) { try { userId = jwt.verify(token, JWT_SECRET).sub } catch {} }
+    socket.data.userId = userId
+    socket.data.boardId = null
+    socket.data.role = 'viewer'
+    next()
+  } catch (e) {
+    next(e)
+  }
+})
+
+/* ================ CLUSTER (realtime adapter) ================ */
+// REALTIME_ADAPTER=memory (default): one process; rooms, presence and live documents
+// are all in this process's memory.
+// REALTIME_ADAPTER=mongo: several instances can serve one board. io.to(room) and
+// fetchSockets() reach every instance through @socket.io/mongo-adapter (a capped
+// collection read by change stream, so it needs the replica set transactions already
+// rely on), and accepted ops are fanned out so each instance's live document converges.
+// Presence needs nothing extra: the roster is read from socket.data across instances.
+const CLUSTERED = REALTIME_ADAPTER === 'mongo'
+if (!['memory', 'mongo'].includes(REALTIME_ADAPTER)) {
+  console.warn(`[cluster] unknown REALTIME_ADAPTER "${REALTIME_ADAPTER}", using memory`)
+}
+
+async function attachRealtimeAdapter() {
+  if (!CLUSTERED) return
+  const db = mongoose.connection.db
+  try {
+    await db.createCollection(REALTIME_COLLECTION, { capped: true, size: 16 * 1024 * 1024 })
+  } catch (e) {
+    if (e?.codeName !== 'NamespaceExists') throw e
+  }
+  io.adapter(createAdapter(db.collection(REALTIME_COLLECTION)))
+  console.log('[cluster] mongo adapter on collection', REALTIME_COLLECTION)
+}
+
+// Server-to-server messages; a no-op for a single process
+function clusterEmit(event, payload) {
+  if (CLUSTERED) io.serverSideEmit(event, payload)
+}
+
+function onCluster(event, handler) {
+  io.on(event, (payload = {}) => {
+    Promise.resolve(handler(payload)).catch(e => console.warn(`[cluster] ${event} failed`, e?.message || e))
+  })
+}
+
+// Everyone present on a board, whichever instance their socket is on
+async function presenceRoster(boardId) {
+  const sockets = await io.in(boardId).fetchSockets()
+  return sockets.map(s => s.data.presence).filter(Boolean)
+}
+
+/* ---- Presence status, leave grace & last seen ---- */
+// Clients report active | idle | away. A dropped socket is shown as away and only
+// leaves after PRESENCE_GRACE_MS, unless the same user joins again first (reconnect),
+// in which case the old entry is swapped out at once. Timers are per instance: a
+// reconnect that lands on another instance just waits out the grace period.
+const PRESENCE_STATUSES = new Set(['active', 'idle', 'away'])
+const _leaving = new Map() // `${boardId}:${presence id}` -> { socketId, timer }
+
+function leaveLater(boardId, socketId, record, userId) {
+  io.to(boardId).emit('presence:status', { boardId, socketId, status: 'away', disconnected: true, since: Date.now() })
+  const key = `${boardId}:${record.id}`
+  const prev = _leaving.get(key)
+  if (prev) clearTimeout(prev.timer)
+  const timer = setTimeout(() => {
+    _leaving.delete(key)
+    leaveNow(boardId, socketId, record, userId)
+  }, PRESENCE_GRACE_MS)
+  timer.unref?.()
+  _leaving.set(key, { socketId, timer })
+}
+
+function leaveNow(boardId, socketId, record, userId) {
+  io.to(boardId).emit('presence:leave', socketId)
+  if (userId) noteVisit(boardId, userId, record)
+}
+
+// A reconnecting user replaces their old, still-graced entry
+function cancelLeave(boardId, record) {
+  const key = `${boardId}:${record.id}`
+  const pending = _leaving.get(key)
+  if (!pending) return
+  clearTimeout(pending.timer)
+  _leaving.delete(key)
+  io.to(boardId).emit('presence:leave', pending.socketId)
+}
+
+function noteVisit(boardId, userId, record) {
+  BoardVisit.updateOne(
+    { boardId, userId },
+    { $set: { name: record.name, color: record.color, lastSeenAt: new Date() } },
+    { upsert: true }
+  ).catch(e => console.warn('[presence] last-seen write failed', e?.message || e))
+}
+
+// Members seen within LAST_SEEN_DAYS who aren't here now
+async function recentVisitors(boardId, presentIds) {
+  const since = new Date(Date.now() - LAST_SEEN_DAYS * 86400000)
+  const visits = await BoardVisit.find({ boardId, lastSeenAt: { $gte: since } }).sort({ lastSeenAt: -1 }).limit(50).lean()
+  return visits
+    .filter(v => !presentIds.has(String(v.userId)))
+    .map(v => ({ id: String(v.userId), name: v.name || 'User', color: v.color || '#7c3aed', lastSeenAt: v.lastSeenAt }))
+}
+
+/* ======================== SEARCH ========================= */
+// Chat is searched through the text index on ChatMessage.text. Canvas text is copied into
+// ShapeText whenever a live document persists (flushDoc). Boards whose document changed
+// without a live store (imports, restores of unloaded boards, boards saved before the index
+// existed) have document.textIndexedAt behind document.updatedAt; they are re-indexed from
+// the stored snapshot at startup and, for the boards a search covers, before it runs.
+const TEXT_INDEX_STALE = {
+  $expr: { $lt: [{ $ifNull: ['$document.textIndexedAt', -1] }, { $ifNull: ['$document.updatedAt', 0] }] },
+}
+
+// Words of a query, for excerpts and highlighting ("-word" excludes, so it's left out)
+function searchTerms(q) {
+  const words = String(q).replace(/(^|\s)-\S+/g, ' ').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []
+  return [...new Set(words)].slice(0, 10)
+}
+
+// ~width characters of `text` around the first term found
+function searchExcerpt(text, terms, width = 160) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim()
+  const lower = flat.toLowerCase()
+  const hits = terms.map(t => lower.indexOf(t)).filter(i => i >= 0)
+  const start = hits.length ? Math.max(0, Math.min(...hits) - Math.floor(width / 3)) : 0
+  const end = Math.min(flat.length, start + width)
+  return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '')
+}
+
+// Text each shape shows (labels of text, note, geo and arrow shapes; frame names) and its page
+function shapeTexts(records) {
+  const byId = new Map(records.map(r => [r.id, r]))
+  const pageOf = (r) => {
+    let p = r
+    for (let i = 0; p?.typeName === 'shape' && i < 64; i++) p = byId.get(p.parentId)
+    return p?.typeName === 'page' ? p.id : null
+  }
+  const out = []
+  for (const r of records) {
+    if (r?.typeName !== 'shape') continue
+    const text = [r.props?.text, r.props?.name].filter(t => typeof t === 'string' && t.trim()).join('\n').slice(0, 20000)
+    if (text) out.push({ shapeId: r.id, pageId: pageOf(r), type: r.type, text })
+  }
+  return out
+}
+
+// Brings a board's ShapeText rows in line with `records`. `known` is what the previous call
+// returned for this board (shapeId -> signature), so unchanged shapes aren't written again.
+async function syncShapeText(boardId, records, known = null) {
+  const rows = shapeTexts(records)
+  const next = new Map(rows.map(r => [r.shapeId, `${r.pageId}\n${r.type}\n${r.text}`]))
+  const changed = rows.filter(r => known?.get(r.shapeId) !== next.get(r.shapeId))
+  if (changed.length) {
+    await ShapeText.bulkWrite(changed.map(r => ({
+      updateOne: { filter: { boardId, shapeId: r.shapeId }, update: { $set: { ...r, updatedAt: new Date() } }, upsert: true },
+    })), { ordered: false })
+  }
+  if (!known || [...known.keys()].some(id => !next.has(id))) {
+    await ShapeText.deleteMany({ boardId, shapeId: { $nin: [...next.keys()] } })
+  }
+  return next
+}
+
+async function reindexBoardText(boardId) {
+  const live = _docs.get(String(boardId))
+  if (live) {
+    // the live store is newer than the stored snapshot; a forced flush indexes it in full
+    const doc = await live
+    doc.texts = null
+    doc.dirty = true
+    return flushDoc(doc)
+  }
+  const b = await Board.findById(boardId).select('document').lean()
+  if (!b) return
+  const snap = sanitizeTlSnapshotDeep(b.document?.tldraw || null)
+  const storeSnap = snap?.document?.store ? snap.document : snap
+  await syncShapeText(b._id, Object.values(storeSnap?.store || {}))
+  const stamp = b.document?.updatedAt ?? 0
+  // a write since we read the snapshot leaves the board stale for the next pass
+  await Board.updateOne({ _id: b._id, 'document.updatedAt': b.document?.updatedAt ?? null }, { $set: { 'document.textIndexedAt': stamp } })
+}
+
+async function indexStaleBoards(filter = {}, limit = 0) {
+  const stale = await Board.find({ ...filter, deletedAt: null, ...TEXT_INDEX_STALE }).select('_id').limit(limit).lean()
+  for (const b of stale) {
+    try {
+      await reindexBoardText(b._id)
+    } catch (e) {
+      console.warn('[search] index failed', String(b._id), e?.message || e)
+    }
+  }
+}
+
+/* ========= DOCUMENT STATE (authoritative, per active board) ========= */
+// The server holds one tldraw store per board in use. `board:ops` change sets are
+// validated against the tldraw schema and applied here before they are broadcast;
+// the store is written to Board.document.tldraw DOC_PERSIST_MS after the last change.
+// Session records (camera, pointer, instance…) never enter the server store.
+// `seq` is the op-log watermark: every op up to it is in the store. It is persisted as
+// document.seq, and loading replays the log after it, so a snapshot written a moment
+// before a crash (or by another instance that hadn't seen the latest ops) loses nothing.
+const tlSchema = createTLSchema()
+const _docs = new Map() // boardId -> Promise<{ key, store, clocks, seq, seen, dirty, timer, idleTimer, texts }>
+
+const isDocumentRecord = (recOrId) => {
+  const id = typeof recOrId === 'string' ? recOrId : recOrId?.id
+  const typeName = recOrId?.typeName || String(id || '').split(':')[0]
+  return tlSchema.types[typeName]?.scope === 'document'
+}
+
+// Stored snapshots come as TLStoreSnapshot ({ store, schema }) or TLEditorSnapshot ({ document, session })
+function loadDocSnapshot(store, snap) {
+  const storeSnap = snap?.document?.store ? snap.document : snap
+  if (!storeSnap?.store) return
+  const migrated = tlSchema.migrateStoreSnapshot({ store: storeSnap.store, schema: storeSnap.schema || tlSchema.serialize() })
+  if (migrated.type === 'error') throw new Error(`snapshot migration failed: ${migrated.reason}`)
+  const records = Object.values(migrated.value).filter(isDocumentRecord)
+  records.forEach(ensureDocMetaOnRecord)
+  store.mergeRemoteChanges(() => {
+    store.clear()
+    store.put(records)
+  })
+}
+
+// Ops from clients that predate clock stamps get one from the server's clock.
+// Client stamps are clamped so a skewed or hostile clock can't win every future edit.
+const serverClock = createClock('server')
+function stampOp(op) {
+  const c = op?.clock
+  const stamp = c && Number.isFinite(c.t) && typeof c.c === 'string'
+    ? { t: Math.min(c.t, Date.now() + 60 * 1000), c: c.c.slice(0, 80) }
+    : serverClock.tick()
+  serverClock.observe(stamp)
+  return { ...op, clock: stamp }
+}
+
+// Merges one op into the live document field by field (see shared/recordMerge.js).
+// Throws before touching the store if a merged record fails schema validation.
+function applyDocOp(doc, op) {
+  mergeDocOp(doc, op)
+  markDocDirty(doc)
+}
+
+function mergeDocOp(doc, op) {
+  const merged = mergeValidated((id) => doc.store.get(id), doc.clocks, op)
+  doc.store.mergeRemoteChanges(() => {
+    if (merged.puts.length) doc.store.put(merged.puts)
+    if (merged.removes.length) doc.store.remove(merged.removes)
+  })
+  merged.commit()
+}
+
+// Field merge of `op` against any record source, schema-validated; nothing is written yet
+function mergeValidated(getRecord, clocks, op) {
+  const merged = mergeChanges({
+    getRecord,
+    clocks,
+    changes: JSON.parse(JSON.stringify(op?.changes || {})),
+    stamp: op.clock,
+    accept: isDocumentRecord,
+  })
+  merged.puts.forEach(ensureDocMetaOnRecord)
+  for (const rec of merged.puts) tlSchema.types[rec.typeName].validate(rec)
+  return merged
+}
+
+// Dry run of applyDocOp for a batch, in order, leaving the document untouched (board:ops
+// checks a batch before logging it). Returns { ok, rejected } with the ops that would fail.
+function checkDocOps(doc, ops) {
+  const records = new Map() // id -> record as the batch leaves it, null once removed
+  const clocks = new Map()  // id -> copy of the document's field clocks, written by the batch
+  const clockView = {
+    get: (id) => {
+      if (!clocks.has(id)) clocks.set(id, doc.clocks.has(id) ? new Map(doc.clocks.get(id)) : undefined)
+      return clocks.get(id)
+    },
+    has: (id) => clockView.get(id) !== undefined,
+    set: (id, m) => clocks.set(id, m),
+    delete: (id) => clocks.set(id, undefined),
+  }
+  const getRecord = (id) => (records.has(id) ? records.get(id) ?? undefined : doc.store.get(id))
+  const ok = []
+  const rejected = []
+  for (const op of ops) {
+    try {
+      const merged = mergeValidated(getRecord, clockView, op)
+      merged.commit()
+      for (const rec of merged.puts) records.set(rec.id, rec)
+      for (const id of merged.removes) records.set(id, null)
+      ok.push(op)
+    } catch (e) {
+      console.warn('[board:ops] rejected invalid change', e?.message || e)
+      rejected.push(op)
+    }
+  }
+  return { ok, rejected }
+}
+
+// `tldraw` with `ops` merged on top in order, the way a live document would apply them
+// (import: the exported snapshot plus the ops logged after it). Invalid ops are skipped.
+function replayDocOps(tldraw, ops) {
+  const doc = { store: new Store({ schema: tlSchema, props: {} }), clocks: new Map() }
+  loadDocSnapshot(doc.store, tldraw)
+  for (const op of ops) {
+    try { mergeDocOp(doc, stampOp(op)) } catch {}
+  }
+  return docSnapshot(doc)
+}
+
+// Advance the watermark over seqs applied to the store; out-of-order ones wait in `seen`
+function noteDocSeqs(doc, seqs) {
+  for (const seq of seqs) if (seq > doc.seq) doc.seen.add(seq)
+  while (doc.seen.delete(doc.seq + 1)) doc.seq++
+}
+
+// null for a board nobody has drawn on yet, so clients keep their own default page
+function docSnapshot(doc) {
+  return doc.store.allRecords().length ? doc.store.getStoreSnapshot('document') : null
+}
+
+function openDoc(boardId) {
+  const key = String(boardId)
+  let p = _docs.get(key)
+  if (p) return p
+  p = (async () => {
+    const b = await Board.findById(key).select('document').lean()
+    const doc = { key, store: new Store({ schema: tlSchema, props: {} }), clocks: new Map(), seq: 0, seen: new Set(), dirty: false, timer: null, idleTimer: null, texts: null }
+    try {
+      loadDocSnapshot(doc.store, sanitizeTlSnapshotDeep(b?.document?.tldraw))
+    } catch (e) {
+      // An empty store would be flushed over the stored snapshot on the next edit: refuse to open
+      console.error('[doc] stored snapshot unreadable', key, e?.message || e)
+      throw Object.assign(new Error('Board document could not be loaded'), { status: 500 })
+    }
+    // Snapshots written before the watermark existed are taken as current
+    if (Number.isFinite(b?.document?.seq)) {
+      doc.seq = b.document.seq
+      const tail = await BoardOp.find({ boardId: key, seq: { $gt: doc.seq } }).sort({ seq: 1 }).lean()
+      for (const row of tail) {
+        try { applyDocOp(doc, stampOp(row.op)) } catch {}
+      }
+      noteDocSeqs(doc, tail.map(r => r.seq))
+    } else {
+      doc.seq = await currentBoardSeq(key)
+    }
+    // Boards saved before the server kept state only have the legacy document.ops log:
+    // fold it into the store once; the next persist drops the array.
+    if (Array.isArray(b?.document?.ops)) {
+      for (const op of b.document.ops) {
+        try { applyDocOp(doc, stampOp({ changes: op?.changes })) } catch {}
+      }
+      markDocDirty(doc)
+    }
+    return doc
+  })()
+  _docs.set(key, p)
+  p.catch(() => _docs.delete(key))
+  return p
+}
+
+function markDocDirty(doc) {
+  doc.dirty = true
+  if (!doc.timer) doc.timer = setTimeout(() => flushDoc(doc), DOC_PERSIST_MS)
+}
+
+async function flushDoc(doc) {
+  if (doc.timer) { clearTimeout(doc.timer); doc.timer = null }
+  if (!doc.dirty) return
+  doc.dirty = false
+  const now = Date.now()
+  const set = { 'document.tldraw': docSnapshot(doc), 'document.seq': doc.seq, 'document.updatedAt': now }
+  try {
+    doc.texts = await syncShapeText(doc.key, doc.store.allRecords(), doc.texts)
+    set['document.textIndexedAt'] = now
+  } catch (e) {
+    console.warn('[search] index failed', doc.key, e?.message || e)
+    doc.texts = null // re-indexed in full next time
+  }
+  try {
+    await Board.updateOne({ _id: doc.key }, { $set: set, $unset: { 'document.ops': '' } })
+  } catch (e) {
+    console.warn('[doc] persist failed', doc.key, e?.message || e)
+    markDocDirty(doc)
+  }
+}
+
+// Canonical tldraw snapshot: the live store if loaded, else what was last persisted
+async function currentDocument(boardId) {
+  return (await currentDocumentAt(boardId)).tldraw
+}
+
+// Same, with the op-log watermark it covers: { tldraw, seq }. A live store is flushed
+// first, so the persisted document matches what the caller gets.
+async function currentDocumentAt(boardId, { flush = false } = {}) {
+  const p = _docs.get(String(boardId))
+  if (p) {
+    const doc = await p
+    if (flush) await flushDoc(doc)
+    return { tldraw: docSnapshot(doc), seq: doc.seq }
+  }
+  const b = await Board.findById(boardId).select('document').lean()
+  const seq = Number.isFinite(b?.document?.seq) ? b.document.seq : await currentBoardSeq(boardId)
+  return { tldraw: sanitizeTlSnapshotDeep(b?.document?.tldraw || null), seq }
+}
+
+// Swap the whole document (version restore) as of op-log `seq`; no-op when the board isn't loaded
+async function replaceDocument(boardId, tldraw, seq) {
+  const p = _docs.get(String(boardId))
+  if (!p) return
+  const doc = await p
+  doc.clocks.clear()
+  doc.store.mergeRemoteChanges(() => doc.store.clear())
+  if (tldraw) loadDocSnapshot(doc.store, tldraw)
+  doc.seq = seq
+  doc.seen.clear()
+  markDocDirty(doc)
+}
+
+// Called when a socket leaves a board; unloads the store once the room stays empty
+function releaseDocLater(boardId) {
+  const p = _docs.get(String(boardId))
+  if (!p) return
+  p.then(doc => {
+    if (doc.idleTimer) clearTimeout(doc.idleTimer)
+    doc.idleTimer = setTimeout(async () => {
+      doc.idleTimer = null
+      if (io.sockets.adapter.rooms.get(doc.key)?.size) return
+      await flushDoc(doc)
+      if (_docs.get(doc.key) === p && !io.sockets.adapter.rooms.get(doc.key)?.size) _docs.delete(doc.key)
+    }, DOC_IDLE_MS)
+    doc.idleTimer.unref?.()
+  }).catch(() => {})
+}
+
+// Forget a board's live store without writing it (board purged)
+async function dropDoc(boardId) {
+  const p = _docs.get(String(boardId))
+  if (!p) return
+  _docs.delete(String(boardId))
+  const doc = await p.catch(() => null)
+  if (doc?.timer) clearTimeout(doc.timer)
+  if (doc?.idleTimer) clearTimeout(doc.idleTimer)
+}
+
+async function flushAllDocs() {
+  const docs = await Promise.all([..._docs.values()].map(p => p.catch(() => null)))
+  await Promise.all(docs.filter(Boolean).map(flushDoc))
+}
+
+// Other instances' accepted ops, restores and purges, for boards loaded here too
+onCluster('doc:ops', async ({ boardId, ops }) => {
+  const p = _docs.get(String(boardId))
+  if (!p || !Array.isArray(ops)) return
+  const doc = await p
+  for (const op of ops) {
+    try { applyDocOp(doc, stampOp(op)) } catch {}
+  }
+  noteDocSeqs(doc, ops.map(o => o.seq).filter(Number.isFinite))
+})
+onCluster('doc:replace', ({ boardId, tldraw, seq }) => replaceDocument(boardId, tldraw, seq))
+onCluster('doc:drop', ({ boardId }) => dropDoc(boardId))
+onCluster('room:refresh', async ({ boardId }) => {
+  await refreshLocalSockets(boardId, await Board.findById(boardId).lean())
+})
+
+/* ============ SOCKETS (per-event permissions) =========== */
+// Minimum role per client event. `guest` = public viewer token holder.
+// Every event except room:join needs a joined board; unknown events are dropped.
+const ROLE_RANK = { guest: 0, viewer: 1, editor: 2, owner: 3 }
+const EVENT_MIN_ROLE = {
+  'presence:join': 'guest',
+  'presence:list': 'guest',
+  'presence:status': 'guest',
+  'cursor:move': 'guest',
+  'cursor:active': 'guest',
+  'cursor:leave': 'guest',
+  'viewport:update': 'guest',
+  'follow:start': 'guest',
+  'follow:stop': 'guest',
+  'viewport:summon': 'editor',
+  'board:snapshot:request': 'guest',
+  'board:sync': 'guest',
+  'selection:update': 'editor',
+  'board:ops': 'editor',
+  'chat:typing': 'editor',
+  'chat:message': 'editor',
+  'chat:react': 'editor',
+  'chat:edit': 'editor',
+  'chat:delete': 'editor', // authors delete their own; owners may delete any (checked in the handler)
+  'call:hello': 'editor',
+  'call:offer': 'editor',
+  'call:answer': 'editor',
+  'call:ice': 'editor',
+  'call:leave': 'editor',
+  'call:level': 'editor',
+}
+
+// Rank of the socket on its joined board (token holders rank below viewers)
+const socketRank = (socket) => socket.data.joinToken ? ROLE_RANK.guest : (ROLE_RANK[socket.data.role] ?? -1)
+
+function rejectEvent(socket, event, args, error, code) {
+  const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null
+  const payload = { ok: false, error, code, event }
+  if (ack) ack(payload)
+  else socket.emit('error:event', payload)
+}
+
+/* ---- Rate limits & payload caps ---- */
+// Token bucket per socket and event: `rate` events/second refill, at most `burst` saved up.
+// `maxBytes` caps the JSON size of the payload. Events over either limit are dropped and
+// the client is told to slow down (ack `{ code: 429|413 }` or a `rate:limited` event);
+// the socket itself is never disconnected for it.
+const DEFAULT_LIMIT = { rate: 10, burst: 20, maxBytes: 16 * 1024 }
+const EVENT_LIMITS = {
+  'room:join':        { rate: 1,  burst: 5,   maxBytes: 1024 },
+  'presence:status':  { rate: 2,  burst: 10,  maxBytes: 128 },
+  'cursor:move':      { rate: 40, burst: 80,  maxBytes: 512 },
+  'cursor:active':    { rate: 10, burst: 20,  maxBytes: 512 },
+  'cursor:leave':     { rate: 10, burst: 20,  maxBytes: 256 },
+  'selection:update': { rate: 20, burst: 40,  maxBytes: 32 * 1024 },
+  'viewport:update':  { rate: 10, burst: 20,  maxBytes: 256 },
+  'viewport:summon':  { rate: 1,  burst: 3,   maxBytes: 256 },
+  'board:ops':        { rate: 20, burst: 40,  maxBytes: OPS_MAX_BYTES },
+  'board:sync':       { rate: 2,  burst: 5,   maxBytes: 256 },
+  'chat:typing':      { rate: 2,  burst: 5,   maxBytes: 512 },
+  'chat:message':     { rate: 2,  burst: 10,  maxBytes: CHAT_MAX_ATTACHMENTS * CHAT_SNIPPET_MAX_BYTES + 32 * 1024 },
+  'chat:edit':        { rate: 2,  burst: 10,  maxBytes: 32 * 1024 },
+  'chat:delete':      { rate: 2,  burst: 10,  maxBytes: 256 },
+  'call:level':       { rate: 15, burst: 30,  maxBytes: 256 },
+  'call:ice':         { rate: 50, burst: 100, maxBytes: 8 * 1024 },
+  'call:offer':       { rate: 5,  burst: 10,  maxBytes: 64 * 1024 },
+  'call:answer':      { rate: 5,  burst: 10,  maxBytes: 64 * 1024 },
+}
+const _buckets = new WeakMap() // socket -> { [event]: { tokens, at, toldAt } }
+
+// 0 when the event may pass, else how long until a token is available (ms)
+function takeToken(socket, event) {
+  const limit = EVENT_LIMITS[event] || DEFAULT_LIMIT
+  if (!_buckets.has(socket)) _buckets.set(socket, {})
+  const buckets = _buckets.get(socket)
+  const now = Date.now()
+  const b = buckets[event] || (buckets[event] = { tokens: limit.burst, at: now, toldAt: 0 })
+  b.tokens = Math.min(limit.burst, b.tokens + (now - b.at) * limit.rate / 1000)
+  b.at = now
+  if (b.tokens >= 1) { b.tokens -= 1; return 0 }
+  return Math.ceil((1 - b.tokens) * 1000 / limit.rate)
+}
+
+const payloadBytes = (args) => {
+  try { return Buffer.byteLength(JSON.stringify(args.filter(a => typeof a !== 'function'))) } catch { return Infinity }
+}
+
+// Fire-and-forget events hear about it at most once a second per event
+function slowDown(socket, event, args, error, code, retryMs) {
+  const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null
+  const payload = { ok: false, error, code, event, retryMs }
+  if (ack) return ack(payload)
+  const b = _buckets.get(socket)?.[event]
+  if (b && Date.now() - b.toldAt < 1000) return
+  if (b) b.toldAt = Date.now()
+  socket.emit('rate:limited', payload)
+}
+
+function limitEvent(socket, event, args) {
+  const limit = EVENT_LIMITS[event] || DEFAULT_LIMIT
+  if (payloadBytes(args) > limit.maxBytes) {
+    slowDown(socket, event, args, 'payload-too-large', 413, 0)
+    return false
+  }
+  const retryMs = takeToken(socket, event)
+  if (retryMs) {
+    slowDown(socket, event, args, 'rate-limited', 429, retryMs)
+    return false
+  }
+  return true
+}
+
+/* ---- Cursor tick ---- */
+// cursor:move is not relayed one by one: the latest position per socket is kept and the
+// room gets one `cursor:batch` every CURSOR_TICK_MS.
+const _cursorQueue = new Map() // boardId -> Map<socketId, move>
+
+function queueCursor(boardId, socketId, move) {
+  if (!_cursorQueue.has(boardId)) _cursorQueue.set(boardId, new Map())
+  _cursorQueue.get(boardId).set(socketId, move)
+}
+
+function dropQueuedCursor(boardId, socketId) {
+  _cursorQueue.get(boardId)?.delete(socketId)
+}
+
+setInterval(() => {
+  for (const [boardId, moves] of _cursorQueue) {
+    if (moves.size) io.to(boardId).emit('cursor:batch', [...moves.values()])
+  }
+  _cursorQueue.clear()
+}, CURSOR_TICK_MS).unref()
+
+function authorizeEvents(socket) {
+  socket.use(([event, ...args], next) => {
+    if (!limitEvent(socket, event, args)) return
+    if (event === 'room:join') return next()
+    const min = EVENT_MIN_ROLE[event]
+    if (!min) return rejectEvent(socket, event, args, 'unknown-event', 400)
+    if (!socket.data.boardId) return rejectEvent(socket, event, args, 'no-room', 409)
+    if (socketRank(socket) < ROLE_RANK[min]) return rejectEvent(socket, event, args, 'forbidden', 403)
+    next()
+  })
+}
+
+// { x, y, w, h } in page space, or null
+function cleanViewport(v) {
+  if (!v || typeof v !== 'object') return null
+  const out = { x: Number(v.x), y: Number(v.y), w: Number(v.w), h: Number(v.h) }
+  if (!Object.values(out).every(Number.isFinite) || out.w <= 0 || out.h <= 0) return null
+  return out
+}
+
+function leaveFollowRooms(socket) {
+  for (const room of socket.rooms) if (room.startsWith('follow:')) socket.leave(room)
+}
+
+/* =================== SOCKETS (events) =================== */
+io.on('connection', (socket) => {
+  console.log('[socket] connected', socket.id, 'user=', socket.data.userId)
+  authorizeEvents(socket)
+  // per-user room: notifications reach every tab, whichever board (if any) it has open
+  if (socket.data.userId) socket.join(userRoom(socket.data.userId))
+
+  // Join a board room
+  socket.on('room:join', async ({ boardId, token } = {}, ack) => {
     try {
       const b = await Board.findById(boardId).lean()
-      if (!b) return ack?.({ ok: false, error: 'Board not found' })
-
-      let role = 'viewer'
-      if (socket.data.userId) {
-        const m = (b.members || []).find(x => String(x.userId) === String(socket.data.userId))
-        if (m) role = m.role
-      } else {
-        if (!(token && token === b.publicViewerToken)) return ack?.({ ok: false, error: 'Unauthenticated' })
+      if (!b || b.deletedAt) return ack?.({ ok: false, error: 'Board not found' })
+
+      const access = resolveBoardAccess(b, { userId: socket.data.userId, token })
+      if (!access) return ack?.({ ok: false, error: socket.data.userId ? 'Forbidden' : 'Unauthenticated' })
+      const role = access.role
+      // the live document must load before anyone edits it (openDoc refuses unreadable snapshots)
+      try {
+        await openDoc(boardId)
+      } catch (e) {
+        return ack?.({ ok: false, error: e.status ? e.message : 'Join failed' })
       }
 
       if (socket.data.boardId && socket.data.boardId !== boardId) {
         const prev = socket.data.boardId
         socket.leave(prev)
-        const map = presenceByBoard.get(prev)
-        if (map && map.delete(socket.id)) {
-          io.to(prev).emit('presence:leave', socket.id)
+        releaseDocLater(prev)
+        dropQueuedCursor(prev, socket.id)
+        leaveFollowRooms(socket)
+        socket.data.viewport = null
+        socket.data.selection = null
+        if (socket.data.presence) {
+          leaveNow(prev, socket.id, socket.data.presence, socket.data.userId)
+          socket.data.presence = null
         }
       }
 
       socket.join(boardId)
       socket.data.boardId = boardId
       socket.data.role = role
-
-      if (!presenceByBoard.has(boardId)) presenceByBoard.set(boardId, new Map())
+      socket.data.joinToken = access.via === 'token' ? token : ''
 
       console.log('[socket] joined room', boardId, 'role=', role)
       ack?.({ ok: true, role })
@@ -552,95 +2562,182 @@ io.on('connection', (socket) => {
   })
 
   /* ---------- Presence ---------- */
-  // Accept presence even if it arrives just before room:join finishes.
-  socket.on('presence:join', (user = {}) => {
-    const incomingBoardId = user.boardId
-    const boardId = socket.data.boardId || incomingBoardId
-    if (!boardId) return
-    if (!presenceByBoard.has(boardId)) presenceByBoard.set(boardId, new Map())
-    const map = presenceByBoard.get(boardId)
-    const record = { id: user.id, name: user.name || 'User', color: user.color || '#7c3aed', socketId: socket.id, boardId }
-    map.set(socket.id, record)
-
-    // Seed the full roster to the joining socket
-    socket.emit('presence:roster', Array.from(map.values()))
+  // Only after room:join succeeded (see authorizeEvents); the payload's boardId and id are ignored:
+  // the id is the signed-in user's, or one per guest socket, so nobody can take over another's entry.
+  // The presence record lives on socket.data so rosters work across instances (see CLUSTER).
+  socket.on('presence:join', async (user = {}) => {
+    const boardId = socket.data.boardId
+    const status = PRESENCE_STATUSES.has(user.status) ? user.status : 'active'
+    const id = socket.data.userId ? String(socket.data.userId) : `guest:${socket.id}`
+    const record = { id, name: user.name || 'User', color: user.color || '#7c3aed', socketId: socket.id, boardId, status, since: Date.now() }
+    socket.data.presence = record
+    cancelLeave(boardId, record)
+    try {
+      // Seed the full roster (what everyone has selected, who was here lately) to the joining socket
+      const sockets = await io.in(boardId).fetchSockets()
+      const roster = sockets.map(s => s.data.presence).filter(Boolean)
+      socket.emit('presence:roster', roster)
+      for (const s of sockets) {
+        if (s.id !== socket.id && s.data.selection) socket.emit('selection:update', s.data.selection)
+      }
+      socket.emit('presence:recent', await recentVisitors(boardId, new Set(roster.map(r => String(r.id)))))
+    } catch (e) {
+      console.warn('[presence:join] roster failed', e?.message || e)
+    }
     // Broadcast join to others in this board
     io.to(boardId).emit('presence:join', record)
   })
 
-  socket.on('presence:list', (payload = {}, ack) => {
-    const boardId = socket.data.boardId || payload.boardId
-    if (!boardId) return ack?.({ ok: false })
-    const map = presenceByBoard.get(boardId)
-    const users = map ? Array.from(map.values()) : []
-    ack?.({ ok: true, users })
+  socket.on('presence:status', ({ status } = {}) => {
+    const p = socket.data.presence
+    if (!p || !PRESENCE_STATUSES.has(status) || p.status === status) return
+    p.status = status
+    p.since = Date.now()
+    io.to(socket.data.boardId).emit('presence:status', { boardId: socket.data.boardId, socketId: socket.id, status, since: p.since })
+  })
+
+  socket.on('presence:list', async (_payload, ack) => {
+    try {
+      ack?.({ ok: true, users: await presenceRoster(socket.data.boardId) })
+    } catch (e) {
+      console.warn('[presence:list] failed', e?.message || e)
+      ack?.({ ok: false, error: 'Presence unavailable' })
+    }
   })
 
   socket.on('disconnect', () => {
     const boardId = socket.data.boardId
     if (!boardId) return
-    const map = presenceByBoard.get(boardId)
-    if (map && map.delete(socket.id)) {
-      io.to(boardId).emit('presence:leave', socket.id)
-      io.to(boardId).emit('cursor:leave', socket.id)
-    }
+    releaseDocLater(boardId)
+    dropQueuedCursor(boardId, socket.id)
+    io.to(boardId).emit('cursor:leave', socket.id)
+    if (socket.data.presence) leaveLater(boardId, socket.id, socket.data.presence, socket.data.userId)
   })
 
   /* ---------- Cursors & selections ---------- */
-  socket.on('cursor:move', (c = {}) => { const b = socket.data.boardId || c.boardId; if (!b) return; io.to(b).emit('cursor:move', { ...c, boardId: b, socketId: socket.id }) })
-  socket.on('cursor:active', (p = {}) => { const b = socket.data.boardId || p.boardId; if (!b) return; io.to(b).emit('cursor:active', { ...p, boardId: b, socketId: socket.id }) })
-  socket.on('cursor:leave', (id)      => { const b = socket.data.boardId; if (!b) return; io.to(b).emit('cursor:leave', id || socket.id) })
-  socket.on('selection:update', (sel = {}) => { const b = socket.data.boardId || sel.boardId; if (!b) return; io.to(b).emit('selection:update', { ...sel, boardId: b, socketId: socket.id }) })
+  socket.on('cursor:move', (c = {}) => { const b = socket.data.boardId; queueCursor(b, socket.id, { ...c, boardId: b, socketId: socket.id }) })
+  socket.on('cursor:active', (p = {}) => { const b = socket.data.boardId; dropQueuedCursor(b, socket.id); io.to(b).emit('cursor:active', { ...p, boardId: b, socketId: socket.id }) })
+  socket.on('cursor:leave', ()        => { const b = socket.data.boardId; dropQueuedCursor(b, socket.id); io.to(b).emit('cursor:leave', socket.id) })
+
+  // Name and color come from the presence record; the latest selection is kept for late joiners
+  socket.on('selection:update', (sel = {}) => {
+    const b = socket.data.boardId
+    const p = socket.data.presence
+    const shapes = (Array.isArray(sel.shapes) ? sel.shapes : [])
+      .filter(id => typeof id === 'string' && id.startsWith('shape:'))
+      .slice(0, 500)
+    const out = { boardId: b, socketId: socket.id, userId: p?.id ?? null, name: p?.name || 'User', color: p?.color || '#3b82f6', shapes }
+    socket.data.selection = shapes.length ? out : null
+    socket.to(b).emit('selection:update', out)
+  })
+
+  /* ---------- Viewports & follow mode ---------- */
+  // Followers of a socket sit in its `follow:<socketId>` room and get its viewport (page
+  // bounds) on every camera change; the latest one is kept on socket.data for new followers.
+  socket.on('viewport:update', (v = {}) => {
+    const viewport = cleanViewport(v.viewport)
+    if (!viewport) return
+    socket.data.viewport = viewport
+    io.to(`follow:${socket.id}`).emit('viewport:update', { boardId: socket.data.boardId, socketId: socket.id, viewport })
+  })
+
+  socket.on('follow:start', async ({ socketId } = {}, ack) => {
+    try {
+      const leader = (await io.in(socket.data.boardId).fetchSockets()).find(s => s.id === socketId)
+      if (!leader || socketId === socket.id) return ack?.({ ok: false, error: 'Not on this board' })
+      leaveFollowRooms(socket)
+      socket.join(`follow:${socketId}`)
+      ack?.({ ok: true, viewport: leader.data.viewport || null })
+    } catch (e) {
+      console.warn('[follow:start] failed', e?.message || e)
+      ack?.({ ok: false, error: 'Follow failed' })
+    }
+  })
+
+  socket.on('follow:stop', (_payload, ack) => {
+    leaveFollowRooms(socket)
+    ack?.({ ok: true })
+  })
+
+  // "Bring everyone to me": the rest of the room starts following the presenter
+  socket.on('viewport:summon', (v = {}) => {
+    const b = socket.data.boardId
+    const viewport = cleanViewport(v.viewport) || socket.data.viewport
+    if (!viewport) return
+    socket.data.viewport = viewport
+    socket.to(b).emit('viewport:summon', { boardId: b, socketId: socket.id, name: socket.data.presence?.name || 'Someone', viewport })
+  })
 
   /* ---------- WebRTC signaling ---------- */
-  socket.on('call:hello',  (p = {}) => { const b = socket.data.boardId || p.boardId; if (!b) return; io.to(b).emit('call:hello',  { ...p, boardId: b }) })
-  socket.on('call:offer',  (p = {}) => { const b = socket.data.boardId || p.boardId; if (!b) return; io.to(b).emit('call:offer',  { ...p, boardId: b }) })
-  socket.on('call:answer', (p = {}) => { const b = socket.data.boardId || p.boardId; if (!b) return; io.to(b).emit('call:answer', { ...p, boardId: b }) })
-  socket.on('call:ice',    (p = {}) => { const b = socket.data.boardId || p.boardId; if (!b) return; io.to(b).emit('call:ice',    { ...p, boardId: b }) })
-  socket.on('call:leave',  (p = {}) => { const b = socket.data.boardId || p.boardId; if (!b) return; io.to(b).emit('call:leave',  { ...p, boardId: b }) })
-  socket.on('call:level',  (p = {}) => { const b = socket.data.boardId || p.boardId; if (!b) return; io.to(b).emit('call:level',  { ...p, boardId: b }) })
+  // hello is how a socket joins the call; the ack tells it that it may also say leave
+  socket.on('call:hello',  (p = {}, ack) => { const b = socket.data.boardId; io.to(b).emit('call:hello',  { ...p, boardId: b }); ack?.({ ok: true }) })
+  socket.on('call:offer',  (p = {}) => { const b = socket.data.boardId; io.to(b).emit('call:offer',  { ...p, boardId: b }) })
+  socket.on('call:answer', (p = {}) => { const b = socket.data.boardId; io.to(b).emit('call:answer', { ...p, boardId: b }) })
+  socket.on('call:ice',    (p = {}) => { const b = socket.data.boardId; io.to(b).emit('call:ice',    { ...p, boardId: b }) })
+  socket.on('call:leave',  (p = {}) => { const b = socket.data.boardId; io.to(b).emit('call:leave',  { ...p, boardId: b }) })
+  socket.on('call:level',  (p = {}) => { const b = socket.data.boardId; io.to(b).emit('call:level',  { ...p, boardId: b }) })
 
   /* ---------- Drawing ops ---------- */
   socket.on('board:ops', async (payload = {}, ack) => {
     const boardId = socket.data.boardId
-    if (!boardId) return ack?.({ ok: false, error: 'no-room' })
     try {
-      if (!['owner', 'editor'].includes(socket.data.role)) {
-        return ack?.({ ok: false, error: 'read-only' })
-      }
-      const { ops = [], snapshot = null } = payload
-      socket.to(boardId).emit('board:ops', { boardId, ops, snapshot })
-      enqueuePersist(boardId, ops, snapshot)
-
+      // Whole-document snapshots from clients are not trusted; only change sets are applied
+      const doc = await openDoc(boardId)
+      const checked = checkDocOps(doc, (Array.isArray(payload.ops) ? payload.ops : []).map(stampOp))
+      const rejected = checked.rejected.map(op => op?.id ?? null)
+      if (!checked.ok.length) return ack?.({ ok: false, error: 'Invalid change', code: 422, rejected })
+
+      // The op log comes first: nothing reaches the live document or other clients until it is
+      // stored with its seq. A failed write is acked without `rejected`, so the client retries.
+      let logged = [] // { op, seq, fresh }
       const session = await mongoose.startSession()
-      await session.withTransaction(async () => {
-        const arr = (ops || []).map(o => (typeof o === 'object' ? o : { op: o }))
-        for (const item of arr) {
-          const opId = item.opId || (item.op && item.op.id) || crypto.randomUUID()
-          const exists = await BoardOp.findOne({ boardId, opId }).session(session)
-          if (exists) continue
-          const seq = await nextBoardSeq(boardId, session)
-          await BoardOp.create([{
-            boardId,
-            seq,
-            opId,
-            op: item.op || item,
-            authorId: socket.data.userId || null,
-          }], { session })
-        }
-
-        const countOps = await BoardOp.countDocuments({ boardId }).session(session)
-        if (countOps % 200 === 0) {
-          const b = await Board.findById(boardId).session(session)
-          if (b) {
-            const checksum = hashObj(b.document?.tldraw)
-            const version = (await BoardSnapshot.countDocuments({ boardId }).session(session)) + 1
-            await BoardSnapshot.create([{ boardId, version, tldraw: b.document?.tldraw || null, checksum }], { session })
+      try {
+        await session.withTransaction(async () => {
+          logged = []
+          for (const op of checked.ok) {
+            const opId = op.id || crypto.randomUUID()
+            const exists = await BoardOp.findOne({ boardId, opId }).session(session)
+            if (exists) { logged.push({ op, seq: exists.seq, fresh: false }); continue }
+            const seq = await nextBoardSeq(boardId, session)
+            await BoardOp.create([{ boardId, seq, opId, op, authorId: socket.data.userId || null }], { session })
+            logged.push({ op, seq, fresh: true })
           }
+        })
+      } catch (e) {
+        console.warn('[board:ops] op log write failed', e?.message || e)
+        return ack?.({ ok: false, error: 'persist failed' })
+      } finally {
+        session.endSession()
+      }
+
+      // Retries of ops already logged were applied and broadcast the first time
+      const sent = []
+      for (const { op, seq, fresh } of logged) {
+        if (!fresh) continue
+        try {
+          applyDocOp(doc, op)
+          sent.push({ ...op, seq })
+        } catch (e) {
+          // the document moved while the batch was being logged; replay skips this op as well
+          console.warn('[board:ops] logged change no longer applies', e?.message || e)
+          rejected.push(op?.id ?? null)
         }
-      })
-      session.endSession()
-      ack?.({ ok: true })
+      }
+      const freshSeqs = logged.filter(l => l.fresh).map(l => l.seq)
+      noteDocSeqs(doc, freshSeqs)
+      if (sent.length) {
+        clusterEmit('doc:ops', { boardId, ops: sent })
+        socket.to(boardId).emit('board:ops', { boardId, ops: sent })
+      }
+      ack?.({ ok: true, seqs: logged.map(l => l.seq), rejected })
+
+      // A version every 200 ops: seqs count the log, so save when this batch crossed a multiple of 200
+      const crossed = freshSeqs.length &&
+        Math.floor((Math.min(...freshSeqs) - 1) / 200) !== Math.floor(Math.max(...freshSeqs) / 200)
+      if (crossed) {
+        await writeSnapshot({ boardId, tldraw: docSnapshot(doc), authorId: socket.data.userId })
+          .catch(e => console.warn('[board:ops] auto snapshot failed', e?.message || e))
+      }
     } catch (e) {
       console.warn('[board:ops] error', e?.message || e)
       ack?.({ ok: false, error: 'persist failed' })
@@ -649,80 +2746,204 @@ io.on('connection', (socket) => {
 
   socket.on('board:snapshot:request', async (_payload, ack) => {
     const boardId = socket.data.boardId
-    if (!boardId) { ack?.({ ok: false }); return }
-    const b = await Board.findById(boardId)
-    let doc = b?.document || null
-    if (doc?.tldraw) {
-      const safe = sanitizeTlSnapshotDeep(doc.tldraw)
-      if (safe) doc = { ...doc, tldraw: safe }
-    }
-    socket.emit('board:snapshot:response', { boardId, doc })
-    ack?.({ ok: true })
+    try {
+      // The watermark, not the log head: ops still in flight from other instances come through sync
+      const doc = await openDoc(boardId)
+      const seq = doc.seq
+      socket.emit('board:snapshot:response', { boardId, seq, doc: { tldraw: docSnapshot(doc), updatedAt: Date.now() } })
+      ack?.({ ok: true, seq })
+    } catch (e) {
+      console.warn('[board:snapshot:request] failed', e?.message || e)
+      ack?.({ ok: false, error: 'Snapshot failed' })
+    }
+  })
+
+  // Reconnect catch-up: ops with seq > since from the log, or a fresh snapshot when the gap
+  // is larger than SYNC_MAX_GAP or the document was replaced (restore/import) meanwhile.
+  socket.on('board:sync', async (payload = {}, ack) => {
+    const boardId = socket.data.boardId
+    try {
+      const since = Number(payload.since)
+      const doc = await openDoc(boardId)
+      const head = await currentBoardSeq(boardId)
+      const replaced = Number.isFinite(since) && await BoardSnapshot.exists({ boardId, reason: { $in: ['restore', 'import'] }, seq: { $gte: since } })
+      if (!Number.isFinite(since) || since < 0 || since > head || head - since > SYNC_MAX_GAP || replaced) {
+        return ack?.({ ok: true, mode: 'snapshot', seq: doc.seq, doc: { tldraw: docSnapshot(doc) } })
+      }
+      const rows = await BoardOp.find({ boardId, seq: { $gt: since, $lte: head } }).sort({ seq: 1 }).lean()
+      ack?.({ ok: true, mode: 'ops', seq: head, ops: rows.map(r => ({ ...r.op, seq: r.seq })) })
+    } catch (e) {
+      console.warn('[board:sync] failed', e?.message || e)
+      ack?.({ ok: false, error: 'Sync failed' })
+    }
   })
 
   /* ---------- Chat ---------- */
+  // Author id and name always come from the socket's session, never from the payload.
+  async function chatAuthor() {
+    const userId = String(socket.data.userId || '')
+    const u = userId ? await User.findById(userId).select('name email').lean() : null
+    return { userId, name: u?.name || u?.email || socket.data.presence?.name || 'User' }
+  }
+
   socket.on('chat:typing', (p = {}) => {
-    const boardId = socket.data.boardId || p.boardId
-    if (!boardId) return
-    io.to(boardId).emit('chat:typing', { ...p, boardId })
+    const boardId = socket.data.boardId
+    io.to(boardId).emit('chat:typing', {
+      boardId,
+      userId: String(socket.data.userId || ''),
+      name: socket.data.presence?.name || 'User',
+      typing: !!p.typing,
+    })
   })
 
   socket.on('chat:message', async (msg = {}, ack) => {
-    const boardId = socket.data.boardId || msg.boardId
-    if (!boardId) return ack?.({ ok: false })
+    const boardId = socket.data.boardId
 
     try {
-      const b = await Board.findById(boardId)
-      if (!b) return ack?.({ ok: false })
-
-      let displayName = msg?.name
-      if (msg?.userId && !displayName) {
-        const u = await User.findById(msg.userId).lean()
-        if (u) displayName = u.name || u.email
+      const text = String(msg.text || '').trim()
+      const attachments = cleanAttachments(boardId, msg.attachments)
+      if (typeof attachments === 'string') return ack?.({ ok: false, error: attachments })
+      if (!text && !attachments.length) return ack?.({ ok: false, error: 'Empty message' })
+      if (text.length > CHAT_MAX_CHARS) return ack?.({ ok: false, error: 'Message too long' })
+
+      await migrateLegacyChat(boardId)
+      let threadId = null
+      if (msg.replyTo) {
+        const parent = await ChatMessage.findOne({ boardId, id: String(msg.replyTo) }).select('id threadId').lean()
+        if (!parent) return ack?.({ ok: false, error: 'Unknown message' })
+        threadId = parent.threadId || parent.id
       }
-      if (!displayName) displayName = 'User'
 
+      const author = await chatAuthor()
+      const preview = await chatLinkPreview(text)
       const clean = {
-        id: String(msg.id || Date.now() + '_' + Math.random().toString(36).slice(2, 8)),
-        userId: String(msg.userId || ''),
-        name: String(displayName),
-        text: String(msg.text || ''),
+        id: String(msg.id || Date.now() + '_' + Math.random().toString(36).slice(2, 8)).slice(0, 100),
+        ...author,
+        text,
         replyTo: msg.replyTo ? String(msg.replyTo) : null,
-        reactions: msg.reactions || {},
-        linkPreview: msg.linkPreview || null,
-        ts: Number(msg.ts || Date.now()),
-        boardId,
+        threadId,
+        reactions: {},
+        linkPreview: preview.data,
+        mentions: await findMentions(boardId, text, author.userId),
+        attachments,
+        ts: Date.now(),
       }
 
-      const next = (Array.isArray(b.chat) ? b.chat : []).concat([clean]).slice(-2000)
-      await Board.findByIdAndUpdate(boardId, { $set: { chat: next } })
+      try {
+        await ChatMessage.create({ ...clean, boardId })
+      } catch (e) {
+        // a resend after reconnect: the first copy already went out
+        if (e?.code === 11000) return ack?.({ ok: true, duplicate: true })
+        throw e
+      }
 
-      io.to(boardId).emit('chat:message', clean)
-      ack?.({ ok: true })
+      io.to(boardId).emit('chat:message', chatOut({ ...clean, boardId }))
+      if (preview.url && !preview.data) attachLinkPreviewLater(boardId, clean.id, text, preview.url)
+      if (threadId) {
+        const root = await ChatMessage.findOneAndUpdate(
+          { boardId, id: threadId },
+          { $inc: { replyCount: 1 }, $max: { lastReplyAt: clean.ts } },
+          { new: true }
+        ).select('replyCount lastReplyAt').lean()
+        if (root) io.to(boardId).emit('chat:thread', { boardId, threadId, replyCount: root.replyCount, lastReplyAt: root.lastReplyAt })
+      }
+      ack?.({ ok: true, ts: clean.ts })
+      notifyMentions(clean.mentions, { boardId, message: clean })
+        .catch(e => console.warn('[chat:message] notify failed', e?.message || e))
     } catch (e) {
       console.warn('[chat:message] error', e?.message || e)
       ack?.({ ok: false })
     }
   })
 
-  socket.on('chat:react', async ({ messageId, emoji, userId, toggle = true, boardId: pBoard } = {}, ack) => {
-    const boardId = socket.data.boardId || pBoard
-    if (!boardId) return ack?.({ ok: false })
+  // Authors only. The previous text goes onto `edits`; the update is conditional on the text
+  // we read so two quick edits can't drop a version from the history.
+  socket.on('chat:edit', async ({ messageId, text } = {}, ack) => {
+    const boardId = socket.data.boardId
+    try {
+      const next = String(text || '').trim()
+      if (!next) return ack?.({ ok: false, error: 'Empty message' })
+      if (next.length > CHAT_MAX_CHARS) return ack?.({ ok: false, error: 'Message too long' })
+      await migrateLegacyChat(boardId)
+      const m = await ChatMessage.findOne({ boardId, id: String(messageId) }).lean()
+      if (!m || m.deletedAt) return ack?.({ ok: false, error: 'Message not found' })
+      if (m.userId !== String(socket.data.userId)) return ack?.({ ok: false, error: 'Only the author can edit this message' })
+      if (m.text === next) return ack?.({ ok: true })
+
+      const now = Date.now()
+      const mentions = await findMentions(boardId, next, m.userId)
+      const preview = await chatLinkPreview(next)
+      const updated = await ChatMessage.findOneAndUpdate(
+        { _id: m._id, text: m.text, deletedAt: null },
+        {
+          $set: { text: next, editedAt: now, mentions, linkPreview: preview.data },
+          $push: { edits: { $each: [{ text: m.text, ts: m.editedAt || m.ts }], $slice: -CHAT_EDIT_HISTORY } },
+        },
+        { new: true }
+      ).lean()
+      if (!updated) return ack?.({ ok: false, error: 'Message changed meanwhile, try again' })
+      io.to(boardId).emit('chat:update', chatOut(updated))
+      ack?.({ ok: true, editedAt: now })
+      if (preview.url && !preview.data) attachLinkPreviewLater(boardId, updated.id, next, preview.url)
+      // only people the edit newly mentions get pinged
+      const added = mentions.filter(id => !(m.mentions || []).includes(id))
+      notifyMentions(added, { boardId, message: updated })
+        .catch(e => console.warn('[chat:edit] notify failed', e?.message || e))
+    } catch (e) {
+      console.warn('[chat:edit] error', e?.message || e)
+      ack?.({ ok: false })
+    }
+  })
+
+  // Authors delete their own messages; owners can remove anyone's (moderation). Either way the
+  // message becomes a tombstone: content, reactions and edit history are wiped, replies stay.
+  socket.on('chat:delete', async ({ messageId } = {}, ack) => {
+    const boardId = socket.data.boardId
     try {
-      const b = await Board.findById(boardId)
-      if (!b) return ack?.({ ok: false })
-      const chat = Array.isArray(b.chat) ? b.chat : []
-      const i = chat.findIndex(m => m.id === messageId)
-      if (i >= 0) {
-        const reactions = chat[i].reactions || {}
-        const set = new Set(reactions[emoji] || [])
-        if (toggle === false) set.delete(userId); else set.add(userId)
-        reactions[emoji] = Array.from(set)
-        chat[i] = { ...chat[i], reactions }
-        await Board.findByIdAndUpdate(boardId, { $set: { chat } })
-        io.to(boardId).emit('chat:react', { boardId, messageId, emoji, userId, toggle })
+      await migrateLegacyChat(boardId)
+      const m = await ChatMessage.findOne({ boardId, id: String(messageId) }).select('userId deletedAt').lean()
+      if (!m) return ack?.({ ok: false, error: 'Message not found' })
+      if (m.deletedAt) return ack?.({ ok: true })
+      const userId = String(socket.data.userId)
+      const mine = m.userId === userId
+      if (!mine && socket.data.role !== 'owner') return ack?.({ ok: false, error: 'Only the author or a board owner can delete this message' })
+
+      const updated = await ChatMessage.findOneAndUpdate(
+        { _id: m._id, deletedAt: null },
+        { $set: { deletedAt: Date.now(), deletedBy: userId, moderated: !mine, text: '', edits: [], reactions: {}, linkPreview: null, mentions: [], attachments: [] } },
+        { new: true }
+      ).lean()
+      if (updated) {
+        if (!mine) console.log('[chat] message', updated.id, 'on board', boardId, 'removed by owner', userId)
+        io.to(boardId).emit('chat:update', chatOut(updated))
+        // a removed message shouldn't keep pinging the people it mentioned
+        const pinged = await Notification.find({ boardId, messageId: updated.id }).distinct('userId')
+        if (pinged.length) {
+          await Notification.deleteMany({ boardId, messageId: updated.id })
+          notifySync(pinged)
+        }
       }
       ack?.({ ok: true })
+    } catch (e) {
+      console.warn('[chat:delete] error', e?.message || e)
+      ack?.({ ok: false })
+    }
+  })
+
+  socket.on('chat:react', async ({ messageId, emoji, toggle = true } = {}, ack) => {
+    const boardId = socket.data.boardId
+    const userId = String(socket.data.userId)
+    try {
+      // emoji becomes a field name: keep it short and free of path characters
+      if (typeof emoji !== 'string' || !emoji || emoji.length > 16 || /[.$]/.test(emoji)) return ack?.({ ok: false })
+      await migrateLegacyChat(boardId)
+      const path = `reactions.${emoji}`
+      const r = await ChatMessage.updateOne(
+        { boardId, id: String(messageId), deletedAt: null },
+        toggle === false ? { $pull: { [path]: userId } } : { $addToSet: { [path]: userId } }
+      )
+      if (r.matchedCount) io.to(boardId).emit('chat:react', { boardId, messageId, emoji, userId, toggle })
+      ack?.({ ok: true })
     } catch (e) {
       console.warn('[chat:react] error', e?.message || e)
       ack?.({ ok: false })
@@ -794,14 +3015,25 @@ app.post('/api/ai/ask', aiChatHandler)
 mongoose.set('strictQuery', false)
 mongoose
   .connect(MONGO_URL)
-  .then(() => {
+  .then(async () => {
     console.log('[mongo] connected:', MONGO_URL)
+    await attachRealtimeAdapter()
     httpServer.listen(PORT, '0.0.0.0', () => {
       console.log(`[server] listening on 0.0.0.0:${PORT} | client: ${CLIENT_URL}`)
     })
+    purgeExpiredTrash()
+    setInterval(purgeExpiredTrash, 6 * 60 * 60 * 1000).unref()
+    indexStaleBoards().catch(e => console.warn('[search] startup index failed', e?.message || e))
   })
   .catch(err => { console.error('[mongo] connection error:', err?.message || err); process.exit(1) })
 
 io.engine.on('connection_error', err => { console.warn('[socket.io] connection_error', err?.message) })
 process.on('unhandledRejection', err => console.error('[unhandledRejection]', err))
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.once(sig, async () => {
+    console.log(`[server] ${sig}: flushing live documents`)
+    await flushAllDocs().catch(() => {})
+    process.exit(0)
+  })
+}
 process.on('uncaughtException', err => console.error('[uncaughtException]', err))
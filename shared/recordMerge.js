@@ -0,0 +1,157 @@
+// shared/recordMerge.js
+// Per-field last-writer-wins merge for tldraw record diffs, used by both the
+// server (board:ops) and the client apply path so every replica converges.
+//
+// Each op carries a clock stamp { t, c }: t is a hybrid logical clock
+// (max(now, last seen + 1)) and c the client id as a tie-break. Every replica
+// remembers, per record field, the stamp that last wrote it and only lets a
+// strictly newer stamp overwrite it. Fields are the top-level record keys plus
+// one level into `props` and `meta` ("x", "props.w", "meta.label"), so two people
+// editing different props of one shape both keep their change.
+// Removal wins: an update for a record that no longer exists is dropped.
+
+const NESTED = new Set(['props', 'meta'])
+const SKIP = new Set(['id', 'typeName'])
+const ZERO = { t: 0, c: '' }
+
+export function compareClock(a = ZERO, b = ZERO) {
+  if (a.t !== b.t) return a.t < b.t ? -1 : 1
+  if (a.c === b.c) return 0
+  return a.c < b.c ? -1 : 1
+}
+
+export function createClock(clientId) {
+  let last = 0
+  return {
+    tick() {
+      last = Math.max(Date.now(), last + 1)
+      return { t: last, c: clientId }
+    },
+    observe(stamp) {
+      if (stamp && stamp.t > last) last = stamp.t
+    },
+  }
+}
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b)
+
+// { path: value } for every field of `rec`; an absent nested key is reported as undefined
+function fieldsOf(rec, keysFrom = rec) {
+  const out = {}
+  for (const k of Object.keys(keysFrom || {})) {
+    if (SKIP.has(k)) continue
+    if (NESTED.has(k) && rec?.[k] && typeof rec[k] === 'object') {
+      for (const sub of Object.keys({ ...(keysFrom?.[k] || {}), ...rec[k] })) out[`${k}.${sub}`] = rec[k][sub]
+    } else {
+      out[k] = rec?.[k]
+    }
+  }
+  return out
+}
+
+export function changedFields(from, to) {
+  if (!from) return fieldsOf(to)
+  const before = fieldsOf(from, { ...from, ...to })
+  const after = fieldsOf(to, { ...from, ...to })
+  const out = {}
+  for (const path of Object.keys(after)) {
+    if (!same(before[path], after[path])) out[path] = after[path]
+  }
+  return out
+}
+
+function setField(rec, path, value) {
+  const dot = path.indexOf('.')
+  if (dot === -1) { rec[path] = value; return }
+  const head = path.slice(0, dot)
+  const tail = path.slice(dot + 1)
+  rec[head] = { ...(rec[head] || {}) }
+  if (value === undefined) delete rec[head][tail]
+  else rec[head][tail] = value
+}
+
+const listOf = (coll) => (Array.isArray(coll) ? coll : Object.values(coll || {}))
+
+/**
+ * Merge one RecordsDiff-like change set ({ added, updated: { id: [from, to] }, removed })
+ * against the current state. Pure: nothing is written until `commit` is called,
+ * so callers can validate the resulting records first.
+ *
+ * - getRecord: (id) => current record or undefined
+ * - clocks: Map<id, Map<path, stamp>>
+ * - accept?: (record | id) => boolean   // e.g. document-scope records only
+ * Returns { puts, removes, commit }.
+ */
+export function mergeChanges({ getRecord, clocks, changes, stamp = ZERO, accept = () => true }) {
+  const staged = new Map() // id -> record being built
+  const stampWrites = [] // [id, path]
+  const removes = []
+
+  const current = (id) => (staged.has(id) ? staged.get(id) : getRecord(id))
+  const wins = (id, path) => compareClock(stamp, clocks.get(id)?.get(path)) > 0
+
+  const writeFields = (id, base, fields) => {
+    let next = null
+    for (const [path, value] of Object.entries(fields)) {
+      if (!wins(id, path)) continue
+      if (!next) next = structuredClone(base)
+      setField(next, path, value)
+      stampWrites.push([id, path])
+    }
+    if (next) staged.set(id, next)
+  }
+
+  for (const rec of listOf(changes?.added)) {
+    if (!rec?.id || !accept(rec)) continue
+    const existing = current(rec.id)
+    if (!existing) {
+      staged.set(rec.id, rec)
+      for (const path of Object.keys(fieldsOf(rec))) stampWrites.push([rec.id, path])
+    } else {
+      writeFields(rec.id, existing, changedFields(existing, rec))
+    }
+  }
+
+  for (const upd of listOf(changes?.updated)) {
+    const from = Array.isArray(upd) ? upd[0] : upd?.prev
+    const to = Array.isArray(upd) ? upd[1] : upd?.next
+    if (!to?.id || !accept(to)) continue
+    const existing = current(to.id)
+    if (!existing) continue // removed meanwhile: removal wins
+    writeFields(to.id, existing, changedFields(from, to))
+  }
+
+  for (const r of listOf(changes?.removed)) {
+    const id = typeof r === 'string' ? r : r?.id
+    if (!id || !accept(r)) continue
+    staged.delete(id)
+    removes.push(id)
+  }
+
+  return {
+    puts: [...staged.values()],
+    removes,
+    commit() {
+      for (const [id, path] of stampWrites) {
+        if (!clocks.has(id)) clocks.set(id, new Map())
+        clocks.get(id).set(path, stamp)
+      }
+      for (const id of removes) clocks.delete(id)
+    },
+  }
+}
+
+// Remember the fields a local (already applied) change set wrote, under `stamp`
+export function recordLocal({ clocks, changes, stamp }) {
+  const mark = (id, fields) => {
+    if (!clocks.has(id)) clocks.set(id, new Map())
+    for (const path of Object.keys(fields)) clocks.get(id).set(path, stamp)
+  }
+  for (const rec of listOf(changes?.added)) if (rec?.id) mark(rec.id, fieldsOf(rec))
+  for (const upd of listOf(changes?.updated)) {
+    const from = Array.isArray(upd) ? upd[0] : upd?.prev
+    const to = Array.isArray(upd) ? upd[1] : upd?.next
+    if (to?.id) mark(to.id, changedFields(from, to))
+  }
+  for (const r of listOf(changes?.removed)) clocks.delete(typeof r === 'string' ? r : r?.id)
+}
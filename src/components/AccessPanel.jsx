@@ -0,0 +1,176 @@
+// src/components/AccessPanel.jsx
+import React, { useEffect, useState } from 'react'
+import { apiFetch } from '../lib/api.js'
+
+const LINK_OPTIONS = [
+  { value: 'none', label: 'Only members' },
+  { value: 'view', label: 'Anyone signed in with the link can view' },
+  { value: 'edit', label: 'Anyone signed in with the link can edit' },
+]
+
+/**
+ * Owner-only panel: invite by email, "anyone with the link" setting,
+ * pending invites and pending access requests.
+ * Props:
+ * - socket: Socket.IO client (listens for `access:request`)
+ * - boardId: string
+ * - open: boolean
+ * - onClose: () => void
+ */
+export default function AccessPanel({ socket, boardId, open, onClose }) {
+  const [linkAccess, setLinkAccess] = useState('none')
+  const [requests, setRequests] = useState([])
+  const [invites, setInvites] = useState([])
+  const [inviteEmail, setInviteEmail] = useState('')
+  const [inviteRole, setInviteRole] = useState('editor')
+  const [notice, setNotice] = useState('')
+  const [error, setError] = useState('')
+
+  async function load() {
+    try {
+      const [b, r, inv] = await Promise.all([
+        apiFetch(`/api/boards/${boardId}`).then((x) => (x.ok ? x.json() : null)),
+        apiFetch(`/api/boards/${boardId}/access-requests`).then((x) => (x.ok ? x.json() : [])),
+        apiFetch(`/api/boards/${boardId}/members/invites`).then((x) => (x.ok ? x.json() : [])),
+      ])
+      if (b?.linkAccess) setLinkAccess(b.linkAccess)
+      setRequests(Array.isArray(r) ? r : [])
+      setInvites(Array.isArray(inv) ? inv : [])
+    } catch {}
+  }
+
+  useEffect(() => { if (open) load() }, [open, boardId])
+
+  useEffect(() => {
+    if (!socket) return
+    const onRequest = (p) => { if (!p?.boardId || p.boardId === boardId) load() }
+    socket.on('access:request', onRequest)
+    return () => socket.off('access:request', onRequest)
+  }, [socket, boardId])
+
+  async function call(path, method, body) {
+    setError('')
+    const r = await apiFetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    })
+    const j = await r.json().catch(() => ({}))
+    if (!r.ok) { setError(j.error || 'Request failed'); return null }
+    return j
+  }
+
+  async function invite(e) {
+    e.preventDefault()
+    setNotice('')
+    const email = inviteEmail.trim()
+    if (!email) return
+    const j = await call(`/api/boards/${boardId}/members`, 'POST', { email, role: inviteRole })
+    if (!j) return
+    setInviteEmail('')
+    setNotice(j.pending ? `Invitation sent to ${email}. They join when they sign up.` : `${email} was added as ${inviteRole}.`)
+    load()
+  }
+  async function revokeInvite(id) {
+    if (await call(`/api/boards/${boardId}/members/invites/${id}`, 'DELETE')) load()
+  }
+
+  async function changeLinkAccess(value) {
+    const j = await call(`/api/boards/${boardId}/settings`, 'PATCH', { linkAccess: value })
+    if (j) setLinkAccess(j.linkAccess)
+  }
+  async function approve(userId, role) {
+    if (await call(`/api/boards/${boardId}/access-requests/${userId}/approve`, 'POST', { role })) load()
+  }
+  async function deny(userId) {
+    if (await call(`/api/boards/${boardId}/access-requests/${userId}`, 'DELETE')) load()
+  }
+
+  if (!open) return null
+
+  return (
+    <div className="fixed left-4 bottom-20 z-50 w-96 max-w-[95vw] bg-white dark:bg-zinc-900 border rounded-xl shadow-lg flex flex-col">
+      <div className="px-3 py-2 border-b flex items-center justify-between">
+        <div className="font-semibold">Access</div>
+        <button onClick={onClose} className="text-sm opacity-70 hover:opacity-100">✕</button>
+      </div>
+
+      <div className="p-3 space-y-3 text-sm">
+        <form onSubmit={invite} className="space-y-1">
+          <div className="text-xs uppercase tracking-wide opacity-60">Invite by email</div>
+          <div className="flex gap-2">
+            <input
+              className="input flex-1 min-w-0"
+              type="email"
+              placeholder="name@example.com"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+            />
+            <select className="input" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+              <option value="editor">Editor</option>
+              <option value="viewer">Viewer</option>
+            </select>
+            <button className="btn">Invite</button>
+          </div>
+          {notice && <div className="text-xs text-emerald-700 dark:text-emerald-300">{notice}</div>}
+        </form>
+
+        <label className="block space-y-1">
+          <div className="text-xs uppercase tracking-wide opacity-60">General access</div>
+          <select className="input w-full" value={linkAccess} onChange={(e) => changeLinkAccess(e.target.value)}>
+            {LINK_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </label>
+
+        {invites.length > 0 && (
+          <div className="space-y-1">
+            <div className="text-xs uppercase tracking-wide opacity-60">Pending invites</div>
+            <ul className="divide-y max-h-40 overflow-auto">
+              {invites.map((i) => (
+                <li key={i.id} className="py-1 flex items-center justify-between gap-2">
+                  <div className="truncate">
+                    <div className="truncate">{i.email}</div>
+                    <div className="text-xs opacity-60">
+                      {i.role}{i.expiresAt ? ` · expires ${new Date(i.expiresAt).toLocaleDateString()}` : ''}
+                    </div>
+                  </div>
+                  <button className="btn-outline text-xs shrink-0" onClick={() => revokeInvite(i.id)}>Revoke</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="space-y-1">
+          <div className="text-xs uppercase tracking-wide opacity-60">Pending requests</div>
+          {requests.length === 0 ? (
+            <div className="opacity-60">No pending requests.</div>
+          ) : (
+            <ul className="divide-y max-h-64 overflow-auto">
+              {requests.map((r) => (
+                <li key={r.userId} className="py-2 space-y-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="truncate">
+                      <div className="font-medium truncate">{r.name}</div>
+                      <div className="text-xs opacity-60 truncate">{r.email} · wants {r.role}</div>
+                    </div>
+                    <div className="flex gap-1 shrink-0">
+                      <button className="btn text-xs" onClick={() => approve(r.userId, r.role)}>Approve</button>
+                      {r.role === 'editor' && (
+                        <button className="btn-outline text-xs" onClick={() => approve(r.userId, 'viewer')}>As viewer</button>
+                      )}
+                      <button className="btn-outline text-xs" onClick={() => deny(r.userId)}>Deny</button>
+                    </div>
+                  </div>
+                  {r.message ? <div className="text-xs opacity-70 italic">“{r.message}”</div> : null}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {error && <p className="text-red-600">{error}</p>}
+      </div>
+    </div>
+  )
+}
@@ -1,5 +1,5 @@
 // src/components/BoardsList.jsx
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useState } from 'react';
 
 function RoleBadge({ role }) {
   const cls = {
@@ -10,6 +10,26 @@ function RoleBadge({ role }) {
   return <span className={`text-[11px] px-2 py-0.5 rounded border ${cls}`}>{role}</span>;
 }
 
+// Owner-only "⋯" menu; closes itself after an item is picked.
+function BoardMenu({ items }) {
+  return (
+    <details className="relative">
+      <summary className="btn-outline list-none cursor-pointer select-none">⋯</summary>
+      <div className="absolute right-0 mt-1 z-10 w-40 bg-white dark:bg-zinc-900 border rounded-lg shadow-lg py-1">
+        {items.map((it) => (
+          <button
+            key={it.label}
+            className={`block w-full text-left px-3 py-1.5 text-sm hover:bg-black/5 dark:hover:bg-white/10 ${it.danger ? 'text-red-600' : ''}`}
+            onClick={(e) => { e.currentTarget.closest('details').open = false; it.onClick(); }}
+          >
+            {it.label}
+          </button>
+        ))}
+      </div>
+    </details>
+  );
+}
+
 function fmtTime(iso) {
   const d = new Date(iso);
   const now = Date.now();
@@ -24,38 +44,70 @@ export default function BoardsList({ onOpen }) {
   const [boards, setBoards] = useState([]);
   const [q, setQ] = useState('');
   const [sort, setSort] = useState('updatedAt_desc'); // 'updatedAt_desc' | 'updatedAt_asc' | 'title_asc' | 'title_desc'
+  const [role, setRole] = useState(''); // '' | 'owner' | 'editor' | 'viewer'
+  const [status, setStatus] = useState('active'); // 'active' | 'archived' | 'trash'
+  const [cursor, setCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [creating, setCreating] = useState(false);
   const [title, setTitle] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [keepChat, setKeepChat] = useState(true);
+  const [keepMembers, setKeepMembers] = useState(false);
 
-  async function load() {
-    setLoading(true);
+  // Server does search/filter/sort; `more` appends the next page.
+  async function load({ more = false } = {}) {
+    if (more) setLoadingMore(true); else setLoading(true);
     try {
-      const r = await fetch(`/api/boards${q ? `?q=${encodeURIComponent(q)}` : ''}`, { credentials: 'include' });
-      const data = r.ok ? await r.json() : [];
-      setBoards(Array.isArray(data) ? data : []);
+      const sp = new URLSearchParams({ sort, limit: '30' });
+      if (q.trim()) sp.set('q', q.trim());
+      if (role) sp.set('role', role);
+      if (status !== 'active') sp.set('status', status);
+      if (more && cursor) sp.set('cursor', cursor);
+      const r = await fetch(`/api/boards?${sp.toString()}`, { credentials: 'include' });
+      const data = r.ok ? await r.json() : { items: [], nextCursor: null };
+      const items = Array.isArray(data?.items) ? data.items : [];
+      setBoards((prev) => (more ? [...prev, ...items] : items));
+      setCursor(data?.nextCursor || null);
     } catch {
-      setBoards([]);
+      if (!more) setBoards([]);
+      setCursor(null);
     } finally {
-      setLoading(false);
+      if (more) setLoadingMore(false); else setLoading(false);
     }
   }
 
-  useEffect(() => { load(); }, []); // initial
-
-  const filtered = useMemo(() => {
-    const arr = [...boards];
-    arr.sort((a, b) => {
-      switch (sort) {
-        case 'updatedAt_desc': return new Date(b.updatedAt) - new Date(a.updatedAt);
-        case 'updatedAt_asc': return new Date(a.updatedAt) - new Date(b.updatedAt);
-        case 'title_asc': return (a.title || '').localeCompare(b.title || '');
-        case 'title_desc': return (b.title || '').localeCompare(a.title || '');
-        default: return 0;
-      }
-    });
-    return arr;
-  }, [boards, sort]);
+  useEffect(() => { load(); }, [sort, role, status]); // initial + when sort/filter changes
+
+  // Owner lifecycle actions; each reloads the current view on success.
+  async function boardAction(board, path, { method = 'POST', body, confirmText } = {}) {
+    if (confirmText && !confirm(confirmText)) return;
+    try {
+      const r = await fetch(`/api/boards/${board._id}${path}`, {
+        method,
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j.error || 'Action failed');
+      await load();
+      return j;
+    } catch (e) {
+      alert(e.message || 'Action failed');
+    }
+  }
+
+  function renameBoard(board) {
+    const next = prompt('Rename board', board.title || 'Untitled');
+    if (next == null || !next.trim() || next.trim() === board.title) return;
+    boardAction(board, '', { method: 'PATCH', body: { title: next.trim() } });
+  }
+
+  function daysLeft(iso) {
+    const ms = new Date(iso).getTime() - Date.now();
+    return Math.max(0, Math.ceil(ms / 86400000));
+  }
 
   async function createBoard() {
     try {
@@ -76,6 +128,26 @@ export default function BoardsList({ onOpen }) {
     }
   }
 
+  // Upload a *.export.json; the server validates it and creates a new board owned by us.
+  async function importBoard(file) {
+    if (!file) return;
+    try {
+      setImporting(true);
+      const fd = new FormData();
+      fd.append('file', file);
+      fd.append('keepChat', keepChat ? '1' : '0');
+      fd.append('keepMembers', keepMembers ? '1' : '0');
+      const r = await fetch('/api/boards/import', { method: 'POST', credentials: 'include', body: fd });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j.error || 'Import failed');
+      onOpen({ id: j.board._id, token: '' });
+    } catch (e) {
+      alert(e.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  }
+
   async function copyPublicLink(board) {
     try {
       // get existing; if disabled, enable it automatically
@@ -114,6 +186,27 @@ export default function BoardsList({ onOpen }) {
           <button className="btn whitespace-nowrap" onClick={createBoard} disabled={creating}>
             {creating ? 'Creating…' : 'Create'}
           </button>
+          <details className="relative">
+            <summary className="btn-outline list-none cursor-pointer select-none whitespace-nowrap">
+              {importing ? 'Importing…' : 'Import'}
+            </summary>
+            <div className="absolute left-0 mt-1 z-10 w-64 bg-white dark:bg-zinc-900 border rounded-lg shadow-lg p-3 space-y-2 text-sm">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={keepChat} onChange={(e)=>setKeepChat(e.target.checked)} />
+                Keep chat history
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={keepMembers} onChange={(e)=>setKeepMembers(e.target.checked)} />
+                Keep members (as editors/viewers)
+              </label>
+              <input
+                type="file"
+                accept=".json,application/json"
+                disabled={importing}
+                onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ''; importBoard(f); }}
+              />
+            </div>
+          </details>
         </div>
 
         <div className="flex gap-2">
@@ -124,56 +217,98 @@ export default function BoardsList({ onOpen }) {
             onChange={(e)=>setQ(e.target.value)}
             onKeyDown={(e)=>{ if (e.key === 'Enter') load(); }}
           />
-          <button className="btn" onClick={load}>Search</button>
+          <button className="btn" onClick={() => load()}>Search</button>
         </div>
 
         <div className="flex gap-2 items-center">
+          <select className="input" value={status} onChange={(e)=>setStatus(e.target.value)}>
+            <option value="active">Boards</option>
+            <option value="archived">Archived</option>
+            <option value="trash">Trash</option>
+          </select>
+          <select className="input" value={role} onChange={(e)=>setRole(e.target.value)}>
+            <option value="">All roles</option>
+            <option value="owner">Owner</option>
+            <option value="editor">Editor</option>
+            <option value="viewer">Viewer</option>
+          </select>
           <select className="input flex-1" value={sort} onChange={(e)=>setSort(e.target.value)}>
             <option value="updatedAt_desc">Last edited ↓</option>
             <option value="updatedAt_asc">Last edited ↑</option>
             <option value="title_asc">Title A→Z</option>
             <option value="title_desc">Title Z→A</option>
           </select>
-          <button className="btn" onClick={load}>↻</button>
+          <button className="btn" onClick={() => load()}>↻</button>
         </div>
       </div>
 
       {/* Table */}
       <div className="border rounded-xl overflow-hidden">
         <div className="grid grid-cols-12 px-3 py-2 text-xs uppercase tracking-wide bg-black/5 dark:bg-white/10">
-          <div className="col-span-6">Title</div>
+          <div className="col-span-5">Title</div>
           <div className="col-span-2">Role</div>
-          <div className="col-span-2">Last edited</div>
-          <div className="col-span-2 text-right">Actions</div>
+          <div className="col-span-2">{status === 'trash' ? 'Deleted' : 'Last edited'}</div>
+          <div className="col-span-3 text-right">Actions</div>
         </div>
 
         {loading ? (
           <div className="p-4 text-sm opacity-70">Loading…</div>
-        ) : filtered.length === 0 ? (
+        ) : boards.length === 0 ? (
           <div className="p-4 text-sm opacity-70">No boards found.</div>
         ) : (
           <ul className="divide-y">
-            {filtered.map((b) => {
-              // find my role from members
-              const meMember = (b.members || []).find(m => (m.userId === b.me?.id) || (m.userId?._id === b.me?.id)) || (b.members || [])[0];
-              const role = meMember?.role || 'viewer';
+            {boards.map((b) => {
+              const role = b.role || 'viewer';
               return (
                 <li key={b._id} className="grid grid-cols-12 items-center px-3 py-2">
-                  <div className="col-span-6 truncate">
+                  <div className="col-span-5 truncate">
                     <div className="font-medium truncate">{b.title || 'Untitled'}</div>
-                    <div className="text-xs opacity-60">#{b._id}</div>
+                    <div className="text-xs opacity-60">
+                      #{b._id}{b.purgeAt ? ` · deleted forever in ${daysLeft(b.purgeAt)}d` : ''}
+                    </div>
                   </div>
                   <div className="col-span-2"><RoleBadge role={role} /></div>
-                  <div className="col-span-2 text-sm opacity-80">{fmtTime(b.updatedAt)}</div>
-                  <div className="col-span-2 flex justify-end gap-2">
-                    <button className="btn" onClick={()=>onOpen({ id: b._id, token: '' })}>Open</button>
-                    <button className="btn-outline" onClick={()=>copyPublicLink(b)}>Public link</button>
-                  </div>
+                  <div className="col-span-2 text-sm opacity-80">{fmtTime(b.deletedAt || b.updatedAt)}</div>
+                  {status === 'trash' ? (
+                    <div className="col-span-3 flex justify-end gap-2">
+                      <button className="btn" onClick={()=>boardAction(b, '/restore')}>Restore</button>
+                      <button
+                        className="btn-outline"
+                        onClick={()=>boardAction(b, '?permanent=1', { method: 'DELETE', confirmText: `Delete "${b.title || 'Untitled'}" forever? This cannot be undone.` })}
+                      >
+                        Delete forever
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="col-span-3 flex justify-end gap-2">
+                      <button className="btn" onClick={()=>onOpen({ id: b._id, token: '' })}>Open</button>
+                      {role !== 'viewer' && (
+                        <button className="btn-outline" onClick={()=>copyPublicLink(b)}>Public link</button>
+                      )}
+                      {role === 'owner' && (
+                        <BoardMenu items={[
+                          { label: 'Rename', onClick: () => renameBoard(b) },
+                          { label: 'Duplicate', onClick: () => boardAction(b, '/duplicate') },
+                          b.archivedAt
+                            ? { label: 'Unarchive', onClick: () => boardAction(b, '/archive', { body: { archived: false } }) }
+                            : { label: 'Archive', onClick: () => boardAction(b, '/archive', { body: { archived: true } }) },
+                          { label: 'Move to trash', danger: true, onClick: () => boardAction(b, '', { method: 'DELETE', confirmText: `Move "${b.title || 'Untitled'}" to the trash?` }) },
+                        ]} />
+                      )}
+                    </div>
+                  )}
                 </li>
               );
             })}
           </ul>
         )}
+        {!loading && cursor && (
+          <div className="p-2 border-t flex justify-center">
+            <button className="btn-outline" onClick={() => load({ more: true })} disabled={loadingMore}>
+              {loadingMore ? 'Loading…' : 'Load more'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
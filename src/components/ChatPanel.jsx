@@ -1,8 +1,12 @@
 // src/components/ChatPanel.jsx
 import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { apiFetch } from '../lib/api.js'
+import { uploadFile, exportBlob } from '../lib/share.js'
 
 const EMOJIS = ['👍','❤️','😂','🎉','🔥','👏']
+const MAX_ATTACHMENTS = 6 // server: CHAT_MAX_ATTACHMENTS
+const SNIPPET_MAX_BYTES = 256 * 1024 // server: CHAT_SNIPPET_MAX_BYTES
+const REVEAL_MAX_PAGES = 20 // how far back a search result is looked for
 
 const fmt = (ts) => { try { return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) } catch { return '' } }
 const emailPrefix = (s) => { if (!s) return ''; const t = String(s).trim(); return t.includes('@') ? t.split('@')[0] : t }
@@ -11,12 +15,16 @@ const displayNameFromUser = (u = {}) =>
 const displayNameFromMessage = (m = {}) =>
   emailPrefix(m.name || m.displayName || m.username || m.userName || m.email || m.userEmail || '') || 'User'
 
+// edits and deletions keep the message's ts, so they're ordered by when they happened
+const versionOf = (m) => m.deleted?.at ?? m.editedAt ?? m.ts ?? 0
+
 function mergeById(oldArr, newArr) {
   const map = new Map()
   ;[...oldArr, ...newArr].forEach((m) => {
     if (!m?.id) return
     const cur = map.get(m.id)
-    if (!cur || (m.ts ?? 0) >= (cur.ts ?? 0)) map.set(m.id, m)
+    if (!cur) map.set(m.id, m)
+    else if (versionOf(m) >= versionOf(cur)) map.set(m.id, { ...cur, ...m })
   })
   return Array.from(map.values()).sort((a, b) => (a.ts ?? 0) - (b.ts ?? 0))
 }
@@ -24,16 +32,45 @@ function useDebounced(fn, delay = 500) {
   const ref = useRef()
   return (...args) => { clearTimeout(ref.current); ref.current = setTimeout(() => fn(...args), delay) }
 }
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+// "@partial" right before the caret (names may contain spaces, so it runs to the last "@")
+const MENTION_QUERY = /(^|[^\w@])@([^@\n]{0,40})$/
+
 const roleBadge = (role) => role === 'owner' ? '👑 Owner' : role === 'editor' ? '✏️ Editor' : '👁️ Viewer'
 
-export default function ChatPanel({ socket, boardId, token, me = {}, open, onClose, history = [] }) {
+export default function ChatPanel({ socket, boardId, token, me = {}, open, onClose, history = [], canPost = true, editor = null, canEdit = false, focus = null, onFocusDone }) {
   const [messages, setMessages] = useState(() => Array.isArray(history) ? history : [])
   const [text, setText] = useState('')
   const [replyTo, setReplyTo] = useState(null)
+  const [thread, setThread] = useState(null) // root message id of the open thread
+  const [threadOlder, setThreadOlder] = useState(false)
+  const [editing, setEditing] = useState(null) // { id, text }
+  const [historyOf, setHistoryOf] = useState(null) // message id whose edit history is expanded
+  const [error, setError] = useState('')
   const [typing, setTyping] = useState({})
   const [roles, setRoles] = useState({})
+  const [members, setMembers] = useState([]) // [{ userId, handle, name, color }] for @mentions
+  const [mention, setMention] = useState(null) // { start, query } while typing "@…"
+  const [mentionIdx, setMentionIdx] = useState(0)
+  const inputRef = useRef(null)
+  const panelRef = useRef(null)
+  const [attachments, setAttachments] = useState([]) // uploaded, waiting for Send
+  const [uploading, setUploading] = useState(0)
+  const [dropActive, setDropActive] = useState(false)
   const [pendingOut, setPendingOut] = useState([])
+  const [hasOlder, setHasOlder] = useState(false)
+  const [loadingOlder, setLoadingOlder] = useState(false)
   const boxRef = useRef(null)
+  // paging cursors: ids of the oldest / newest message the server has given us
+  const oldestIdRef = useRef(null)
+  const newestIdRef = useRef(null)
+  const keepScrollRef = useRef(null) // scrollHeight before older messages were prepended
+  const threadOldestRef = useRef(null)
+  const threadRef = useRef(null)
+  threadRef.current = thread
+  const messagesRef = useRef(messages)
+  messagesRef.current = messages
+  const [highlighted, setHighlighted] = useState(null) // message id a search result pointed at
 
   const myDisplayName = useMemo(() => displayNameFromUser(me), [me])
   const historyKey = useMemo(() => `wb:chat:${boardId}`, [boardId])
@@ -48,25 +85,142 @@ export default function ChatPanel({ socket, boardId, token, me = {}, open, onClo
       const arr = await r.json()
       const m = {}; for (const it of arr) m[it.userId] = it.role
       setRoles(m)
+      setMembers(arr.filter((it) => it.handle))
     } catch {}
   }
+  async function fetchPage(params) {
+    const qs = new URLSearchParams(params)
+    if (token) qs.set('token', token)
+    const r = await apiFetch(`/api/boards/${boardId}/chat?${qs}`)
+    if (!r.ok) throw new Error(`chat history ${r.status}`)
+    return r.json()
+  }
+
+  // Newest page on open; after a reconnect, everything since the newest message we have.
+  // Returns the messages it loaded.
   async function fetchChatFromServer() {
+    const got = []
     try {
-      const url = token ? `/api/boards/${boardId}?token=${encodeURIComponent(token)}` : `/api/boards/${boardId}`
-      const r = await apiFetch(url)
-      if (!r.ok) return
-      const b = await r.json()
-      const serverChat = Array.isArray(b?.chat) ? b.chat : []
-      if (serverChat.length) setMessages((prev) => mergeById(prev, serverChat))
-    } catch {}
+      if (!newestIdRef.current) {
+        const { items, hasMore } = await fetchPage({})
+        if (items.length) {
+          oldestIdRef.current = items[0].id
+          newestIdRef.current = items[items.length - 1].id
+          setMessages((prev) => mergeById(prev, items))
+        }
+        setHasOlder(hasMore)
+        return items
+      }
+      for (;;) {
+        const { items, hasMore } = await fetchPage({ after: newestIdRef.current })
+        if (items.length) {
+          newestIdRef.current = items[items.length - 1].id
+          setMessages((prev) => mergeById(prev, items))
+          got.push(...items)
+        }
+        if (!hasMore) break
+      }
+    } catch (e) {
+      console.warn('[chat] history fetch failed', e)
+    }
+    return got
+  }
+
+  async function loadOlder() {
+    if (loadingOlder || !hasOlder || !oldestIdRef.current) return
+    setLoadingOlder(true)
+    try {
+      const { items, hasMore } = await fetchPage({ before: oldestIdRef.current })
+      if (items.length) {
+        oldestIdRef.current = items[0].id
+        keepScrollRef.current = boxRef.current?.scrollHeight ?? null
+        setMessages((prev) => mergeById(prev, items))
+      }
+      setHasOlder(hasMore)
+    } catch (e) {
+      console.warn('[chat] older page failed', e)
+    } finally {
+      setLoadingOlder(false)
+    }
+  }
+
+  // Replies of one thread: the newest page when it opens, earlier ones on demand
+  async function fetchThread(rootId, older = false) {
+    try {
+      const params = { thread: rootId }
+      if (older && threadOldestRef.current) params.before = threadOldestRef.current
+      const { items, hasMore } = await fetchPage(params)
+      if (threadRef.current !== rootId) return
+      if (items.length && (older || !threadOldestRef.current)) threadOldestRef.current = items[0].id
+      if (items.length) setMessages((prev) => mergeById(prev, items))
+      if (older || items.length) setThreadOlder(hasMore)
+      return items
+    } catch (e) {
+      console.warn('[chat] thread fetch failed', e)
+    }
+    return []
+  }
+
+  const openThread = (rootId) => {
+    threadOldestRef.current = null
+    setThreadOlder(false)
+    setEditing(null)
+    setThread(rootId)
+  }
+  useEffect(() => { if (thread) fetchThread(thread) }, [thread])
+
+  // Search results point at a message: page back (in its thread, if any) until it's loaded
+  async function revealMessage({ messageId, threadId }) {
+    let found = messagesRef.current.some((m) => m.id === messageId && (m.threadId || null) === (threadId || null))
+    if (threadId) {
+      if (threadRef.current !== threadId) openThread(threadId)
+      threadRef.current = threadId
+      for (let i = 0; i < REVEAL_MAX_PAGES && !found; i++) {
+        const items = await fetchThread(threadId, i > 0)
+        found = items.some((m) => m.id === messageId)
+        if (!items.length) break
+      }
+    } else {
+      setThread(null)
+      threadRef.current = null
+      if (!found && !oldestIdRef.current) found = (await fetchChatFromServer()).some((m) => m.id === messageId)
+      for (let i = 0; i < REVEAL_MAX_PAGES && !found && oldestIdRef.current; i++) {
+        try {
+          const { items, hasMore } = await fetchPage({ before: oldestIdRef.current })
+          if (items.length) {
+            oldestIdRef.current = items[0].id
+            setMessages((prev) => mergeById(prev, items))
+          }
+          setHasOlder(hasMore)
+          found = items.some((m) => m.id === messageId)
+          if (!hasMore) break
+        } catch (e) {
+          console.warn('[chat] older page failed', e)
+          break
+        }
+      }
+    }
+    if (found) setHighlighted(messageId)
+    else setError('That message is no longer in the chat')
   }
+  useEffect(() => {
+    if (!open || !focus?.messageId) return
+    revealMessage(focus).finally(() => onFocusDone?.())
+  }, [focus, open])
 
-  useEffect(() => { if (boardId) { fetchChatFromServer(); fetchRoles() } }, [boardId])
+  useEffect(() => {
+    oldestIdRef.current = null
+    newestIdRef.current = null
+    setHasOlder(false)
+    setThread(null)
+    if (boardId) { fetchChatFromServer(); fetchRoles() }
+  }, [boardId])
 
   useEffect(() => {
     if (!socket) return
     const onConnect = () => {
       fetchChatFromServer(); fetchRoles()
+      if (threadRef.current) { threadOldestRef.current = null; fetchThread(threadRef.current) }
       setPendingOut((queued) => {
         if (!queued.length) return queued
         queued.forEach((msg) => socket.emit('chat:message', msg, () => {}))
@@ -81,9 +235,19 @@ export default function ChatPanel({ socket, boardId, token, me = {}, open, onClo
     if (!socket) return
     const onMsg = (m) => {
       if (m.boardId && m.boardId !== boardId) return
+      if (!m.threadId) newestIdRef.current = m.id // the catch-up cursor only walks top-level messages
       const withName = { ...m, name: displayNameFromMessage(m) }
       setMessages((prev) => mergeById(prev, [withName]))
     }
+    // edits and deletions arrive as the whole message (same id and ts)
+    const onUpdate = (m) => {
+      if (m.boardId && m.boardId !== boardId) return
+      setMessages((prev) => mergeById(prev, [m]))
+    }
+    const onThread = (p) => {
+      if (p.boardId && p.boardId !== boardId) return
+      setMessages((prev) => prev.map((m) => (m.id === p.threadId ? { ...m, replyCount: p.replyCount, lastReplyAt: p.lastReplyAt } : m)))
+    }
     const onReact = (p) => {
       if (p.boardId && p.boardId !== boardId) return
       const { messageId, emoji, userId, toggle } = p
@@ -110,10 +274,120 @@ export default function ChatPanel({ socket, boardId, token, me = {}, open, onClo
     socket.on('chat:message', onMsg)
     socket.on('chat:react', onReact)
     socket.on('chat:typing', onTyping)
-    return () => { socket.off('chat:message', onMsg); socket.off('chat:react', onReact); socket.off('chat:typing', onTyping) }
+    socket.on('chat:update', onUpdate)
+    socket.on('chat:thread', onThread)
+    return () => {
+      socket.off('chat:message', onMsg); socket.off('chat:react', onReact); socket.off('chat:typing', onTyping)
+      socket.off('chat:update', onUpdate); socket.off('chat:thread', onThread)
+    }
   }, [socket, boardId])
 
-  useEffect(() => { if (open && boxRef.current) boxRef.current.scrollTop = boxRef.current.scrollHeight }, [messages, open])
+  // Stick to the bottom for new messages; keep the reading position when older ones are prepended
+  useEffect(() => {
+    const box = boxRef.current
+    if (!open || !box) return
+    if (keepScrollRef.current != null) {
+      box.scrollTop += box.scrollHeight - keepScrollRef.current
+      keepScrollRef.current = null
+    } else {
+      box.scrollTop = box.scrollHeight
+    }
+  }, [messages, open, thread])
+
+  // Runs after the stick-to-bottom effect, so a revealed message wins the scroll position
+  useEffect(() => {
+    if (!highlighted || !open) return
+    document.getElementById(`chat-msg-${highlighted}`)?.scrollIntoView({ block: 'center' })
+    const t = setTimeout(() => setHighlighted(null), 3000)
+    return () => clearTimeout(t)
+  }, [highlighted, open, messages])
+
+  // Dragging shapes off the canvas and letting go over the panel attaches them as a snippet
+  useEffect(() => {
+    if (!editor || !open || !canPost) return
+    const over = (e) => {
+      const r = panelRef.current?.getBoundingClientRect()
+      return !!r && e.clientX >= r.left && e.clientX <= r.right && e.clientY >= r.top && e.clientY <= r.bottom
+    }
+    const onMove = (e) => setDropActive(editor.isIn('select.translating') && over(e))
+    const onUp = (e) => {
+      if (!editor.isIn('select.translating') || !over(e)) return
+      setDropActive(false)
+      editor.cancel() // the shapes go back where they were
+      attachSelection()
+    }
+    window.addEventListener('pointermove', onMove, true)
+    window.addEventListener('pointerup', onUp, true)
+    return () => {
+      window.removeEventListener('pointermove', onMove, true)
+      window.removeEventListener('pointerup', onUp, true)
+    }
+  }, [editor, open, canPost, attachments.length])
+
+  const onScroll = (e) => { if (!thread && e.currentTarget.scrollTop < 40) loadOlder() }
+
+  const threadRoot = thread ? messages.find((m) => m.id === thread) : null
+  const shown = useMemo(
+    () => (thread
+      ? [threadRoot, ...messages.filter((m) => m.threadId === thread)].filter(Boolean)
+      : messages.filter((m) => !m.threadId)),
+    [messages, thread, threadRoot]
+  )
+  const amOwner = roles[me.id] === 'owner'
+
+  const candidates = useMemo(() => {
+    if (!mention) return []
+    const q = mention.query.toLowerCase()
+    return members.filter((u) => u.userId !== me.id && u.handle.toLowerCase().startsWith(q)).slice(0, 6)
+  }, [mention, members, me.id])
+
+  // Highlights "@handle" of known members; my own handle stands out
+  const mentionRe = useMemo(() => {
+    const handles = members.map((u) => u.handle).sort((a, b) => b.length - a.length).map(escapeRegExp)
+    return handles.length ? new RegExp(`@(${handles.join('|')})(?![\\w])`, 'gi') : null
+  }, [members])
+  const myHandle = members.find((u) => u.userId === me.id)?.handle?.toLowerCase()
+
+  const renderText = (t) => {
+    if (!mentionRe || !t.includes('@')) return t
+    const out = []
+    let last = 0
+    for (const hit of t.matchAll(mentionRe)) {
+      out.push(t.slice(last, hit.index))
+      const isMe = hit[1].toLowerCase() === myHandle
+      out.push(
+        <span key={hit.index} className={`font-semibold rounded px-0.5 ${isMe ? 'bg-amber-300/60 text-black' : 'bg-black/10 dark:bg-white/15'}`}>
+          {hit[0]}
+        </span>
+      )
+      last = hit.index + hit[0].length
+    }
+    out.push(t.slice(last))
+    return out
+  }
+
+  const onTextChange = (e) => {
+    const value = e.target.value
+    setText(value)
+    debouncedStart()
+    const m = value.slice(0, e.target.selectionStart).match(MENTION_QUERY)
+    if (!m) { setMention(null); return }
+    setMention({ start: m.index + m[1].length, query: m[2] })
+    setMentionIdx(0)
+  }
+
+  const pickMention = (u) => {
+    const el = inputRef.current
+    const caret = el?.selectionStart ?? text.length
+    const insert = `@${u.handle} `
+    setText(text.slice(0, mention.start) + insert + text.slice(caret))
+    setMention(null)
+    requestAnimationFrame(() => {
+      if (!el) return
+      el.focus()
+      el.selectionStart = el.selectionEnd = mention.start + insert.length
+    })
+  }
 
   const typers = useMemo(() => {
     const mine = myDisplayName
@@ -124,81 +398,304 @@ export default function ChatPanel({ socket, boardId, token, me = {}, open, onClo
   const debouncedStart = useDebounced(() => { socket?.emit('chat:typing', { boardId, userId: me.id, name: myDisplayName, typing: true }) }, 120)
   const debouncedStop  = useDebounced(() => { socket?.emit('chat:typing', { boardId, userId: me.id, name: myDisplayName, typing: false }) }, 250)
 
-  const react = (m, emoji) => { socket?.emit('chat:react', { boardId, messageId: m.id, emoji, userId: me.id, toggle: true }) }
+  const react = (m, emoji) => { if (!canPost) return; socket?.emit('chat:react', { boardId, messageId: m.id, emoji, userId: me.id, toggle: true }) }
 
-  const send = async () => {
+  // Server acks carry { ok, error }; surface failures in the composer area
+  const ackError = (fallback) => (res) => { if (!res?.ok) setError(res?.error || fallback) }
+
+  const send = () => {
     const raw = text.trim()
-    if (!raw) return
+    if ((!raw && !attachments.length) || !canPost || uploading) return
+    setError('')
     const msg = {
       id: (globalThis.crypto?.randomUUID?.()) || `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
       userId: me.id,
       name: myDisplayName,
       text: raw,
-      replyTo: replyTo?.id || null,
+      replyTo: replyTo?.id || thread || null,
+      threadId: thread || null,
       ts: Date.now(),
       boardId,
     }
+    if (attachments.length) msg.attachments = attachments
+    // snippet content stays out of the local copy (the server never echoes it either);
+    // a link preview arrives with the server's echo or a later chat:update
+    const local = { ...msg, attachments: attachments.map(({ content, ...a }) => ({ ...a, hasContent: !!content })) }
+    setMessages((prev) => mergeById(prev, [local]))
+    if (socket?.connected) socket.emit('chat:message', msg, ackError('Message not sent'))
+    else setPendingOut((q) => [...q, msg])
+    setText(''); setReplyTo(null); setMention(null); setAttachments([]); debouncedStop()
+  }
+
+  // Files dropped, pasted or picked go through the upload pipeline before the message is sent
+  async function attachFiles(files) {
+    for (const file of Array.from(files || []).slice(0, MAX_ATTACHMENTS - attachments.length)) {
+      setUploading((n) => n + 1)
+      try {
+        const j = await uploadFile(file, { boardId })
+        const a = { kind: 'file', url: j.url, name: j.name || file.name, mime: j.mime, size: j.size }
+        setAttachments((prev) => [...prev, a].slice(0, MAX_ATTACHMENTS))
+      } catch (e) {
+        setError(e.message || 'Upload failed')
+      } finally {
+        setUploading((n) => n - 1)
+      }
+    }
+  }
+
+  // The canvas selection as a snippet: a copy of the shapes, a PNG thumbnail and where they are
+  async function attachSelection() {
+    if (!editor) return
+    const ids = editor.getSelectedShapeIds()
+    if (!ids.length) { setError('Select some shapes on the board first'); return }
+    const content = editor.getContentFromCurrentPage(ids)
+    if (!content) return
+    if (JSON.stringify(content).length > SNIPPET_MAX_BYTES) { setError('That selection is too large to attach'); return }
+    const b = editor.getSelectionPageBounds()
+    setError('')
+    setUploading((n) => n + 1)
     try {
-      const urlMatch = raw.match(/\bhttps?:\/\/\S+/i)?.[0]
-      if (urlMatch) {
-        const r = await apiFetch(`/api/link-preview?url=${encodeURIComponent(urlMatch)}`)
-        if (r.ok) msg.linkPreview = await r.json()
+      const blob = await exportBlob({ editor, ids, format: 'png', scale: 1 })
+      const j = await uploadFile(new File([blob], 'snippet.png', { type: 'image/png' }), { boardId })
+      const a = {
+        kind: 'snippet',
+        thumb: j.url,
+        name: `${ids.length} shape${ids.length === 1 ? '' : 's'}`,
+        pageId: editor.getCurrentPageId(),
+        shapeIds: ids,
+        bounds: b ? { x: b.x, y: b.y, w: b.w, h: b.h } : null,
+        content,
       }
-    } catch {}
-    setMessages((prev) => mergeById(prev, [msg]))
-    if (socket?.connected) socket.emit('chat:message', msg, () => {})
-    else setPendingOut((q) => [...q, msg])
-    setText(''); setReplyTo(null); debouncedStop()
+      setAttachments((prev) => [...prev, a].slice(0, MAX_ATTACHMENTS))
+    } catch (e) {
+      setError(e.message || 'Could not attach the selection')
+    } finally {
+      setUploading((n) => n - 1)
+    }
+  }
+
+  // Jump to where a snippet's shapes are (or were) on the canvas
+  function showSnippet(a) {
+    if (!editor) return
+    if (a.pageId && a.pageId !== editor.getCurrentPageId() && editor.getPage(a.pageId)) editor.setCurrentPage(a.pageId)
+    const alive = (a.shapeIds || []).filter((id) => editor.getShape(id))
+    if (alive.length) {
+      editor.select(...alive)
+      editor.zoomToSelection({ animation: { duration: 300 } })
+    } else if (a.bounds) {
+      editor.zoomToBounds(a.bounds, { animation: { duration: 300 } })
+    } else {
+      setError('Those shapes are no longer on the board')
+    }
+  }
+
+  // Paste a copy of the snippet's shapes in the middle of my view
+  async function insertSnippet(m, index) {
+    try {
+      const qs = token ? `?token=${encodeURIComponent(token)}` : ''
+      const r = await apiFetch(`/api/boards/${boardId}/chat/${encodeURIComponent(m.id)}/snippets/${index}${qs}`)
+      const j = await r.json().catch(() => ({}))
+      if (!r.ok) throw new Error(j.error || 'Could not load the snippet')
+      editor.putContentOntoCurrentPage(j, { point: editor.getViewportPageBounds().center, select: true })
+    } catch (e) {
+      setError(e.message || 'Could not insert the snippet')
+    }
+  }
+
+  const saveEdit = () => {
+    const raw = editing?.text.trim()
+    if (!raw) return
+    setError('')
+    socket?.emit('chat:edit', { messageId: editing.id, text: raw }, ackError('Edit failed'))
+    setEditing(null)
+  }
+
+  const remove = (m) => {
+    const mine = m.userId === me.id
+    if (!window.confirm(mine ? 'Delete this message?' : `Remove ${displayNameFromMessage(m)}'s message for everyone?`)) return
+    setError('')
+    socket?.emit('chat:delete', { messageId: m.id }, ackError('Delete failed'))
   }
 
-  const onKeyDown = (e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); send() } }
+  const onKeyDown = (e) => {
+    if (candidates.length) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setMentionIdx((i) => (i + step + candidates.length) % candidates.length)
+        return
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') { e.preventDefault(); pickMention(candidates[mentionIdx] || candidates[0]); return }
+      if (e.key === 'Escape') { setMention(null); return }
+    }
+    if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); send() }
+  }
   if (!open) return null
 
   return (
-    <div id="chat-panel" className="fixed right-4 bottom-20 z-50 w-96 max-w-[95vw] bg-white dark:bg-zinc-900 border rounded-xl shadow-lg flex flex-col">
+    <div
+      id="chat-panel"
+      ref={panelRef}
+      className={`fixed right-4 bottom-20 z-50 w-96 max-w-[95vw] bg-white dark:bg-zinc-900 border rounded-xl shadow-lg flex flex-col ${dropActive ? 'ring-2 ring-indigo-500' : ''}`}
+      onDragOver={(e) => {
+        if (!canPost || !e.dataTransfer.types.includes('Files')) return
+        e.preventDefault()
+        setDropActive(true)
+      }}
+      onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false) }}
+      onDrop={(e) => {
+        if (!canPost || !e.dataTransfer.files.length) return
+        e.preventDefault()
+        setDropActive(false)
+        attachFiles(e.dataTransfer.files)
+      }}
+    >
       <div className="px-3 py-2 border-b flex items-center justify-between">
-        <div className="font-semibold">Chat</div>
+        {thread ? (
+          <div className="flex items-center gap-2 min-w-0">
+            <button className="text-sm opacity-70 hover:opacity-100" onClick={() => { setThread(null); setReplyTo(null) }}>←</button>
+            <div className="font-semibold truncate">
+              Thread{threadRoot ? `: ${threadRoot.deleted ? 'deleted message' : threadRoot.text.slice(0, 40)}` : ''}
+            </div>
+          </div>
+        ) : (
+          <div className="font-semibold">Chat</div>
+        )}
         <button onClick={onClose} className="text-sm opacity-70 hover:opacity-100">✕</button>
       </div>
 
-      <div ref={boxRef} className="p-3 space-y-3 overflow-auto max-h-80">
-        {messages.map((m) => {
+      <div ref={boxRef} onScroll={onScroll} className="p-3 space-y-3 overflow-auto max-h-80">
+        {thread && threadOlder && (
+          <div className="text-center text-xs opacity-60">
+            <button onClick={() => fetchThread(thread, true)}>Load earlier replies</button>
+          </div>
+        )}
+        {!thread && hasOlder && (
+          <div className="text-center text-xs opacity-60">
+            {loadingOlder ? 'Loading older messages…' : <button onClick={loadOlder}>Load older messages</button>}
+          </div>
+        )}
+        {shown.map((m) => {
           const mine = m.userId === me.id
           const shownName = displayNameFromMessage(m)
           const role = roles[m.userId] || 'viewer'
+          const quoted = m.replyTo && m.replyTo !== m.threadId ? messages.find((x) => x.id === m.replyTo) : null
           return (
-            <div key={m.id} className={`text-sm ${mine ? 'text-right' : 'text-left'}`}>
-              {m.replyTo ? (
+            <div key={m.id} id={`chat-msg-${m.id}`} className={`text-sm ${mine ? 'text-right' : 'text-left'}`}>
+              {m.replyTo && m.replyTo !== m.threadId ? (
                 <div className="text-xs opacity-60 border-l pl-2 mb-1">
-                  Replying to: {messages.find((x) => x.id === m.replyTo)?.text?.slice(0, 80) || 'message'}
+                  Replying to: {quoted?.deleted ? 'deleted message' : quoted?.text?.slice(0, 80) || 'message'}
                 </div>
               ) : null}
 
-              <div className={`inline-block px-3 py-2 rounded-lg ${mine ? 'bg-indigo-600 text-white' : 'bg-black/5 dark:bg-white/10'}`}>
+              <div className={`inline-block px-3 py-2 rounded-lg ${mine ? 'bg-indigo-600 text-white' : 'bg-black/5 dark:bg-white/10'} ${m.mentions?.includes(me.id) && !m.deleted ? 'ring-2 ring-amber-400' : ''} ${highlighted === m.id ? 'ring-2 ring-indigo-400' : ''}`}>
                 <div className="flex items-center gap-2">
                   <div className="text-[11px] opacity-80">{shownName}</div>
                   <div className="text-[10px] opacity-60">{fmt(m.ts)}</div>
                   <div className="text-[10px] opacity-70 ml-1">{roleBadge(role)}</div>
+                  {m.editedAt && !m.deleted ? (
+                    <button className="text-[10px] opacity-60 hover:opacity-100 underline" title="Show edit history"
+                      onClick={() => setHistoryOf((id) => (id === m.id ? null : m.id))}>
+                      edited
+                    </button>
+                  ) : null}
                 </div>
 
-                <div className="whitespace-pre-wrap">{m.text}</div>
-                {m.linkPreview ? (
+                {m.deleted ? (
+                  <div className="italic opacity-70">
+                    {m.deleted.by === 'moderator' ? 'Message removed by a board owner' : 'Message deleted'}
+                  </div>
+                ) : editing?.id === m.id ? (
+                  <div className="text-left">
+                    <textarea
+                      value={editing.text}
+                      onChange={(e) => setEditing({ id: m.id, text: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); saveEdit() }
+                        if (e.key === 'Escape') setEditing(null)
+                      }}
+                      rows={2}
+                      className="input w-full resize-none text-black dark:text-white"
+                      autoFocus
+                    />
+                    <div className="flex gap-2 justify-end text-xs mt-1">
+                      <button className="opacity-70 hover:opacity-100" onClick={() => setEditing(null)}>Cancel</button>
+                      <button className="font-medium" onClick={saveEdit}>Save</button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="whitespace-pre-wrap">{renderText(m.text)}</div>
+                )}
+                {historyOf === m.id && m.edits?.length && !m.deleted ? (
+                  <div className="mt-1 text-xs opacity-70 border-l pl-2 text-left space-y-1">
+                    {m.edits.map((e, i) => (
+                      <div key={i}><span className="opacity-70">{fmt(e.ts)}</span> {e.text}</div>
+                    ))}
+                  </div>
+                ) : null}
+                {m.linkPreview && !m.deleted ? (
                   <a href={m.linkPreview.url} target="_blank" rel="noreferrer" className="mt-2 block border rounded-lg p-2 hover:bg-black/5 dark:hover:bg-white/5">
                     {m.linkPreview.image ? <img src={m.linkPreview.image} alt="" className="max-h-32 w-auto rounded mb-2" /> : null}
                     <div className="text-sm font-medium">{m.linkPreview.title || m.linkPreview.siteName || m.linkPreview.url}</div>
                     <div className="text-xs opacity-70">{m.linkPreview.description}</div>
+                    {m.linkPreview.siteName || m.linkPreview.author ? (
+                      <div className="text-[11px] opacity-60 mt-1">{[m.linkPreview.siteName, m.linkPreview.author].filter(Boolean).join(' · ')}</div>
+                    ) : null}
                   </a>
                 ) : null}
 
-                <div className="mt-1 flex gap-1">
-                  {EMOJIS.map((e) => (
-                    <button key={e} className="text-xs opacity-80 hover:opacity-100" onClick={() => react(m, e)}>
-                      {e}{m.reactions?.[e]?.length ? ` ${m.reactions[e].length}` : ''}
-                    </button>
-                  ))}
-                  <button className="text-xs opacity-60 hover:opacity-100" onClick={() => setReplyTo(m)}>↩ Reply</button>
-                </div>
+                {m.attachments?.length && !m.deleted ? (
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {m.attachments.map((a, i) => (a.kind === 'snippet' ? (
+                      <div key={i} className="border rounded-lg p-1 bg-white dark:bg-zinc-800 text-black dark:text-white text-left">
+                        <button title="Show on the board" onClick={() => showSnippet(a)}>
+                          <img src={a.thumb} alt={a.name} className="max-h-32 w-auto rounded" />
+                        </button>
+                        <div className="flex gap-2 text-[11px] mt-1">
+                          <span className="opacity-60">🧩 {a.name}</span>
+                          {editor ? <button className="hover:underline" onClick={() => showSnippet(a)}>🎯 Show</button> : null}
+                          {editor && canEdit && a.hasContent ? (
+                            <button className="hover:underline" onClick={() => insertSnippet(m, i)}>⧉ Insert copy</button>
+                          ) : null}
+                        </div>
+                      </div>
+                    ) : a.mime?.startsWith('image/') ? (
+                      <a key={i} href={a.url} target="_blank" rel="noreferrer" title={a.name}>
+                        <img src={a.url} alt={a.name} className="max-h-32 w-auto rounded" />
+                      </a>
+                    ) : (
+                      <a key={i} href={a.url} target="_blank" rel="noreferrer" className="underline text-xs">📄 {a.name}</a>
+                    )))}
+                  </div>
+                ) : null}
+
+                {!m.deleted ? (
+                  <div className={`mt-1 flex gap-1 flex-wrap ${canPost ? '' : 'pointer-events-none opacity-60'}`}>
+                    {EMOJIS.map((e) => (
+                      <button key={e} className="text-xs opacity-80 hover:opacity-100" onClick={() => react(m, e)}>
+                        {e}{m.reactions?.[e]?.length ? ` ${m.reactions[e].length}` : ''}
+                      </button>
+                    ))}
+                    {thread
+                      ? <button className="text-xs opacity-60 hover:opacity-100" onClick={() => setReplyTo(m)}>↩ Reply</button>
+                      : <button className="text-xs opacity-60 hover:opacity-100" onClick={() => openThread(m.id)}>💬 Reply in thread</button>}
+                    {mine ? (
+                      <button className="text-xs opacity-60 hover:opacity-100" onClick={() => setEditing({ id: m.id, text: m.text })}>✎ Edit</button>
+                    ) : null}
+                    {mine || amOwner ? (
+                      <button className="text-xs opacity-60 hover:opacity-100" onClick={() => remove(m)}>🗑 {mine ? 'Delete' : 'Remove'}</button>
+                    ) : null}
+                  </div>
+                ) : null}
               </div>
+
+              {!thread && m.replyCount ? (
+                <div>
+                  <button className="text-xs text-indigo-600 dark:text-indigo-400 hover:underline mt-1" onClick={() => openThread(m.id)}>
+                    💬 {m.replyCount} {m.replyCount === 1 ? 'reply' : 'replies'}{m.lastReplyAt ? ` · last ${fmt(m.lastReplyAt)}` : ''}
+                  </button>
+                </div>
+              ) : null}
             </div>
           )
         })}
@@ -212,20 +709,78 @@ export default function ChatPanel({ socket, boardId, token, me = {}, open, onClo
           </div>
         ) : null}
 
-        <div className="flex gap-2">
+        {attachments.length > 0 || uploading > 0 ? (
+          <div className="flex gap-2 flex-wrap mb-1">
+            {attachments.map((a, i) => (
+              <div key={i} className="border rounded p-1 text-xs flex items-center gap-1 max-w-[10rem]">
+                {a.kind === 'snippet' || a.mime?.startsWith('image/')
+                  ? <img src={a.thumb || a.url} alt="" className="h-8 w-auto rounded" />
+                  : <span>📄</span>}
+                <span className="truncate">{a.name}</span>
+                <button className="opacity-60 hover:opacity-100" onClick={() => setAttachments((prev) => prev.filter((_, j) => j !== i))}>✕</button>
+              </div>
+            ))}
+            {uploading > 0 ? <div className="text-xs opacity-60 self-center">Uploading…</div> : null}
+          </div>
+        ) : null}
+
+        {!canPost ? (
+          <div className="text-xs opacity-70 py-2">View only — chat is read-only for viewers.</div>
+        ) : (
+        <>
+        <div className="flex gap-2 relative">
+          {candidates.length > 0 && (
+            <ul className="absolute bottom-full left-0 mb-1 w-56 bg-white dark:bg-zinc-900 border rounded-lg shadow-lg py-1 text-sm z-10">
+              {candidates.map((u, i) => (
+                <li key={u.userId}>
+                  <button
+                    className={`w-full text-left px-3 py-1 flex items-center gap-2 ${i === mentionIdx ? 'bg-black/5 dark:bg-white/10' : ''}`}
+                    onMouseDown={(e) => { e.preventDefault(); pickMention(u) }}
+                  >
+                    <span className="inline-block w-2 h-2 rounded-full" style={{ background: u.color }} />
+                    <span className="truncate">@{u.handle}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
           <textarea
+            ref={inputRef}
             value={text}
-            onChange={(e) => { setText(e.target.value); debouncedStart() }}
+            onChange={onTextChange}
             onKeyDown={onKeyDown}
             onFocus={debouncedStart}
-            onBlur={debouncedStop}
+            onBlur={() => { debouncedStop(); setMention(null) }}
+            onPaste={(e) => { if (e.clipboardData.files.length) { e.preventDefault(); attachFiles(e.clipboardData.files) } }}
             rows={2}
             className="input flex-1 resize-none"
-            placeholder="Type a message… (Enter to send, Shift+Enter for newline). Paste a link for preview."
+            placeholder={thread
+              ? 'Reply in thread… (Enter to send, Shift+Enter for newline)'
+              : 'Type a message… (@ to mention, Enter to send, Shift+Enter for newline). Paste a link for preview.'}
           />
-          <button className="btn" onClick={send}>Send</button>
+          <button className="btn" onClick={send} disabled={uploading > 0}>Send</button>
+        </div>
+        <div className="flex gap-3 mt-1 text-xs opacity-70">
+          <label className="cursor-pointer hover:opacity-100" title="Images or PDFs; you can also drop or paste them here">
+            📎 File
+            <input
+              type="file"
+              multiple
+              accept="image/png,image/jpeg,image/gif,image/webp,application/pdf"
+              className="hidden"
+              onChange={(e) => { attachFiles(e.target.files); e.target.value = '' }}
+            />
+          </label>
+          {editor ? (
+            <button className="hover:opacity-100" onClick={attachSelection} title="Or drag shapes from the board onto the chat">
+              🧩 Attach selection
+            </button>
+          ) : null}
         </div>
+        </>
+        )}
 
+        {error ? <div className="text-[11px] text-red-600 mt-1">{error}</div> : null}
         <div className="text-[11px] mt-1 opacity-60 h-4">{typingText}</div>
       </div>
     </div>
@@ -0,0 +1,154 @@
+// src/components/HistoryPanel.jsx
+import React, { useEffect, useState } from 'react'
+import { Tldraw } from '@tldraw/tldraw'
+import { apiFetch } from '../lib/api.js'
+import { sanitizeSnapshot } from '../lib/tlsync.js'
+
+const REASON_LABEL = { auto: 'Autosave', manual: 'Saved', restore: 'Restored', import: 'Imported' }
+
+/**
+ * Version history browser: lists BoardSnapshot versions, previews one read-only
+ * and lets editors restore it as the new head version.
+ * Props:
+ * - boardId: string
+ * - open: boolean
+ * - onClose: () => void
+ * - canRestore: boolean
+ * - onReplay?: (fromSeq: number | null) => void   // open the replay player
+ */
+export default function HistoryPanel({ boardId, open, onClose, canRestore, onReplay }) {
+  const [items, setItems] = useState([])
+  const [nextBefore, setNextBefore] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [preview, setPreview] = useState(null) // { version, createdAt, tldraw }
+  const [restoring, setRestoring] = useState(false)
+
+  async function load({ more = false } = {}) {
+    setLoading(true)
+    setError('')
+    try {
+      const qs = more && nextBefore != null ? `?before=${nextBefore}` : ''
+      const r = await apiFetch(`/api/boards/${boardId}/versions${qs}`)
+      const j = await r.json().catch(() => ({}))
+      if (!r.ok) throw new Error(j.error || 'Could not load history')
+      setItems((prev) => (more ? [...prev, ...j.items] : j.items))
+      setNextBefore(j.nextBefore)
+    } catch (e) {
+      setError(e.message || 'Could not load history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { if (open) load() }, [open, boardId])
+
+  async function openPreview(version) {
+    setError('')
+    try {
+      const r = await apiFetch(`/api/boards/${boardId}/versions/${version}`)
+      const j = await r.json().catch(() => ({}))
+      if (!r.ok) throw new Error(j.error || 'Could not load version')
+      setPreview(j)
+    } catch (e) {
+      setError(e.message || 'Could not load version')
+    }
+  }
+
+  async function restore(version) {
+    if (!confirm(`Restore version ${version}? The current board is kept in history.`)) return
+    setRestoring(true)
+    try {
+      const r = await apiFetch(`/api/boards/${boardId}/versions/${version}/restore`, { method: 'POST' })
+      const j = await r.json().catch(() => ({}))
+      if (!r.ok) throw new Error(j.error || 'Restore failed')
+      setPreview(null)
+      load()
+    } catch (e) {
+      setError(e.message || 'Restore failed')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  if (!open) return null
+
+  return (
+    <>
+      <div className="fixed left-4 bottom-20 z-50 w-80 max-w-[95vw] bg-white dark:bg-zinc-900 border rounded-xl shadow-lg flex flex-col">
+        <div className="px-3 py-2 border-b flex items-center justify-between">
+          <div className="font-semibold">Version history</div>
+          <div className="flex items-center gap-2">
+            {onReplay && (
+              <button className="btn-outline text-xs" onClick={() => onReplay(null)} title="Watch the board being built">
+                ▶ Replay
+              </button>
+            )}
+            <button onClick={onClose} className="text-sm opacity-70 hover:opacity-100">✕</button>
+          </div>
+        </div>
+
+        <div className="p-3 text-sm space-y-2">
+          {items.length === 0 && !loading ? (
+            <div className="opacity-60">No saved versions yet.</div>
+          ) : (
+            <ul className="divide-y max-h-80 overflow-auto">
+              {items.map((v) => (
+                <li key={v.version} className="py-2 flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-medium">
+                      v{v.version} · {REASON_LABEL[v.reason] || v.reason}
+                      {v.restoredFrom != null ? ` from v${v.restoredFrom}` : ''}
+                    </div>
+                    <div className="text-xs opacity-60 truncate">
+                      {new Date(v.createdAt).toLocaleString()} · {v.author?.name || 'System'} · {v.checksum.slice(0, 8)}
+                    </div>
+                  </div>
+                  <div className="flex gap-1 shrink-0">
+                    {onReplay && v.seq != null && (
+                      <button className="btn-outline text-xs" onClick={() => onReplay(v.seq)} title="Replay from this version">▶</button>
+                    )}
+                    <button className="btn-outline text-xs" onClick={() => openPreview(v.version)}>Preview</button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          {nextBefore != null && (
+            <button className="btn-outline w-full text-xs" disabled={loading} onClick={() => load({ more: true })}>
+              {loading ? 'Loading…' : 'Load older'}
+            </button>
+          )}
+          {error && <p className="text-red-600">{error}</p>}
+        </div>
+      </div>
+
+      {preview && (
+        <div className="fixed inset-0 z-[3000] bg-black/50 grid place-items-center p-4">
+          <div className="bg-white dark:bg-zinc-900 rounded-xl shadow-xl w-full max-w-5xl h-[80vh] flex flex-col">
+            <div className="px-3 py-2 border-b flex items-center justify-between gap-2">
+              <div className="font-semibold truncate">
+                Version {preview.version} · {new Date(preview.createdAt).toLocaleString()}
+              </div>
+              <div className="flex gap-2 shrink-0">
+                {canRestore && (
+                  <button className="btn text-sm" disabled={restoring} onClick={() => restore(preview.version)}>
+                    {restoring ? 'Restoring…' : 'Restore this version'}
+                  </button>
+                )}
+                <button className="btn-outline text-sm" onClick={() => setPreview(null)}>Close</button>
+              </div>
+            </div>
+            <div className="flex-1 relative">
+              <Tldraw
+                key={preview.version}
+                snapshot={preview.tldraw ? sanitizeSnapshot(preview.tldraw) : undefined}
+                onMount={(ed) => { ed.updateInstanceState({ isReadonly: true }); ed.zoomToFit() }}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,86 @@
+// src/components/NotificationsInbox.jsx
+import React, { useState } from 'react'
+
+function ago(iso) {
+  const delta = Math.floor((Date.now() - new Date(iso).getTime()) / 1000)
+  if (delta < 60) return 'just now'
+  if (delta < 3600) return `${Math.floor(delta / 60)}m ago`
+  if (delta < 86400) return `${Math.floor(delta / 3600)}h ago`
+  return new Date(iso).toLocaleDateString()
+}
+
+/**
+ * Bell with an unread badge and a dropdown inbox of mentions across all boards.
+ * Props:
+ * - inbox: return value of useNotifications()
+ * - onOpen: (notification) => void   // navigate to its board (and chat)
+ */
+export default function NotificationsInbox({ inbox, onOpen }) {
+  const [open, setOpen] = useState(false)
+  const { items, unread, hasMore, loadMore, markRead } = inbox
+
+  const pick = (n) => {
+    if (!n.readAt) markRead({ ids: [n.id] })
+    setOpen(false)
+    onOpen(n)
+  }
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        className="btn-outline relative"
+        onClick={() => setOpen((v) => !v)}
+        title={unread ? `${unread} unread notification${unread === 1 ? '' : 's'}` : 'Notifications'}
+      >
+        🔔
+        {unread > 0 && (
+          <span className="absolute -top-1.5 -right-1.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-600 text-white text-[11px] leading-[18px] text-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 z-[2200] w-80 max-h-96 overflow-auto bg-white dark:bg-zinc-900 text-zinc-900 dark:text-zinc-100 border rounded-lg shadow-lg text-sm">
+          <div className="px-3 py-2 border-b flex items-center justify-between">
+            <div className="font-semibold">Notifications</div>
+            {unread > 0 && (
+              <button type="button" className="text-xs opacity-70 hover:opacity-100" onClick={() => markRead({ all: true })}>Mark all read</button>
+            )}
+          </div>
+          {items.length === 0 ? (
+            <div className="p-3 text-xs opacity-70">Nothing yet. You'll see it here when someone @mentions you.</div>
+          ) : (
+            <ul className="divide-y">
+              {items.map((n) => (
+                <li key={n.id}>
+                  <button
+                    type="button"
+                    className={`block w-full text-left px-3 py-2 hover:bg-black/5 dark:hover:bg-white/10 ${n.readAt ? 'opacity-60' : ''}`}
+                    onClick={() => pick(n)}
+                  >
+                    <div className="flex items-center gap-2">
+                      {!n.readAt && <span className="inline-block w-2 h-2 rounded-full bg-indigo-600 shrink-0" />}
+                      <div className="truncate">
+                        <span className="font-medium">{n.actorName || 'Someone'}</span> mentioned you in{' '}
+                        <span className="font-medium">{n.boardTitle || 'a board'}</span>
+                      </div>
+                    </div>
+                    <div className="text-xs opacity-70 truncate">{n.excerpt}</div>
+                    <div className="text-[11px] opacity-50">{ago(n.createdAt)}</div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {hasMore && (
+            <div className="p-2 border-t flex justify-center">
+              <button type="button" className="text-xs opacity-70 hover:opacity-100" onClick={loadMore}>Load more</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
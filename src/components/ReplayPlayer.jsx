@@ -0,0 +1,186 @@
+// src/components/ReplayPlayer.jsx
+import React, { useEffect, useRef, useState } from 'react'
+import { Tldraw } from '@tldraw/tldraw'
+import { apiFetch } from '../lib/api.js'
+import { sanitizeSnapshot, mergeRemote } from '../lib/tlsync.js'
+
+const SPEEDS = [1, 2, 4, 8, 16]
+const STEP_MS = 400 // one frame per step at 1×
+
+/**
+ * Read-only time-travel player: starts from the nearest snapshot at or before
+ * `fromSeq` (or an empty board) and steps forward through the BoardOp log.
+ * Props:
+ * - boardId: string
+ * - fromSeq: number | null   // null = replay from the very beginning
+ * - onClose: () => void
+ */
+export default function ReplayPlayer({ boardId, fromSeq, onClose }) {
+  const [editor, setEditor] = useState(null)
+  const [data, setData] = useState(null) // { base, frames, authors, nextAfter, headSeq }
+  const [pos, setPos] = useState(0) // number of frames applied
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState('')
+  const appliedRef = useRef(0)
+  const emptyRef = useRef(null)
+
+  useEffect(() => {
+    let stopped = false
+    ;(async () => {
+      try {
+        const qs = fromSeq != null ? `?from=${fromSeq}` : ''
+        const r = await apiFetch(`/api/boards/${boardId}/replay${qs}`)
+        const j = await r.json().catch(() => ({}))
+        if (!r.ok) throw new Error(j.error || 'Could not load replay')
+        if (!stopped) setData(j)
+      } catch (e) {
+        if (!stopped) setError(e.message || 'Could not load replay')
+      }
+    })()
+    return () => { stopped = true }
+  }, [boardId, fromSeq])
+
+  function loadDoc(tldraw) {
+    editor.store.mergeRemoteChanges(() => {
+      editor.store.loadSnapshot(tldraw ? sanitizeSnapshot(tldraw) : emptyRef.current)
+    })
+  }
+
+  function applyFrame(frame) {
+    if ('version' in frame) loadDoc(frame.tldraw)
+    else if (frame.changes) mergeRemote(editor, frame.changes) // document records only; cameras stay put
+  }
+
+  // bring the canvas to exactly `target` frames applied
+  function seek(target) {
+    const frames = data.frames
+    if (target < appliedRef.current || appliedRef.current === 0) {
+      // rewind to the last checkpoint before target (or the base) and roll forward
+      let start = 0
+      for (let i = target - 1; i >= 0; i--) {
+        if ('version' in frames[i]) { start = i; break }
+      }
+      if (start > 0) { applyFrame(frames[start]); appliedRef.current = start + 1 }
+      else { loadDoc(data.base?.tldraw); appliedRef.current = 0 }
+    }
+    editor.batch(() => {
+      while (appliedRef.current < target) applyFrame(frames[appliedRef.current++])
+    })
+  }
+
+  useEffect(() => {
+    if (!editor || !data) return
+    try { seek(pos) } catch (e) { console.warn('[replay] seek failed', e) }
+  }, [editor, data, pos])
+
+  useEffect(() => {
+    if (!editor || !data) return
+    requestAnimationFrame(() => { try { editor.zoomToFit() } catch {} })
+  }, [editor, data])
+
+  // playback
+  useEffect(() => {
+    if (!playing || !data) return
+    const t = setInterval(() => {
+      setPos((p) => {
+        if (p < data.frames.length) return p + 1
+        if (!data.nextAfter) setPlaying(false)
+        return p
+      })
+    }, STEP_MS / speed)
+    return () => clearInterval(t)
+  }, [playing, speed, data])
+
+  // fetch the next page once the end of the loaded frames is reached
+  useEffect(() => {
+    if (!data?.nextAfter || loadingMore || pos < data.frames.length) return
+    setLoadingMore(true)
+    apiFetch(`/api/boards/${boardId}/replay?after=${data.nextAfter}`)
+      .then((r) => r.json())
+      .then((j) => setData((d) => ({
+        ...d,
+        frames: [...d.frames, ...(j.frames || [])],
+        authors: { ...d.authors, ...(j.authors || {}) },
+        nextAfter: j.nextAfter ?? null,
+        headSeq: j.headSeq ?? d.headSeq,
+      })))
+      .catch((e) => setError(e.message || 'Could not load replay'))
+      .finally(() => setLoadingMore(false))
+  }, [pos, data, loadingMore, boardId])
+
+  const frames = data?.frames || []
+  const current = pos > 0 ? frames[pos - 1] : null
+  const author = current?.authorId ? data.authors[String(current.authorId)] : null
+  const atSeq = current ? current.seq : data?.base?.seq ?? 0
+
+  return (
+    <div className="fixed inset-0 z-[3000] bg-black/50 grid place-items-center p-4">
+      <div className="bg-white dark:bg-zinc-900 rounded-xl shadow-xl w-full max-w-5xl h-[85vh] flex flex-col">
+        <div className="px-3 py-2 border-b flex items-center justify-between gap-2">
+          <div className="font-semibold truncate">
+            Replay{data?.base?.version ? ` from v${data.base.version}` : ' from the beginning'}
+          </div>
+          <button className="btn-outline text-sm" onClick={onClose}>Close</button>
+        </div>
+
+        <div className="flex-1 relative">
+          <Tldraw
+            onMount={(ed) => {
+              ed.updateInstanceState({ isReadonly: true })
+              emptyRef.current = ed.store.getSnapshot()
+              setEditor(ed)
+            }}
+          />
+          {!data && !error && (
+            <div className="absolute inset-0 grid place-items-center text-sm opacity-70">Loading history…</div>
+          )}
+        </div>
+
+        <div className="px-3 py-2 border-t space-y-2 text-sm">
+          <div className="flex items-center gap-2">
+            <button
+              className="btn text-xs w-16"
+              disabled={!data}
+              onClick={() => {
+                if (!playing && pos >= frames.length && !data?.nextAfter) setPos(0)
+                setPlaying((v) => !v)
+              }}
+            >
+              {playing ? 'Pause' : 'Play'}
+            </button>
+            <input
+              type="range"
+              className="flex-1"
+              min={0}
+              max={frames.length}
+              value={pos}
+              disabled={!data}
+              onChange={(e) => { setPlaying(false); setPos(Number(e.target.value)) }}
+            />
+            <select className="input text-xs" value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+              {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+            </select>
+          </div>
+          <div className="flex items-center justify-between gap-2 text-xs opacity-80">
+            <div className="truncate flex items-center gap-2">
+              {author && <span className="inline-block w-2 h-2 rounded-full" style={{ background: author.color }} />}
+              {current
+                ? <>
+                    {'version' in current ? `${current.reason === 'import' ? 'Imported' : 'Restored'} v${current.version}` : 'Change'}
+                    {' by '}{author?.name || 'Unknown'} · {new Date(current.ts).toLocaleString()}
+                  </>
+                : 'Start'}
+            </div>
+            <div className="shrink-0">
+              step {pos}/{frames.length}{data?.nextAfter ? '+' : ''} · seq {atSeq}{data ? ` of ${data.headSeq}` : ''}
+              {loadingMore ? ' · loading…' : ''}
+            </div>
+          </div>
+          {error && <p className="text-red-600">{error}</p>}
+        </div>
+      </div>
+    </div>
+  )
+}
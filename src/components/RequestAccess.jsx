@@ -0,0 +1,95 @@
+// src/components/RequestAccess.jsx
+import React, { useEffect, useState } from 'react'
+import { apiFetch } from '../lib/api.js'
+
+/**
+ * Shown instead of the canvas when the signed-in user has no access to a board.
+ * Props:
+ * - boardId: string
+ * - onGranted: () => void   // called once GET /api/boards/:id stops returning 403
+ * - onBack?: () => void
+ */
+export default function RequestAccess({ boardId, onGranted, onBack }) {
+  const [info, setInfo] = useState({ pendingRequest: false })
+  const [role, setRole] = useState('viewer')
+  const [message, setMessage] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  // Poll until the owner approves (or access is opened via link settings)
+  useEffect(() => {
+    let stopped = false
+    const check = async () => {
+      try {
+        const r = await apiFetch(`/api/boards/${boardId}`)
+        if (stopped) return
+        if (r.ok) { onGranted?.(); return }
+        if (r.status === 403) {
+          const j = await r.json().catch(() => ({}))
+          if (!stopped) setInfo({ pendingRequest: !!j.pendingRequest })
+        }
+      } catch {}
+    }
+    check()
+    const t = setInterval(check, 10000)
+    return () => { stopped = true; clearInterval(t) }
+  }, [boardId])
+
+  async function submit(e) {
+    e.preventDefault()
+    setBusy(true)
+    setError('')
+    try {
+      const r = await apiFetch(`/api/boards/${boardId}/access-requests`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role, message }),
+      })
+      const j = await r.json().catch(() => ({}))
+      if (!r.ok) throw new Error(j.error || 'Request failed')
+      setInfo((i) => ({ ...i, pendingRequest: true }))
+    } catch (err) {
+      setError(err.message || 'Request failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen grid place-items-center p-6">
+      <form onSubmit={submit} className="w-full max-w-md space-y-3 bg-white/70 dark:bg-zinc-900/70 p-6 rounded-xl shadow">
+        <h1 className="text-xl font-semibold">You need access</h1>
+        <p className="text-sm opacity-80">
+          This board is private. Ask the owner to let you in.
+        </p>
+
+        {info.pendingRequest ? (
+          <p className="text-sm text-emerald-700 dark:text-emerald-300">
+            Request sent. This page opens the board as soon as the owner approves.
+          </p>
+        ) : (
+          <>
+            <select className="input w-full" value={role} onChange={(e) => setRole(e.target.value)}>
+              <option value="viewer">Request view access</option>
+              <option value="editor">Request edit access</option>
+            </select>
+            <textarea
+              className="input w-full resize-none"
+              rows={3}
+              maxLength={500}
+              placeholder="Message to the owner (optional)"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+            />
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button className="btn w-full" disabled={busy}>{busy ? 'Sending…' : 'Request access'}</button>
+          </>
+        )}
+
+        {onBack && (
+          <button type="button" className="btn-outline w-full" onClick={onBack}>Back to my boards</button>
+        )}
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,147 @@
+// src/components/SearchBox.jsx
+import React, { useEffect, useRef, useState } from 'react'
+import { apiFetch } from '../lib/api.js'
+
+const SEARCH_DEBOUNCE_MS = 250
+
+const SHAPE_LABEL = { text: 'Text', note: 'Sticky note', geo: 'Shape', arrow: 'Arrow', frame: 'Frame' }
+
+function ago(ts) {
+  const delta = Math.floor((Date.now() - new Date(ts).getTime()) / 1000)
+  if (delta < 60) return 'just now'
+  if (delta < 3600) return `${Math.floor(delta / 60)}m ago`
+  if (delta < 86400) return `${Math.floor(delta / 3600)}h ago`
+  return new Date(ts).toLocaleDateString()
+}
+
+// The excerpt with the query's words marked (the server stems, so this is best effort)
+function highlight(text, terms) {
+  if (!terms.length) return text
+  const re = new RegExp(`(${terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi')
+  return String(text).split(re).map((part, i) => (i % 2 ? <mark key={i} className="bg-amber-200 dark:bg-amber-700/60 rounded px-0.5">{part}</mark> : part))
+}
+
+/**
+ * 🔍 button with a dropdown that searches chat messages and canvas text (GET /api/search).
+ * Props:
+ * - boardId: the open board, if any; adds a "This board / All boards" switch
+ * - onOpen: (result) => void   // { kind: 'chat', boardId, messageId, threadId } | { kind: 'shape', boardId, shapeId, pageId }
+ */
+export default function SearchBox({ boardId = null, onOpen }) {
+  const [open, setOpen] = useState(false)
+  const [q, setQ] = useState('')
+  const [scope, setScope] = useState(boardId ? 'board' : 'all')
+  const [results, setResults] = useState(null) // { items, terms } for the last finished query
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [active, setActive] = useState(0)
+  const inputRef = useRef(null)
+  const seqRef = useRef(0)
+
+  useEffect(() => { if (open) inputRef.current?.focus() }, [open])
+
+  useEffect(() => {
+    const query = q.trim()
+    if (!open || query.length < 2) { setResults(null); setError(''); return }
+    const seq = ++seqRef.current
+    const t = setTimeout(async () => {
+      setBusy(true)
+      try {
+        const qs = new URLSearchParams({ q: query })
+        if (boardId && scope === 'board') qs.set('boardId', boardId)
+        const r = await apiFetch(`/api/search?${qs}`)
+        const j = await r.json().catch(() => ({}))
+        if (seq !== seqRef.current) return // a newer query is on its way
+        if (!r.ok) throw new Error(j.error || 'Search failed')
+        setResults({ items: j.items || [], terms: j.terms || [] })
+        setActive(0)
+        setError('')
+      } catch (e) {
+        if (seq === seqRef.current) setError(e.message || 'Search failed')
+      } finally {
+        if (seq === seqRef.current) setBusy(false)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(t)
+  }, [q, scope, open, boardId])
+
+  const pick = (item) => {
+    setOpen(false)
+    onOpen(item)
+  }
+
+  const items = results?.items || []
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') { setOpen(false); return }
+    if (!items.length) return
+    if (e.key === 'ArrowDown') { e.preventDefault(); setActive((i) => (i + 1) % items.length) }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive((i) => (i - 1 + items.length) % items.length) }
+    else if (e.key === 'Enter') { e.preventDefault(); pick(items[active] || items[0]) }
+  }
+
+  return (
+    <div className="relative">
+      <button type="button" className="btn-outline" onClick={() => setOpen((v) => !v)} title="Search chat and board text">
+        🔍
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 z-[2200] w-96 max-w-[90vw] bg-white dark:bg-zinc-900 text-zinc-900 dark:text-zinc-100 border rounded-lg shadow-lg text-sm">
+          <div className="p-2 border-b space-y-2">
+            <input
+              ref={inputRef}
+              className="input w-full"
+              placeholder="Search messages and text on boards…"
+              value={q}
+              onChange={(e) => setQ(e.target.value)}
+              onKeyDown={onKeyDown}
+            />
+            {boardId && (
+              <div className="flex gap-3 text-xs">
+                {[['board', 'This board'], ['all', 'All boards']].map(([v, label]) => (
+                  <label key={v} className="flex items-center gap-1 cursor-pointer">
+                    <input type="radio" checked={scope === v} onChange={() => setScope(v)} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-auto">
+            {error ? (
+              <div className="p-3 text-xs text-red-600">{error}</div>
+            ) : q.trim().length < 2 ? (
+              <div className="p-3 text-xs opacity-70">Type at least 2 characters. Whole words match; "-word" leaves a word out.</div>
+            ) : !results ? (
+              <div className="p-3 text-xs opacity-70">Searching…</div>
+            ) : items.length === 0 ? (
+              <div className="p-3 text-xs opacity-70">{busy ? 'Searching…' : 'No matches.'}</div>
+            ) : (
+              <ul className="divide-y">
+                {items.map((it, i) => (
+                  <li key={it.kind === 'chat' ? `c:${it.boardId}:${it.messageId}` : `s:${it.boardId}:${it.shapeId}`}>
+                    <button
+                      type="button"
+                      className={`block w-full text-left px-3 py-2 hover:bg-black/5 dark:hover:bg-white/10 ${i === active ? 'bg-black/5 dark:bg-white/10' : ''}`}
+                      onMouseEnter={() => setActive(i)}
+                      onClick={() => pick(it)}
+                    >
+                      <div className="text-xs opacity-70 truncate">
+                        {it.kind === 'chat'
+                          ? `💬 ${it.name || 'Someone'}${it.threadId ? ' · in a thread' : ''} · ${ago(it.ts)}`
+                          : `🔷 ${SHAPE_LABEL[it.shapeType] || 'Shape'}`}
+                        {(!boardId || scope === 'all') && <> · <span className="font-medium">{it.boardTitle}</span></>}
+                      </div>
+                      <div className="line-clamp-2 break-words">{highlight(it.excerpt, results.terms)}</div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
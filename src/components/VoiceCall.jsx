@@ -3,6 +3,7 @@ import React, { useEffect, useRef, useState } from 'react'
 
 const ICE = { iceServers: [{ urls: 'stun:stun.l.google.com:19302' }] }
 const getId = (p) => p?.userId ?? p?.from
+const LEVEL_SEND_MS = 100 // peers only need the speaking ring, not every animation frame
 
 export default function VoiceCall({ socket, me, boardId, onEnd }) {
   const [phase, setPhase] = useState('prejoin')
@@ -19,6 +20,7 @@ export default function VoiceCall({ socket, me, boardId, onEnd }) {
   const audioCtxRef = useRef(null)
   const analyserRef = useRef(null)
   const rafRef = useRef(null)
+  const joinedRef = useRef(false) // the server acked our call:hello
 
   const peersRef = useRef(new Map()) // userId -> { pc, audio, stream }
   const participantsRef = useRef(new Set([me.id]))
@@ -54,6 +56,8 @@ export default function VoiceCall({ socket, me, boardId, onEnd }) {
     ctx.createMediaStreamSource(stream).connect(analyser)
     analyserRef.current = analyser
 
+    let sentAt = 0
+    let sent = -1
     const tick = () => {
       const arr = new Uint8Array(analyser.frequencyBinCount)
       analyser.getByteTimeDomainData(arr)
@@ -61,7 +65,12 @@ export default function VoiceCall({ socket, me, boardId, onEnd }) {
       for (let i = 0; i < arr.length; i++) max = Math.max(max, Math.abs(arr[i] - 128))
       const v = Math.min(1, max / 80)
       setLevel(v)
-      socket?.emit('call:level', { boardId, from: me.id, level: v })
+      const now = performance.now()
+      if (now - sentAt >= LEVEL_SEND_MS && Math.abs(v - sent) > 0.02) {
+        sentAt = now
+        sent = v
+        socket?.emit('call:level', { boardId, from: me.id, level: v })
+      }
       rafRef.current = requestAnimationFrame(tick)
     }
     tick()
@@ -223,7 +232,7 @@ export default function VoiceCall({ socket, me, boardId, onEnd }) {
       startCall._t = t
       const track = localStreamRef.current?.getAudioTracks?.()[0]; if (track) track.enabled = false
       startCall._unbindPTT = bindPushToTalk()
-      socket.emit('call:hello', { boardId, userId: me.id, name: me.name || me.email })
+      socket.emit('call:hello', { boardId, userId: me.id, name: me.name || me.email }, (res) => { if (res?.ok) joinedRef.current = true })
       setMinimized(false); window.__vcMinimized = false; window.dispatchEvent(new Event('vc-minimize-changed'))
     } catch { alert('Could not start call.') }
   }
@@ -235,7 +244,8 @@ export default function VoiceCall({ socket, me, boardId, onEnd }) {
     cancelAnimationFrame(rafRef.current)
     if (startCall._t) clearInterval(startCall._t)
     startCall._unbindPTT?.()
-    socket?.emit('call:leave', { boardId, userId: me.id })
+    if (joinedRef.current) socket?.emit('call:leave', { boardId, userId: me.id })
+    joinedRef.current = false
     window.__vcMinimized = false
     window.dispatchEvent(new Event('vc-minimize-changed'))
     onEnd?.()
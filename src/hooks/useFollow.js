@@ -0,0 +1,117 @@
+// src/hooks/useFollow.js
+import { useEffect, useRef, useState } from 'react'
+import { react } from '@tldraw/tldraw'
+
+const VIEWPORT_SEND_MS = 150
+
+/**
+ * useFollow(socket, editor, { boardId, joinCount })
+ * Shares my viewport (page bounds) as my camera moves, and mirrors someone else's
+ * camera while I follow them. Panning or zooming myself stops following.
+ * joinCount bumps on every successful room:join; rooms don't survive a reconnect,
+ * so the viewport and any follow are re-sent after each one.
+ * Returns: { following, follow(socketId), stopFollowing(), summon() }
+ *   following: socketId I'm following, or null
+ */
+export default function useFollow(socket, editor, opts = {}) {
+  const boardId = opts.boardId
+  const joinCount = opts.joinCount || 0
+  const [following, setFollowing] = useState(null)
+  const followingRef = useRef(null)
+
+  const setFollowed = (socketId) => {
+    followingRef.current = socketId
+    setFollowing(socketId)
+  }
+
+  const currentViewport = () => {
+    const b = editor.getViewportPageBounds()
+    return { x: b.x, y: b.y, w: b.w, h: b.h }
+  }
+
+  const applyViewport = (v) => {
+    if (!editor || !v) return
+    editor.zoomToBounds(v, { inset: 0, animation: { duration: 200 } })
+  }
+
+  const follow = (socketId) => {
+    if (!socket || !socketId || socketId === socket.id) return
+    socket.emit('follow:start', { socketId }, (res) => {
+      if (!res?.ok) { console.warn('[follow] could not follow', res?.error); return }
+      setFollowed(socketId)
+      applyViewport(res.viewport)
+    })
+  }
+
+  const stopFollowing = () => {
+    if (!followingRef.current) return
+    setFollowed(null)
+    socket?.emit('follow:stop')
+  }
+
+  // "Bring everyone to me"
+  const summon = () => {
+    if (!socket || !editor) return
+    socket.emit('viewport:summon', { viewport: currentViewport() })
+  }
+
+  // Publish my viewport (trailing throttle)
+  useEffect(() => {
+    if (!socket || !editor || !boardId || !joinCount) return
+    let timer = null
+    let last = ''
+    const send = () => {
+      timer = null
+      const v = currentViewport()
+      const key = [v.x, v.y, v.w, v.h].map((n) => Math.round(n)).join(',')
+      if (key === last || !socket.connected) return
+      last = key
+      socket.emit('viewport:update', { viewport: v })
+    }
+    const stop = react('share viewport', () => {
+      editor.getViewportPageBounds()
+      if (!timer) timer = setTimeout(send, VIEWPORT_SEND_MS)
+    })
+    if (followingRef.current) follow(followingRef.current)
+    return () => {
+      stop()
+      clearTimeout(timer)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, editor, boardId, joinCount])
+
+  // Mirror the leader; my own pan/zoom/click on the canvas ends follow mode
+  useEffect(() => {
+    if (!socket || !editor || !boardId) return
+    const onViewport = ({ socketId, viewport, boardId: b } = {}) => {
+      if (b && b !== boardId) return
+      if (socketId === followingRef.current) applyViewport(viewport)
+    }
+    const onSummon = ({ socketId, viewport, boardId: b } = {}) => {
+      if (b && b !== boardId) return
+      follow(socketId)
+      applyViewport(viewport)
+    }
+    const onLeave = (socketId) => { if (socketId === followingRef.current) setFollowed(null) }
+    const onEditorEvent = (info) => {
+      if (!followingRef.current) return
+      if (info.type === 'wheel' || info.type === 'pinch' || (info.type === 'pointer' && info.name === 'pointer_down')) {
+        stopFollowing()
+      }
+    }
+
+    socket.on('viewport:update', onViewport)
+    socket.on('viewport:summon', onSummon)
+    socket.on('presence:leave', onLeave)
+    editor.on('event', onEditorEvent)
+    return () => {
+      socket.off('viewport:update', onViewport)
+      socket.off('viewport:summon', onSummon)
+      socket.off('presence:leave', onLeave)
+      editor.off('event', onEditorEvent)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, editor, boardId])
+
+  return { following, follow, stopFollowing, summon }
+}
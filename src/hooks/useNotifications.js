@@ -0,0 +1,93 @@
+// src/hooks/useNotifications.js
+import { useEffect, useState } from 'react'
+import { io } from 'socket.io-client'
+import { apiFetch, SERVER_URL } from '../lib/api.js'
+
+/**
+ * useNotifications(socket, { enabled })
+ * The signed-in user's notification inbox (mentions on any board).
+ * The server pushes `notify:new` / `notify:sync` to a per-user room every socket of
+ * that user joins, so a board socket works as is; without one (the lobby) the hook
+ * opens its own connection.
+ * Returns: { items, unread, hasMore, loadMore(), markRead({ ids } | { boardId } | { all: true }) }
+ */
+export default function useNotifications(socket, opts = {}) {
+  const enabled = opts.enabled !== false
+  const [items, setItems] = useState([])
+  const [unread, setUnread] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [own, setOwn] = useState(null)
+
+  async function refresh() {
+    try {
+      const r = await apiFetch('/api/notifications')
+      if (!r.ok) return
+      const j = await r.json()
+      setItems(j.items || [])
+      setUnread(j.unread || 0)
+      setNextCursor(j.nextCursor || null)
+    } catch (e) {
+      console.warn('[notifications] load failed', e)
+    }
+  }
+
+  async function loadMore() {
+    if (!nextCursor) return
+    try {
+      const r = await apiFetch(`/api/notifications?before=${encodeURIComponent(nextCursor)}`)
+      if (!r.ok) return
+      const j = await r.json()
+      setItems((prev) => [...prev, ...(j.items || []).filter((n) => !prev.some((p) => p.id === n.id))])
+      setNextCursor(j.nextCursor || null)
+    } catch (e) {
+      console.warn('[notifications] load failed', e)
+    }
+  }
+
+  async function markRead(what) {
+    const hit = (n) => what.all || (what.ids ? what.ids.includes(n.id) : n.boardId === what.boardId)
+    setItems((prev) => prev.map((n) => (!n.readAt && hit(n) ? { ...n, readAt: new Date().toISOString() } : n)))
+    try {
+      const r = await apiFetch('/api/notifications/read', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(what),
+      })
+      if (r.ok) setUnread((await r.json()).unread ?? 0)
+    } catch (e) {
+      console.warn('[notifications] mark read failed', e)
+    }
+  }
+
+  // Own connection when the caller has no socket
+  useEffect(() => {
+    if (!enabled || socket) return
+    const s = io(SERVER_URL, { withCredentials: true, transports: ['websocket'], path: '/socket.io' })
+    setOwn(s)
+    return () => { s.disconnect(); setOwn(null) }
+  }, [enabled, socket])
+
+  useEffect(() => {
+    if (enabled) refresh()
+  }, [enabled])
+
+  useEffect(() => {
+    const s = socket || own
+    if (!enabled || !s) return
+    const onNew = (n) => {
+      setItems((prev) => [n, ...prev.filter((x) => x.id !== n.id)])
+      setUnread((u) => u + 1)
+    }
+    // connect: catch up on anything pushed while we were offline
+    s.on('notify:new', onNew)
+    s.on('notify:sync', refresh)
+    s.on('connect', refresh)
+    return () => {
+      s.off('notify:new', onNew)
+      s.off('notify:sync', refresh)
+      s.off('connect', refresh)
+    }
+  }, [enabled, socket, own])
+
+  return { items, unread, hasMore: !!nextCursor, loadMore, markRead }
+}
@@ -1,35 +1,68 @@
 // src/hooks/usePresence.js
 import { useEffect, useMemo, useRef, useState } from 'react'
+import { react } from '@tldraw/tldraw'
+
+const CURSOR_SEND_MS = 40 // the server relays cursors on a 50ms tick anyway
+const SELECTION_SEND_MS = 100
+const IDLE_MS = 60 * 1000     // no input for this long -> idle
+const AWAY_MS = 5 * 60 * 1000 // ... this long, or the tab hidden -> away
 
 /**
- * usePresence(socket, editor, me, { boardId, getBounds })
- * Returns: { users, selections, cursors, cursorsRef }
+ * usePresence(socket, editor, me, { boardId, shareSelection, joinCount })
+ * Cursors travel in page coordinates, so they land on the same spot whatever each
+ * person's camera is; render them through editor.pageToScreen.
+ * shareSelection: broadcast my selected shape ids (editors only; the server refuses viewers).
+ * joinCount: bumps on every successful room:join; state is re-sent after each one.
+ * Returns: { users, recent, selections, cursors, cursorsRef }
+ *   users[].status: 'active' | 'idle' | 'away' (disconnected: true while the server waits out a dropped socket)
+ *   recent: members who left lately, [{ id, name, color, lastSeenAt }]
+ *   selections: socketId -> { userId, name, color, shapes: string[] }
  */
 export default function usePresence(socket, editor, me, opts = {}) {
   const boardId = opts.boardId
-  const getBounds = opts.getBounds || (() => ({ left: 0, top: 0 }))
+  const shareSelection = !!opts.shareSelection
+  const joinCount = opts.joinCount || 0
 
   const [usersArr, setUsersArr] = useState([])
+  const [recent, setRecent] = useState([])
   const [selections, setSelections] = useState({})
+  const [cursors, setCursors] = useState({})
   const cursorsRef = useRef({})
+  const publishCursors = () => setCursors({ ...cursorsRef.current })
   const usersMapRef = useRef(new Map()) // key by socketId to match presence:leave
 
   const pushUser = (u) => {
     if (!u) return
     const key = u.socketId || u.id || u.userId || u._id
     if (!key) return
+    const id = u.id || u.userId || u._id || key // stable "user id" for avatar seed
     usersMapRef.current.set(key, {
-      id: u.id || u.userId || u._id || key, // stable "user id" for avatar seed
+      id,
       name: u.name || 'User',
       color: u.color || '#7c3aed',
       socketId: key,
       boardId: u.boardId,
+      status: u.status || 'active',
+      since: u.since || Date.now(),
+      disconnected: false,
     })
     setUsersArr(Array.from(usersMapRef.current.values()))
+    setRecent((r) => r.filter((v) => v.id !== id))
   }
   const dropUser = (socketId) => {
-    if (!socketId) return
+    const u = socketId && usersMapRef.current.get(socketId)
+    if (!u) return
     usersMapRef.current.delete(socketId)
+    const list = Array.from(usersMapRef.current.values())
+    setUsersArr(list)
+    // still here in another tab: not "recently left"
+    if (list.some((x) => x.id === u.id)) return
+    setRecent((r) => [{ id: u.id, name: u.name, color: u.color, lastSeenAt: Date.now() }, ...r.filter((v) => v.id !== u.id)])
+  }
+  const setStatus = ({ socketId, status, since, disconnected } = {}) => {
+    const u = usersMapRef.current.get(socketId)
+    if (!u) return
+    usersMapRef.current.set(socketId, { ...u, status: status || u.status, since: since || Date.now(), disconnected: !!disconnected })
     setUsersArr(Array.from(usersMapRef.current.values()))
   }
 
@@ -59,6 +92,7 @@ export default function usePresence(socket, editor, me, opts = {}) {
     const onLeave = (socketId) => {
       dropUser(socketId)
       delete cursorsRef.current[socketId]
+      publishCursors()
       setSelections((s) => {
         const n = { ...s }
         delete n[socketId]
@@ -73,18 +107,30 @@ export default function usePresence(socket, editor, me, opts = {}) {
         id: p.id || key, x: p.x, y: p.y, name: p.name, color: p.color, active: p.active ?? true,
       }
     }
-    const onActive = (p = {}) => onMove({ ...p, active: true })
-    const onLeaveCursor = (id) => { delete cursorsRef.current[id] }
+    const onBatch = (moves = []) => { moves.forEach(onMove); publishCursors() }
+    const onActive = (p = {}) => { onMove({ ...p, active: true }); publishCursors() }
+    const onLeaveCursor = (id) => { delete cursorsRef.current[id]; publishCursors() }
     const onSel = (sel = {}) => {
       if (sel.boardId && sel.boardId !== boardId) return
       const key = sel.socketId || sel.userId || sel.id
-      setSelections((s) => ({ ...s, [key]: sel }))
+      if (!key || key === socket.id) return
+      setSelections((s) => {
+        const n = { ...s }
+        if (sel.shapes?.length) n[key] = sel
+        else delete n[key]
+        return n
+      })
     }
 
+    const onStatus = (p = {}) => { if (!p.boardId || p.boardId === boardId) setStatus(p) }
+    const onRecent = (list = []) => setRecent(Array.isArray(list) ? list : [])
+
     socket.on('presence:roster', onRoster)
     socket.on('presence:join', onJoin)
     socket.on('presence:leave', onLeave)
-    socket.on('cursor:move', onMove)
+    socket.on('presence:status', onStatus)
+    socket.on('presence:recent', onRecent)
+    socket.on('cursor:batch', onBatch)
     socket.on('cursor:active', onActive)
     socket.on('cursor:leave', onLeaveCursor)
     socket.on('selection:update', onSel)
@@ -100,7 +146,9 @@ export default function usePresence(socket, editor, me, opts = {}) {
       socket.off('presence:roster', onRoster)
       socket.off('presence:join', onJoin)
       socket.off('presence:leave', onLeave)
-      socket.off('cursor:move', onMove)
+      socket.off('presence:status', onStatus)
+      socket.off('presence:recent', onRecent)
+      socket.off('cursor:batch', onBatch)
       socket.off('cursor:active', onActive)
       socket.off('cursor:leave', onLeaveCursor)
       socket.off('selection:update', onSel)
@@ -114,41 +162,113 @@ export default function usePresence(socket, editor, me, opts = {}) {
 
     let raf = null
     let last = { x: 0, y: 0 }
+    let sentAt = 0
+    let pausedUntil = 0 // set when the server says we're over the cursor rate
+    let trailing = null // makes sure the final resting position still goes out
 
     const send = (x, y, active = false) => {
+      const now = Date.now()
+      const wait = active ? 0 : Math.max(pausedUntil - now, sentAt + CURSOR_SEND_MS - now)
+      clearTimeout(trailing)
+      if (wait > 0) {
+        trailing = setTimeout(() => send(x, y, false), wait)
+        return
+      }
+      sentAt = now
       socket.emit(active ? 'cursor:active' : 'cursor:move', {
         id: me.id, name: me.name || 'Me', color: me.color || '#7c3aed', x, y, boardId
       })
     }
 
+    const toPage = (e) => editor.screenToPage({ x: e.clientX, y: e.clientY })
+
     const onPointerMove = (e) => {
-      const b = getBounds() || { left: 0, top: 0 }
-      const x = e.clientX - b.left
-      const y = e.clientY - b.top
-      if (Math.abs(x - last.x) + Math.abs(y - last.y) < 2) return
-      last = { x, y }
+      if (Math.abs(e.clientX - last.x) + Math.abs(e.clientY - last.y) < 2) return
+      last = { x: e.clientX, y: e.clientY }
       cancelAnimationFrame(raf)
-      raf = requestAnimationFrame(() => send(x, y, false))
+      raf = requestAnimationFrame(() => { const p = toPage(e); send(p.x, p.y, false) })
     }
     const onPointerDown = (e) => {
-      const b = getBounds() || { left: 0, top: 0 }
-      send(e.clientX - b.left, e.clientY - b.top, true)
+      const p = toPage(e)
+      send(p.x, p.y, true)
     }
     const onLeave = () => socket.emit('cursor:leave', socket.id)
+    const onLimited = ({ event, retryMs } = {}) => {
+      if (event === 'cursor:move') pausedUntil = Date.now() + (retryMs || 1000)
+    }
 
+    socket.on('rate:limited', onLimited)
     window.addEventListener('pointermove', onPointerMove, { passive: true })
     window.addEventListener('pointerdown', onPointerDown, { passive: true })
     window.addEventListener('blur', onLeave)
 
     return () => {
+      socket.off('rate:limited', onLimited)
       window.removeEventListener('pointermove', onPointerMove)
       window.removeEventListener('pointerdown', onPointerDown)
       window.removeEventListener('blur', onLeave)
       cancelAnimationFrame(raf)
+      clearTimeout(trailing)
       onLeave()
     }
-  }, [socket, editor, boardId, me.id, me.name, me.color, getBounds])
+  }, [socket, editor, boardId, me.id, me.name, me.color])
+
+  // My status from input activity and tab visibility; the server starts every join at 'active'
+  useEffect(() => {
+    if (!socket || !boardId || !joinCount) return
+    let lastInput = Date.now()
+    let sent = 'active'
+    const compute = () => {
+      if (document.visibilityState === 'hidden') return 'away'
+      const quiet = Date.now() - lastInput
+      return quiet >= AWAY_MS ? 'away' : quiet >= IDLE_MS ? 'idle' : 'active'
+    }
+    const update = () => {
+      const status = compute()
+      if (status === sent || !socket.connected) return
+      sent = status
+      socket.emit('presence:status', { status })
+    }
+    const onInput = () => {
+      lastInput = Date.now()
+      if (sent !== 'active') update()
+    }
+    const inputs = ['pointermove', 'pointerdown', 'keydown', 'wheel']
+    inputs.forEach((ev) => window.addEventListener(ev, onInput, { passive: true }))
+    document.addEventListener('visibilitychange', update)
+    const t = setInterval(update, 15 * 1000)
+    update()
+    return () => {
+      inputs.forEach((ev) => window.removeEventListener(ev, onInput))
+      document.removeEventListener('visibilitychange', update)
+      clearInterval(t)
+    }
+  }, [socket, boardId, joinCount])
+
+  // Send my selection (trailing throttle); an empty list clears it for everyone
+  useEffect(() => {
+    if (!socket || !editor || !boardId || !shareSelection || !joinCount) return
+    let timer = null
+    let last = ''
+    const send = () => {
+      timer = null
+      const shapes = editor.getSelectedShapeIds()
+      const key = shapes.join(',')
+      if (key === last || !socket.connected) return
+      last = key
+      socket.emit('selection:update', { shapes })
+    }
+    const stop = react('share selection', () => {
+      editor.getSelectedShapeIds()
+      if (!timer) timer = setTimeout(send, SELECTION_SEND_MS)
+    })
+    return () => {
+      stop()
+      clearTimeout(timer)
+      if (last && socket.connected) socket.emit('selection:update', { shapes: [] })
+    }
+  }, [socket, editor, boardId, shareSelection, joinCount])
 
   const users = useMemo(() => usersArr, [usersArr])
-  return { users, selections, cursors: cursorsRef.current, cursorsRef }
+  return { users, recent, selections, cursors, cursorsRef }
 }
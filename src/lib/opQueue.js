@@ -0,0 +1,121 @@
+// src/lib/opQueue.js
+// Outgoing board ops, persisted in IndexedDB until the server acknowledges them,
+// so edits made offline (or before a reload) are replayed on the next connection.
+// The server dedupes by opId, so sending an op twice is harmless.
+// Rows are keyed by user and board: a queue is only ever replayed by the account that
+// made the edits, and signing out drops that account's rows (clearOps).
+// Falls back to an in-memory queue where IndexedDB is unavailable (private mode etc.) or a write fails.
+
+const DB_NAME = 'wb-offline'
+const STORE = 'ops'
+const DB_VERSION = 2
+
+let dbPromise = null
+const memory = new Map() // id -> row (fallback)
+
+function openDb() {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === 'undefined') return resolve(null)
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = (e) => {
+        const os = e.oldVersion < 1
+          ? req.result.createObjectStore(STORE, { keyPath: 'id' })
+          : req.transaction.objectStore(STORE)
+        if (e.oldVersion === 1) {
+          // v1 rows carry no owner, so there is no telling whose edits they are
+          os.clear()
+          os.deleteIndex('boardId')
+        }
+        os.createIndex('queue', ['userId', 'boardId'])
+        os.createIndex('userId', 'userId')
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => { console.warn('[opQueue] IndexedDB unavailable, queue is memory-only', req.error); resolve(null) }
+    } catch (e) {
+      console.warn('[opQueue] IndexedDB unavailable, queue is memory-only', e)
+      resolve(null)
+    }
+  })
+  return dbPromise
+}
+
+function run(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const out = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(out?.result ?? out)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+let counter = 0
+/**
+ * Queue a user's ops (each `{ id, ts, userId, changes, clock }`) for a board, keeping their order.
+ * A failed IndexedDB write (quota, closed database) keeps them in memory instead, so they are still sent.
+ */
+export async function enqueueOps(userId, boardId, ops) {
+  const rows = ops.map((op) => ({ id: op.id, userId, boardId, n: Date.now() * 1000 + (counter++ % 1000), op }))
+  const db = await openDb()
+  if (db) {
+    try {
+      await run(db, 'readwrite', (os) => rows.forEach((r) => os.put(r)))
+      return
+    } catch (e) {
+      console.warn('[opQueue] IndexedDB write failed, queueing in memory', e)
+    }
+  }
+  rows.forEach((r) => memory.set(r.id, r))
+}
+
+const mine = (userId, boardId) => (r) => r.userId === userId && r.boardId === boardId
+
+/** A user's pending ops for a board, oldest first. */
+export async function pendingOps(userId, boardId, limit = Infinity) {
+  const db = await openDb()
+  const rows = [...memory.values()].filter(mine(userId, boardId))
+  if (db) rows.push(...await run(db, 'readonly', (os) => os.index('queue').getAll([userId, boardId])))
+  return rows.sort((a, b) => a.n - b.n).slice(0, limit).map((r) => r.op)
+}
+
+/** Drop ops the server has acknowledged (or rejected for good). */
+export async function removeOps(ids) {
+  if (!ids?.length) return
+  ids.forEach((id) => memory.delete(id))
+  const db = await openDb()
+  if (db) await run(db, 'readwrite', (os) => ids.forEach((id) => os.delete(id)))
+}
+
+export async function countOps(userId, boardId) {
+  const db = await openDb()
+  const inMemory = [...memory.values()].filter(mine(userId, boardId)).length
+  return inMemory + (db ? await run(db, 'readonly', (os) => os.index('queue').count([userId, boardId])) : 0)
+}
+
+// Delete every row of `index` matching `key`, in memory and in IndexedDB
+async function dropRows(index, key, match) {
+  for (const [id, r] of memory) if (match(r)) memory.delete(id)
+  const db = await openDb()
+  if (!db) return
+  await run(db, 'readwrite', (os) => {
+    const req = os.index(index).openKeyCursor(IDBKeyRange.only(key))
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return
+      os.delete(cursor.primaryKey)
+      cursor.continue()
+    }
+  })
+}
+
+/** Drop everything a user still has queued, on every board (sign-out). */
+export function clearOps(userId) {
+  return dropRows('userId', userId, (r) => r.userId === userId)
+}
+
+/** Drop a user's queue for one board (the board was restored to a version, so those edits are void). */
+export function clearBoardOps(userId, boardId) {
+  return dropRows('queue', [userId, boardId], mine(userId, boardId))
+}
@@ -13,12 +13,14 @@ const isSafari =
 /**
  * Robust raster export only (PNG/JPG/WEBP).
  * For "pdf" we still export PNG and let the UI print it.
+ * `ids` limits the export to those shapes (default: the whole page).
  */
 export async function exportBlob({
   editor,
   format = 'png',     // 'png' | 'jpg' | 'jpeg' | 'webp' | 'pdf' (raster)
   scale = 2,
   background = true,
+  ids = [],
 }) {
   if (!editor) throw new Error('TLDraw editor not ready');
 
@@ -33,17 +35,17 @@ export async function exportBlob({
       throw new Error('This version of @tldraw/tldraw does not support exportToBlob');
     }
 
-    const blob = await mod.exportToBlob({ editor, format: fmt, scale, background });
+    const blob = await mod.exportToBlob({ editor, ids, format: fmt, scale, background, opts: { scale, background } });
     if (!(blob instanceof Blob)) throw new Error('exportToBlob returned non-Blob');
 
-    log('exported raster', { format: fmt, scale, background, size: blob.size });
+    log('exported raster', { format: fmt, scale, background, shapes: ids.length || 'all', size: blob.size });
     return blob;
   } catch (e) {
     // Fallback to PNG if requested format failed
     if (fmt !== 'png') {
       console.warn('[share] export failed for', fmt, '— falling back to PNG', e);
       const mod = await import('@tldraw/tldraw');
-      const blob = await mod.exportToBlob({ editor, format: 'png', scale, background });
+      const blob = await mod.exportToBlob({ editor, ids, format: 'png', scale, background, opts: { scale, background } });
       if (!(blob instanceof Blob)) throw new Error('exportToBlob returned non-Blob (fallback)');
       log('exported fallback PNG', { scale, background, size: blob.size });
       return blob;
@@ -159,22 +161,50 @@ export function popup(url, { w = 640, h = 640 } = {}) {
   log('popup', url);
 }
 
-export async function maybeUploadToServer(file) {
+/**
+ * POST a file to /api/upload (optionally scoped to a board).
+ * Resolves to the server JSON: { url, hash, size, mime, name, deduped }.
+ */
+export async function uploadFile(file, { boardId } = {}) {
+  const fd = new FormData();
+  fd.append('file', file, file.name || 'upload');
+  const qs = boardId ? `?boardId=${encodeURIComponent(boardId)}` : '';
+  const r = await fetch(`/api/upload${qs}`, { method: 'POST', body: fd, credentials: 'include' });
+  if (!r.ok) {
+    const j = await r.json().catch(() => ({}));
+    throw new Error(j.error || `Upload failed (${r.status})`);
+  }
+  const j = await r.json();
+  log('uploaded', j.url, j.deduped ? '(deduped)' : '');
+  return j;
+}
+
+export async function maybeUploadToServer(file, opts = {}) {
   try {
-    const fd = new FormData();
-    fd.append('file', file, file.name);
-    const r = await fetch('/api/upload', { method: 'POST', body: fd, credentials: 'include' });
-    if (!r.ok) return null;
-    const j = await r.json();
-    const abs = new URL(j.url, location.origin).toString();
-    log('uploaded', abs);
-    return abs;
+    const j = await uploadFile(file, opts);
+    return new URL(j.url, location.origin).toString();
   } catch (e) {
     log('upload failed', e);
     return null;
   }
 }
 
+/**
+ * tldraw asset store: dropped/pasted images go to /api/upload instead of
+ * being inlined as base64 in the snapshot. Stored src stays origin-relative.
+ */
+export function boardAssetStore(boardId) {
+  return {
+    async upload(_asset, file) {
+      const j = await uploadFile(file, { boardId });
+      return j.url;
+    },
+    resolve(asset) {
+      return asset?.props?.src || null;
+    },
+  };
+}
+
 /**
  * Tries native Web Share with attached file; falls back to URL+text if files not supported.
  * Returns true if any system share opened, false otherwise.
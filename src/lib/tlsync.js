@@ -0,0 +1,109 @@
+// src/lib/tlsync.js
+// Client-side guards for tldraw records coming off the wire (null `meta` crashes the store)
+// and the helpers that stamp local and merge remote change sets.
+import { createClock, mergeChanges, recordLocal } from '../../shared/recordMerge.js'
+
+const safeClone = (v) => {
+  try { return structuredClone(v) } catch { try { return JSON.parse(JSON.stringify(v)) } catch { return v } }
+}
+
+/* ================= META GUARDS (client) ================= */
+export function deepFixMeta(obj, depth = 0) {
+  if (!obj || typeof obj !== 'object' || depth > 6) return obj
+  if (Object.prototype.hasOwnProperty.call(obj, 'meta')) {
+    const v = obj.meta
+    if (v === undefined || v === null) obj.meta = {}
+  }
+  if (obj.value && typeof obj.value === 'object' && Object.prototype.hasOwnProperty.call(obj.value, 'meta')) {
+    const v = obj.value.meta
+    if (v === undefined || v === null) obj.value.meta = {}
+  }
+  for (const k in obj) {
+    if (!Object.prototype.hasOwnProperty.call(obj, k)) continue
+    const v = obj[k]
+    if (v && typeof v === 'object') deepFixMeta(v, depth + 1)
+  }
+  return obj
+}
+
+export function sanitizeChangeSet(changesIn) {
+  const changes = safeClone(changesIn)
+  if (!changes) return changes
+  if (changes.added) {
+    const list = Array.isArray(changes.added) ? changes.added : Object.values(changes.added)
+    list.forEach((rec) => deepFixMeta(rec))
+  }
+  if (changes.updated) {
+    Object.values(changes.updated).forEach((u) => {
+      if (Array.isArray(u)) u.forEach((rec) => deepFixMeta(rec)) // tldraw diff: [from, to]
+      if (u?.next) deepFixMeta(u.next)
+      if (u?.prev) deepFixMeta(u.prev)
+    })
+  }
+  return changes
+}
+
+export function sanitizeSnapshot(snapIn) {
+  const c = safeClone(snapIn)
+  if (!c) return snapIn
+  const r1 = c?.store?.records
+  const r2 = c?.records
+  let recs = []
+  if (Array.isArray(r1)) recs = r1
+  else if (r1 && typeof r1 === 'object') recs = Object.values(r1)
+  else if (Array.isArray(r2)) recs = r2
+  else if (r2 && typeof r2 === 'object') recs = Object.values(r2)
+  recs.forEach((rec) => deepFixMeta(rec))
+  if (c.document && (c.document.meta === undefined || c.document.meta === null)) c.document.meta = {}
+  return c
+}
+
+/* ================= FIELD CLOCKS (client) ================= */
+// One clock per tab; remote stamps are observed so local edits sort after anything seen.
+// Per-store field clocks decide which concurrent edit wins (see shared/recordMerge.js).
+const clock = createClock(globalThis.crypto?.randomUUID?.() || Math.random().toString(36).slice(2))
+const clocksByStore = new WeakMap()
+function clocksFor(store) {
+  let m = clocksByStore.get(store)
+  if (!m) { m = new Map(); clocksByStore.set(store, m) }
+  return m
+}
+const isDocumentScope = (store, recOrId) => {
+  const id = typeof recOrId === 'string' ? recOrId : recOrId?.id
+  const typeName = recOrId?.typeName || String(id || '').split(':')[0]
+  return store.schema.types[typeName]?.scope === 'document'
+}
+
+// A loaded snapshot is the new truth; forget which edits won before it
+export function resetClocks(store) {
+  clocksFor(store).clear()
+}
+
+// Stamp a local change set (already applied by tldraw) before it is sent
+export function stampLocal(store, changes) {
+  const stamp = clock.tick()
+  recordLocal({ clocks: clocksFor(store), changes, stamp })
+  return stamp
+}
+
+// Apply a remote change set field by field; `stamp` is the op's clock (omit for
+// sequential playback, where every change simply wins)
+export function mergeRemote(editor, rawChanges, stamp) {
+  const fixed = sanitizeChangeSet(rawChanges) || {}
+  const store = editor.store
+  if (stamp) clock.observe(stamp)
+  try {
+    const merged = mergeChanges({
+      getRecord: (id) => store.get(id),
+      clocks: clocksFor(store),
+      changes: fixed,
+      stamp: stamp || clock.tick(),
+      accept: (r) => isDocumentScope(store, r),
+    })
+    store.mergeRemoteChanges(() => {
+      if (merged.puts.length) store.put(merged.puts)
+      if (merged.removes.length) store.remove(merged.removes)
+    })
+    merged.commit()
+  } catch (e) { console.error('[mergeRemote] failed', e, fixed) }
+}
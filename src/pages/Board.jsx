@@ -29,7 +29,7 @@ export default function Board() {
         s.on('connect_error', (e) => console.error('[socket] connect_error', e?.message || e))
         s.on('disconnect', (r) => console.warn('[socket] disconnected', r))
         s.onAny((ev, ...args) => {
-          if (!['cursor:move'].includes(ev)) console.log('[socket] <=', ev, args?.[0] ?? '')
+          if (!['cursor:batch', 'call:level'].includes(ev)) console.log('[socket] <=', ev, args?.[0] ?? '')
         })
         setSocket(s)
       } catch (e) {
@@ -3,12 +3,17 @@
 // Usage:
 //   node tools/restore.js /absolute/path/to/board.export.json
 //
+// Prefer POST /api/boards/import (creates a new board owned by the caller); this script
+// is for operators restoring a board in place, with its original _id.
+//
 // Notes:
 // - Requires MONGO_URL env (falls back to .env via dotenv).
 // - Idempotent on ops via (boardId, opId).
 // - Recomputes the per-board op sequence counter to max(seq).
 // - If board doesn't exist, it will be created with same title/members/chat/snapshot.
 // - If it exists, snapshot will be set if newer; chat/messages are merged (dedupe on ts+userId+text).
+// - Chat is written to the legacy Board.chat array; the server moves it into its chat
+//   collection (deduped by message id) the first time the board's chat is read.
 
 import 'dotenv/config'
 import mongoose from 'mongoose'
@@ -1,7 +1,7 @@
 ﻿// src/whiteboard.jsx
 import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { io } from 'socket.io-client'
-import { Tldraw } from '@tldraw/tldraw'
+import { Tldraw, useValue } from '@tldraw/tldraw'
 import '@tldraw/tldraw/tldraw.css'
 
 import FabCluster from './components/FabCluster.jsx'
@@ -9,9 +9,19 @@ import ChatPanel from './components/ChatPanel.jsx'
 import VoiceCall from './components/VoiceCall.jsx'
 import ShareDialog from './components/ShareDialog.jsx'
 import BoardsList from './components/BoardsList.jsx'
-import { exportBlob, tryWebShare } from './lib/share.js'
+import RequestAccess from './components/RequestAccess.jsx'
+import AccessPanel from './components/AccessPanel.jsx'
+import HistoryPanel from './components/HistoryPanel.jsx'
+import ReplayPlayer from './components/ReplayPlayer.jsx'
+import NotificationsInbox from './components/NotificationsInbox.jsx'
+import SearchBox from './components/SearchBox.jsx'
+import { exportBlob, tryWebShare, boardAssetStore } from './lib/share.js'
 import { apiFetch } from './lib/api.js'
+import { enqueueOps, pendingOps, removeOps, countOps, clearOps, clearBoardOps } from './lib/opQueue.js'
+import { deepFixMeta, sanitizeChangeSet, sanitizeSnapshot, mergeRemote, resetClocks, stampLocal } from './lib/tlsync.js'
 import usePresence from './hooks/usePresence.js'
+import useFollow from './hooks/useFollow.js'
+import useNotifications from './hooks/useNotifications.js'
 
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:4000'
 
@@ -63,6 +73,22 @@ const uuid = () =>
   (globalThis.crypto?.randomUUID?.()) ||
   (Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 10))
 
+// Presence status -> dot color / label / avatar dimming
+const STATUS_STYLE = {
+  active: { dot: '#10b981', label: 'Active', opacity: 1 },
+  idle: { dot: '#f59e0b', label: 'Idle', opacity: 0.75 },
+  away: { dot: '#9ca3af', label: 'Away', opacity: 0.5 },
+}
+const statusOf = (u) => STATUS_STYLE[u?.status] || STATUS_STYLE.active
+
+function lastSeenText(ts) {
+  const delta = Math.floor((Date.now() - new Date(ts).getTime()) / 1000)
+  if (delta < 60) return 'just now'
+  if (delta < 3600) return `${Math.floor(delta / 60)}m ago`
+  if (delta < 86400) return `${Math.floor(delta / 3600)}h ago`
+  return `${Math.floor(delta / 86400)}d ago`
+}
+
 function parseJoinInput(input = '') {
   try {
     if (/^https?:\/\//i.test(input)) {
@@ -79,77 +105,25 @@ function parseJoinInput(input = '') {
   return { id: (idPart || '').trim(), token: sp.get('token') || '' }
 }
 
-const safeClone = (v) => {
-  try { return structuredClone(v) } catch { try { return JSON.parse(JSON.stringify(v)) } catch { return v } }
-}
-
-/* ================= META GUARDS (client) ================= */
-function deepFixMeta(obj, depth = 0) {
-  if (!obj || typeof obj !== 'object' || depth > 6) return obj
-  if (Object.prototype.hasOwnProperty.call(obj, 'meta')) {
-    const v = obj.meta
-    if (v === undefined || v === null) obj.meta = {}
+// Search results deep-link into a board: ?shape=<shapeId> zooms to a shape,
+// ?msg=<messageId>[&thread=<rootId>] opens the chat at a message
+function boardHref({ id, token = '', focus = null }) {
+  const sp = new URLSearchParams()
+  sp.set('id', id)
+  if (token) sp.set('token', token)
+  if (focus?.kind === 'shape') sp.set('shape', focus.shapeId)
+  if (focus?.kind === 'chat') {
+    sp.set('msg', focus.messageId)
+    if (focus.threadId) sp.set('thread', focus.threadId)
   }
-  if (obj.value && typeof obj.value === 'object' && Object.prototype.hasOwnProperty.call(obj.value, 'meta')) {
-    const v = obj.value.meta
-    if (v === undefined || v === null) obj.value.meta = {}
-  }
-  for (const k in obj) {
-    if (!Object.prototype.hasOwnProperty.call(obj, k)) continue
-    const v = obj[k]
-    if (v && typeof v === 'object') deepFixMeta(v, depth + 1)
-  }
-  return obj
+  return location.pathname + '?' + sp.toString()
 }
 
-function sanitizeChangeSet(changesIn) {
-  const changes = safeClone(changesIn)
-  if (!changes) return changes
-  if (changes.added) {
-    const list = Array.isArray(changes.added) ? changes.added : Object.values(changes.added)
-    list.forEach((rec) => deepFixMeta(rec))
-  }
-  if (changes.updated) {
-    Object.values(changes.updated).forEach((u) => {
-      if (u?.next) deepFixMeta(u.next)
-      if (u?.prev) deepFixMeta(u.prev)
-    })
-  }
-  return changes
-}
-
-function sanitizeSnapshot(snapIn) {
-  const c = safeClone(snapIn)
-  if (!c) return snapIn
-  const r1 = c?.store?.records
-  const r2 = c?.records
-  let recs = []
-  if (Array.isArray(r1)) recs = r1
-  else if (r1 && typeof r1 === 'object') recs = Object.values(r1)
-  else if (Array.isArray(r2)) recs = r2
-  else if (r2 && typeof r2 === 'object') recs = Object.values(r2)
-  recs.forEach((rec) => deepFixMeta(rec))
-  if (c.document && (c.document.meta === undefined || c.document.meta === null)) c.document.meta = {}
-  return c
-}
-
-function mergeRemote(editor, rawChanges) {
-  const fixed = sanitizeChangeSet(rawChanges) || {}
-  try {
-    editor.store.mergeRemoteChanges(() => {
-      const added   = Array.isArray(fixed.added) ? fixed.added : Object.values(fixed.added || {})
-      const updated = Object.values(fixed.updated || {})
-      const removed = Array.isArray(fixed.removed) ? fixed.removed : Object.values(fixed.removed || {})
-      for (const rec of added) if (rec) editor.store.put(rec)
-      for (const upd of updated) if (upd?.next) editor.store.put(upd.next)
-      for (const recOrId of removed) {
-        const id = typeof recOrId === 'string' ? recOrId : recOrId?.id
-        if (id && editor.store.remove) editor.store.remove(id)
-      }
-    })
-    return
-  } catch (e) { console.warn('[mergeRemote guarded] fallback', e) }
-  try { editor.store.mergeRemoteChanges(fixed) } catch (e2) { console.error('[mergeRemote] failed', e2, fixed) }
+function focusFromUrl() {
+  const sp = new URLSearchParams(location.search)
+  if (sp.get('shape')) return { kind: 'shape', shapeId: sp.get('shape') }
+  if (sp.get('msg')) return { kind: 'chat', messageId: sp.get('msg'), threadId: sp.get('thread') || null }
+  return null
 }
 
 // ---------- Tiny AI dialog ----------
@@ -198,8 +172,9 @@ function AIDialog({ open, onClose, onAsk, busy, answer, setPrompt, prompt }) {
 }
 
 // ---------- Lobby ----------
-function Lobby({ me, onEnter }) {
+function Lobby({ me, onEnter, onSignOut }) {
   const [joinValue, setJoinValue] = useState('')
+  const inbox = useNotifications(null)
   function joinBoard(e) {
     e.preventDefault()
     const { id, token } = parseJoinInput(joinValue)
@@ -210,8 +185,13 @@ function Lobby({ me, onEnter }) {
     <div className="min-h-screen p-6">
       <div className="max-w-5xl mx-auto space-y-6">
         <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
-          <div className="text-xl font-semibold">Welcome, {me.name || me.email}</div>
+          <div className="flex items-center gap-3">
+            <div className="text-xl font-semibold">Welcome, {me.name || me.email}</div>
+            <SearchBox onOpen={(r) => onEnter({ id: r.boardId, token: '', focus: r })} />
+            <button type="button" className="btn-outline" onClick={onSignOut}>Sign out</button>
+          </div>
           <form onSubmit={joinBoard} className="flex gap-2 w-full md:w-[560px]">
+            <NotificationsInbox inbox={inbox} onOpen={(n) => onEnter({ id: n.boardId, token: '' })} />
             <input
               className="input flex-1"
               placeholder="Paste room link or enter Board ID (optionally ?token=...)"
@@ -232,7 +212,21 @@ function BoardInner({ boardId, token, me }) {
   const [editor, setEditor] = useState(null)
   const [socket, setSocket] = useState(null)
 
+  const [role, setRole] = useState(null) // granted by room:join
+  const readOnly = role === 'viewer'
+  const canCollaborate = role === 'owner' || role === 'editor' // chat, voice, selections
+  const [denied, setDenied] = useState(false)
+  const [joinNonce, setJoinNonce] = useState(0)
+  const [joinCount, setJoinCount] = useState(0) // bumps on every successful room:join (incl. reconnects)
+  const [online, setOnline] = useState(false) // joined and connected
+  const onlineRef = useRef(false)
+  const [pendingCount, setPendingCount] = useState(0) // local ops not yet acknowledged by the server
+  const [accessOpen, setAccessOpen] = useState(false)
+  const [historyOpen, setHistoryOpen] = useState(false)
+  const [replayFrom, setReplayFrom] = useState(undefined) // undefined = closed, null = from the start, n = from seq n
+
   const [chatOpen, setChatOpen] = useState(false)
+  const [focus, setFocus] = useState(focusFromUrl) // shape or chat message to bring into view
   const [inCall, setInCall] = useState(false)
   const [shareOpen, setShareOpen] = useState(false)
 
@@ -266,7 +260,13 @@ function BoardInner({ boardId, token, me }) {
       s.emit('room:join', { boardId, token }, (res) => {
         if (!res?.ok) {
           console.warn('[room:join] failed:', res?.error)
+          if (res?.error === 'Forbidden') { setDenied(true); s.disconnect() }
         } else {
+          setDenied(false)
+          setRole(res.role || 'viewer')
+          onlineRef.current = true
+          setOnline(true)
+          setJoinCount((c) => c + 1)
           // Announce presence AFTER join so everyone (including you) sees avatars
           s.emit('presence:join', { id: me.id, name: me.name || 'User', color: me.color || '#7c3aed', boardId })
         }
@@ -277,9 +277,22 @@ function BoardInner({ boardId, token, me }) {
       })
     })
     s.on('connect_error', (e) => console.warn('[socket] connect_error', e?.message || e))
+    s.on('disconnect', () => { onlineRef.current = false; setOnline(false) })
+    s.on('room:revoked', () => {
+      setRole(null)
+      if (me.email) setDenied(true)
+      else alert('This link is no longer valid. Ask the board owner for a new one.')
+    })
+    s.on('room:role', (p) => { if (p?.role) setRole(p.role) })
     setSocket(s)
     return () => s.disconnect()
-  }, [boardId, token, inCall, me.id, me.name, me.color])
+  }, [boardId, token, inCall, me.id, me.name, me.color, me.email, joinNonce])
+
+  // viewers (incl. public-link guests) get a read-only canvas
+  useEffect(() => {
+    if (!editor || !role) return
+    try { editor.updateInstanceState({ isReadonly: readOnly }) } catch (e) { console.warn('[readonly] failed', e) }
+  }, [editor, role, readOnly])
 
   // load members -> roles
   useEffect(() => {
@@ -302,6 +315,23 @@ function BoardInner({ boardId, token, me }) {
   const hasLoadedSnapshotRef = useRef(false)
   const outQueueRef = useRef([])
   const outTimerRef = useRef(null)
+  const drainRef = useRef(null) // sends the persisted op queue; set by the outgoing-ops effect
+
+  // Highest BoardOp seq such that every op up to it has been applied here.
+  // Seqs can arrive out of order, so later ones wait in seenSeqsRef until the gap closes.
+  const lastSeqRef = useRef(0)
+  const seenSeqsRef = useRef(new Set())
+  const noteSeq = (seq) => {
+    if (!seq || seq <= lastSeqRef.current) return
+    const seen = seenSeqsRef.current
+    seen.add(seq)
+    while (seen.has(lastSeqRef.current + 1)) seen.delete(++lastSeqRef.current)
+  }
+  const resetSeq = (seq) => {
+    lastSeqRef.current = seq || 0
+    for (const n of seenSeqsRef.current) if (n <= lastSeqRef.current) seenSeqsRef.current.delete(n)
+    while (seenSeqsRef.current.has(lastSeqRef.current + 1)) seenSeqsRef.current.delete(++lastSeqRef.current)
+  }
 
   // initial load + ask server for latest snapshot
   useEffect(() => {
@@ -328,7 +358,6 @@ function BoardInner({ boardId, token, me }) {
             })
           }
         }
-        socket.emit('board:snapshot:request', { boardId })
       } catch (e) {
         console.warn('Board fetch error', e)
       }
@@ -375,19 +404,30 @@ function BoardInner({ boardId, token, me }) {
   useEffect(() => {
     if (!editor || !socket) return
 
-    const onSnapshot = ({ doc }) => {
-      if (doc?.tldraw && !hasLoadedSnapshotRef.current) {
-        requestAnimationFrame(() => {
-          try {
-            editor.batch(() => {
-              editor.store.loadSnapshot(sanitizeSnapshot(doc.tldraw))
-            })
-            hasLoadedSnapshotRef.current = true
-          } catch (e) {
-            console.warn('[snapshot:response] load failed', e)
-          }
-        })
-      }
+    // The server's snapshot is canonical and comes with the seq it covers
+    const onSnapshot = ({ doc, seq } = {}) => {
+      resetSeq(seq)
+      if (!doc?.tldraw) { hasLoadedSnapshotRef.current = true; reapplyPending(); return }
+      requestAnimationFrame(() => {
+        try {
+          editor.store.mergeRemoteChanges(() => editor.store.loadSnapshot(sanitizeSnapshot(doc.tldraw)))
+          resetClocks(editor.store)
+          hasLoadedSnapshotRef.current = true
+        } catch (e) {
+          console.warn('[snapshot:response] load failed', e)
+        }
+        reapplyPending()
+      })
+    }
+
+    // Edits still waiting in the offline queue aren't in the server's snapshot yet:
+    // put them back on the canvas, then send them
+    const reapplyPending = async () => {
+      try {
+        const ops = await pendingOps(me.id, boardId)
+        if (ops.length) editor.batch(() => { for (const op of ops) mergeRemote(editor, op.changes, op.clock) })
+      } catch (e) { console.warn('[opQueue] reapply failed', e) }
+      drainRef.current?.()
     }
 
     const onOps = (payload = {}) => {
@@ -410,33 +450,117 @@ function BoardInner({ boardId, token, me }) {
         const fixedOps = ops.map(o => o?.changes ? { ...o, changes: sanitizeChangeSet(o.changes) } : o)
         editor.batch(() => {
           for (const op of fixedOps) {
-            if (op?.changes) mergeRemote(editor, op.changes)
+            if (op?.changes) mergeRemote(editor, op.changes, op.clock)
           }
         })
+        for (const op of ops) noteSeq(op?.seq)
       } catch (e) {
         console.error('[apply remote ops] failed', e)
       }
     }
 
+    // someone restored an older version: replace the whole document, dropping unsent local edits
+    // (queued ones too, or the next drain would replay them over the restored version)
+    const onRestored = ({ doc, version } = {}) => {
+      if (!doc?.tldraw) return
+      outQueueRef.current.length = 0
+      clearBoardOps(me.id, boardId)
+        .catch((e) => console.warn('[opQueue] clear failed', e))
+        .finally(() => setPendingCount(0))
+      requestAnimationFrame(() => {
+        try {
+          editor.store.mergeRemoteChanges(() => editor.store.loadSnapshot(sanitizeSnapshot(doc.tldraw)))
+          resetClocks(editor.store)
+          hasLoadedSnapshotRef.current = true
+          console.log('[board:restored] now at version', version)
+        } catch (e) { console.warn('[board:restored] load failed', e) }
+      })
+    }
+
     socket.on('board:snapshot:response', onSnapshot)
     socket.on('board:ops', onOps)
+    socket.on('board:restored', onRestored)
+
+    // (re)joined: full snapshot the first time, afterwards only what was missed while away
+    if (joinCount) {
+      if (hasLoadedSnapshotRef.current && lastSeqRef.current) {
+        socket.emit('board:sync', { since: lastSeqRef.current }, (res) => {
+          if (!res?.ok) { socket.emit('board:snapshot:request', { boardId }); return }
+          if (res.mode === 'snapshot') onSnapshot(res)
+          else { onOps({ ops: res.ops }); drainRef.current?.() }
+        })
+      } else {
+        socket.emit('board:snapshot:request', { boardId })
+      }
+    }
+
     return () => {
       socket.off('board:snapshot:response', onSnapshot)
       socket.off('board:ops', onOps)
+      socket.off('board:restored', onRestored)
     }
-  }, [editor, socket])
+  }, [editor, socket, joinCount, me.id])
+
+  // pending count survives reloads (the queue lives in IndexedDB)
+  useEffect(() => {
+    countOps(me.id, boardId).then(setPendingCount).catch(() => {})
+  }, [boardId, me.id])
 
-  // outgoing ops micro-batch
+  // outgoing ops: micro-batch -> IndexedDB queue -> server (only while joined)
   useEffect(() => {
     if (!editor || !socket) return
 
-    const flush = () => {
+    let draining = false
+    let batchSize = 200
+    let retryTimer = null
+    const drain = async () => {
+      if (draining || !onlineRef.current || !socket.connected) return
+      draining = true
+      try {
+        for (;;) {
+          const ops = await pendingOps(me.id, boardId, batchSize)
+          if (!ops.length || !onlineRef.current) break
+          const res = await new Promise((resolve) => {
+            socket.timeout(15000).emit('board:ops', { boardId, ops }, (err, r) => resolve(err ? null : r))
+          })
+          if (!res) break // timed out or dropped: retried on the next join
+          if (res.code === 429) { // over the server's rate: come back when it says
+            clearTimeout(retryTimer)
+            retryTimer = setTimeout(drain, res.retryMs || 1000)
+            break
+          }
+          if (res.code === 413) { // batch too large: halve it; a single oversize op can never go through
+            if (batchSize > 1) { batchSize = Math.ceil(batchSize / 2); continue }
+            await removeOps(ops.map((o) => o.id))
+            socket.emit('board:snapshot:request', { boardId })
+            continue
+          }
+          batchSize = 200
+          for (const seq of res.seqs || []) noteSeq(seq)
+          if (!res.ok && !res.rejected?.length) break // server couldn't log them; keep and retry later
+          await removeOps(ops.map((o) => o.id))
+          // the server refused part of our edit: our canvas no longer matches, take its state
+          if (res.rejected?.length) socket.emit('board:snapshot:request', { boardId })
+        }
+      } catch (e) {
+        console.warn('[opQueue] drain failed', e)
+      } finally {
+        draining = false
+        countOps(me.id, boardId).then(setPendingCount).catch(() => {})
+      }
+    }
+    drainRef.current = drain
+
+    const flush = async () => {
       outTimerRef.current = null
       const batch = outQueueRef.current.splice(0)
       if (!batch.length) return
       const now = Date.now()
-      const ops = batch.map(changes => ({ id: uuid(), ts: now, userId: me.id, changes }))
-      socket.emit('board:ops', { boardId, ops })
+      const ops = batch.map(({ changes, clock }) => ({ id: uuid(), ts: now, userId: me.id, changes, clock }))
+      // never throws: a failed IndexedDB write keeps the ops in memory, and drain sends them from there
+      await enqueueOps(me.id, boardId, ops)
+      setPendingCount((n) => n + ops.length)
+      drain()
     }
     const schedule = () => {
       if (outTimerRef.current) return
@@ -447,15 +571,20 @@ function BoardInner({ boardId, token, me }) {
       (entry) => {
         if (entry.source !== 'user') return
         const fixed = sanitizeChangeSet(entry.changes)
-        outQueueRef.current.push(fixed)
+        const clock = stampLocal(editor.store, fixed)
+        outQueueRef.current.push({ changes: fixed, clock })
         schedule()
       },
-      { source: 'user' }
+      // camera/pointer/instance records are per user and never leave this tab
+      { source: 'user', scope: 'document' }
     )
 
     return () => {
       try { unlisten() } catch {}
-      if (outTimerRef.current) { clearTimeout(outTimerRef.current); outTimerRef.current = null }
+      clearTimeout(retryTimer)
+      if (drainRef.current === drain) drainRef.current = null
+      // persist whatever is still batched; the next socket sends it
+      if (outTimerRef.current) { clearTimeout(outTimerRef.current); flush() }
     }
   }, [editor, socket, boardId, me.id])
 
@@ -463,7 +592,7 @@ function BoardInner({ boardId, token, me }) {
   useEffect(() => {
     if (!socket) return
     const onMsg = (msg) => {
-      const rec = { id: msg.id || uuid(), name: msg.name || 'Unknown', text: msg.text || '', ts: msg.ts || Date.now(), userId: msg.userId || null }
+      const rec = { id: msg.id || uuid(), name: msg.name || 'Unknown', text: msg.text || '', ts: msg.ts || Date.now(), userId: msg.userId || null, threadId: msg.threadId || null }
       setChatHistory((h) => [...h, rec])
       if (!chatOpen) setUnread((u) => u + 1)
     }
@@ -471,19 +600,25 @@ function BoardInner({ boardId, token, me }) {
     return () => socket.off('chat:message', onMsg)
   }, [socket, chatOpen])
 
-  // VoiceCall peer discovery
+  // VoiceCall peer discovery; leave is only sent once the server has accepted our hello
+  const inCallRoomRef = useRef(false)
   useEffect(() => {
     if (!socket) return
     if (inCall) {
       const t = setTimeout(() => {
-        socket.emit('call:hello', { boardId, userId: me.id, name: me.name })
+        socket.emit('call:hello', { boardId, userId: me.id, name: me.name }, (res) => {
+          if (res?.ok) inCallRoomRef.current = true
+        })
       }, 100)
       return () => clearTimeout(t)
-    } else {
+    } else if (inCallRoomRef.current) {
+      inCallRoomRef.current = false
       socket.emit('call:leave', { boardId, userId: me.id })
     }
   }, [inCall, socket, boardId, me.id, me.name])
 
+  const assetStore = useMemo(() => boardAssetStore(boardId), [boardId])
+
   const boardUrl = useMemo(() => {
     const base = location.origin + location.pathname
     const sp = new URLSearchParams()
@@ -502,7 +637,10 @@ function BoardInner({ boardId, token, me }) {
     } catch {}
     setShareOpen(true)
   }
-  const onToggleCall = () => setInCall((v) => !v)
+  const onToggleCall = () => {
+    if (!canCollaborate && !inCall) return alert('Voice is available to editors and owners only.')
+    setInCall((v) => !v)
+  }
 
   // Presence overlay
   const overlayRef = useRef(null)
@@ -510,14 +648,89 @@ function BoardInner({ boardId, token, me }) {
     socket,
     editor,
     { id: me.id, name: me.name, color: me.color || '#7c3aed' },
-    {
-      boardId,
-      getBounds: () => (overlayRef.current && overlayRef.current.getBoundingClientRect()) || { left: 0, top: 0 }
-    }
+    { boardId, shareSelection: canCollaborate, joinCount }
   )
   const users = presence?.users ?? []
+  const recentUsers = presence?.recent ?? []
   const selections = presence?.selections ?? {}
   const liveCursors = presence?.cursors ?? (presence?.cursorsRef ? presence.cursorsRef.current : {}) ?? {}
+  const { following, follow, stopFollowing, summon } = useFollow(socket, editor, { boardId, joinCount })
+
+  // Mentions from every board; the ones for this board count as read while its chat is open
+  const inbox = useNotifications(socket, { enabled: !!me.email && !!socket })
+  useEffect(() => {
+    if (chatOpen && inbox.items.some((n) => !n.readAt && n.boardId === boardId)) inbox.markRead({ boardId })
+  }, [chatOpen, inbox.items, boardId])
+  const openNotification = (n) => {
+    if (n.boardId === boardId) onOpenChat()
+    else location.href = location.pathname + '?id=' + encodeURIComponent(n.boardId)
+  }
+  const openSearchResult = (r) => {
+    if (r.boardId !== boardId) location.href = boardHref({ id: r.boardId, focus: r })
+    else setFocus({ ...r }) // a fresh object, so picking the same result again still jumps
+  }
+  useEffect(() => {
+    if (focus?.kind === 'chat') onOpenChat()
+  }, [focus])
+
+  // Zoom to a searched-for shape as soon as it's in the document (it may still be loading)
+  useEffect(() => {
+    if (focus?.kind !== 'shape' || !editor || !joinCount) return
+    const reveal = () => {
+      const shape = editor.getShape(focus.shapeId)
+      if (!shape) return false
+      const pageId = editor.getAncestorPageId(shape)
+      if (pageId && pageId !== editor.getCurrentPageId()) editor.setCurrentPage(pageId)
+      editor.select(shape.id)
+      editor.zoomToSelection({ animation: { duration: 300 } })
+      setFocus(null)
+      return true
+    }
+    if (reveal()) return
+    const stop = editor.store.listen(() => { if (reveal()) stop() }, { scope: 'document' })
+    const giveUp = setTimeout(() => {
+      stop()
+      setFocus(null)
+      console.warn('[search] shape is no longer on the board', focus.shapeId)
+    }, 10000)
+    return () => { stop(); clearTimeout(giveUp) }
+  }, [focus, editor, joinCount])
+  const followedUser = following ? users.find((u) => u.socketId === following) : null
+
+  // Page -> overlay coordinates; re-rendered whenever my camera moves
+  useValue('camera', () => editor?.getCamera(), [editor])
+  const toOverlay = (p) => {
+    if (!editor || p?.x == null || p?.y == null) return { x: -9999, y: -9999 }
+    const s = editor.pageToScreen(p)
+    const vb = editor.getViewportScreenBounds()
+    return { x: s.x - vb.x, y: s.y - vb.y }
+  }
+
+  // Soft lock: shapes someone else has selected. Nothing is blocked, but if I select one
+  // too I'm told who else is on it, so two people don't drag the same thing.
+  const lockedBy = useMemo(() => {
+    const m = new Map()
+    for (const sel of Object.values(selections || {})) for (const id of sel.shapes || []) if (!m.has(id)) m.set(id, sel)
+    return m
+  }, [selections])
+  // Page bounds of remotely selected shapes; tracked so the outlines follow remote moves
+  const remoteBoxes = useValue('remote selections', () => {
+    if (!editor) return []
+    const out = []
+    for (const [socketId, sel] of Object.entries(selections || {})) {
+      for (const id of sel.shapes || []) {
+        const b = editor.getShapePageBounds(id)
+        if (b) out.push({ key: socketId + '-' + id, sel, x: b.minX, y: b.minY, w: b.width, h: b.height })
+      }
+    }
+    return out
+  }, [editor, selections])
+  const mySelection = useValue('selection', () => editor?.getSelectedShapeIds() ?? [], [editor])
+  const contested = useMemo(() => {
+    const names = new Set()
+    for (const id of mySelection) if (lockedBy.has(id)) names.add(lockedBy.get(id).name || 'Someone')
+    return [...names]
+  }, [mySelection, lockedBy])
 
   // Helper: is a user's cursor currently active? (works even if cursors are keyed by socketId)
   const isActive = (userId) => {
@@ -612,11 +825,10 @@ function BoardInner({ boardId, token, me }) {
       setAiAnswer(answer)
 
       if (socket) {
+        // posted as the asking user: the server takes the author from the session
         socket.emit('chat:message', {
           id: uuid(),
-          userId: 'ai',
-          name: 'AI Assistant',
-          text: answer,
+          text: '🤖 AI Assistant: ' + answer,
           ts: Date.now(),
         })
       }
@@ -627,6 +839,16 @@ function BoardInner({ boardId, token, me }) {
     }
   }
 
+  if (denied) {
+    return (
+      <RequestAccess
+        boardId={boardId}
+        onGranted={() => { setDenied(false); setJoinNonce((n) => n + 1) }}
+        onBack={() => { location.href = location.pathname }}
+      />
+    )
+  }
+
   // === UI ===
   return (
     <>
@@ -634,6 +856,7 @@ function BoardInner({ boardId, token, me }) {
         <Tldraw
           inferDarkMode
           className="h-full"
+          assets={assetStore}
           onMount={(ed) => {
             setEditor(ed)
             try {
@@ -645,6 +868,44 @@ function BoardInner({ boardId, token, me }) {
 
         {/* Presence Overlay */}
         <div ref={overlayRef} style={{ position: 'absolute', inset: 0, pointerEvents: 'none' }}>
+          {role && role !== 'viewer' && (!online || pendingCount > 0) && (
+            <div style={{
+              position: 'absolute', top: 8, left: '50%', transform: 'translateX(-50%)', zIndex: 2000,
+              background: online ? 'rgba(37,99,235,0.85)' : 'rgba(180,83,9,0.9)', color: '#fff',
+              padding: '4px 10px', borderRadius: 999, fontSize: 12
+            }}>
+              {online
+                ? `⟳ Syncing ${pendingCount} change${pendingCount === 1 ? '' : 's'}…`
+                : `⚠️ Offline${pendingCount ? ` · ${pendingCount} change${pendingCount === 1 ? '' : 's'} saved on this device` : ''}`}
+            </div>
+          )}
+          {readOnly && (
+            <div style={{
+              position: 'absolute', top: 8, left: '50%', transform: 'translateX(-50%)', zIndex: 2000,
+              background: 'rgba(0,0,0,0.65)', color: '#fff', padding: '4px 10px', borderRadius: 999, fontSize: 12
+            }}>
+              {'👁️ View only'}
+            </div>
+          )}
+          {contested.length > 0 && (
+            <div style={{
+              position: 'absolute', top: 40, left: '50%', transform: 'translateX(-50%)', zIndex: 2000,
+              background: 'rgba(180,83,9,0.9)', color: '#fff', padding: '4px 10px', borderRadius: 999, fontSize: 12
+            }}>
+              {'🔒 ' + contested.join(', ') + (contested.length === 1 ? ' is' : ' are') + ' also working on this'}
+            </div>
+          )}
+          {following && (
+            <div style={{
+              position: 'absolute', top: readOnly ? 40 : 8, left: '50%', transform: 'translateX(-50%)', zIndex: 2000,
+              background: followedUser?.color || '#7c3aed', color: '#fff', padding: '4px 10px', borderRadius: 999, fontSize: 12,
+              display: 'flex', gap: 8, alignItems: 'center', pointerEvents: 'auto'
+            }}>
+              {'👀 Following ' + (followedUser?.name || 'someone')}
+              <button onClick={stopFollowing} style={{ textDecoration: 'underline', fontWeight: 600 }}>Stop</button>
+            </div>
+          )}
+
           {/* Avatars with +N popover (with role labels) */}
           <div
             title="Participants"
@@ -659,12 +920,20 @@ function BoardInner({ boardId, token, me }) {
               alignItems: 'center',
             }}
           >
+            {me.email && <SearchBox boardId={boardId} onOpen={openSearchResult} />}
+            {me.email && <NotificationsInbox inbox={inbox} onOpen={openNotification} />}
             {avatarUsers.slice(0, 2).map(u => {
               const active = isActive(u.id)
+              const st = statusOf(u)
               const roleEmoji = u.role === 'owner' ? '👑' : u.role === 'editor' ? '✏️' : '👁️'
               const roleText  = u.role === 'owner' ? 'Owner' : u.role === 'editor' ? 'Editor' : 'Viewer'
               return (
-                <div key={u.id} title={`${u.name} · ${roleText}`} style={{ position: 'relative', textAlign:'center' }}>
+                <div
+                  key={u.id}
+                  title={`${u.name} · ${roleText} · ${u.disconnected ? 'Reconnecting…' : st.label}`}
+                  onClick={() => setShowPeople(v => !v)}
+                  style={{ position: 'relative', textAlign:'center', cursor: 'pointer' }}
+                >
                   <div style={{ position:'relative', display:'inline-block' }}>
                     <img
                       src={avatarUrlFor(u)}
@@ -675,9 +944,15 @@ function BoardInner({ boardId, token, me }) {
                         width: 48, height: 48, borderRadius: '50%',
                         display: 'block',
                         boxShadow: active ? ('0 0 0 3px ' + (u.color || '#10b981')) : '0 0 0 1px rgba(0,0,0,0.2)',
-                        background: '#fff'
+                        background: '#fff',
+                        opacity: st.opacity,
+                        filter: u.status === 'away' ? 'grayscale(1)' : 'none'
                       }}
                     />
+                    <div style={{
+                      position:'absolute', top:0, right:0, width:12, height:12, borderRadius:'50%',
+                      background: st.dot, border:'2px solid #fff'
+                    }} />
                     <div style={{
                       position:'absolute', bottom:-2, right:-2,
                       fontSize: 11, lineHeight:'14px',
@@ -729,9 +1004,21 @@ function BoardInner({ boardId, token, me }) {
               >
                 {avatarUsers.map(u => {
                   const active = isActive(u.id)
+                  const st = statusOf(u)
                   const badge = u.role === 'owner' ? '👑 Owner' : u.role === 'editor' ? '✏️ Editor' : '👁️ Viewer'
+                  const canFollow = u.socketId && u.id !== me.id
+                  const isFollowed = canFollow && u.socketId === following
                   return (
-                    <div key={u.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '6px 4px' }}>
+                    <div
+                      key={u.socketId || u.id}
+                      title={canFollow ? (isFollowed ? 'Stop following' : `Follow ${u.name}'s view`) : undefined}
+                      onClick={() => { if (!canFollow) return; isFollowed ? stopFollowing() : follow(u.socketId); setShowPeople(false) }}
+                      style={{
+                        display: 'flex', alignItems: 'center', gap: 10, padding: '6px 4px', borderRadius: 6,
+                        cursor: canFollow ? 'pointer' : 'default',
+                        background: isFollowed ? 'rgba(124,58,237,0.08)' : 'transparent',
+                      }}
+                    >
                       <img
                         src={avatarUrlFor(u)}
                         alt={u.name}
@@ -740,24 +1027,59 @@ function BoardInner({ boardId, token, me }) {
                         style={{
                           width: 32, height: 32, borderRadius: '50%',
                           boxShadow: active ? ('0 0 0 2px ' + (u.color || '#10b981')) : '0 0 0 1px rgba(0,0,0,0.2)',
-                          background: '#fff'
+                          background: '#fff',
+                          opacity: st.opacity
                         }}
                       />
                       <div style={{ flex: 1 }}>
                         <div style={{ fontSize: 13, fontWeight: 600 }}>{u.name}</div>
-                        <div style={{ fontSize: 11, opacity: 0.7 }}>{badge}{u.id === me.id ? ' · You' : ''}</div>
+                        <div style={{ fontSize: 11, opacity: 0.7 }}>
+                          {badge}{u.id === me.id ? ' · You' : ''}
+                          {' · '}<span style={{ color: st.dot }}>●</span> {u.disconnected ? 'Reconnecting…' : st.label}
+                        </div>
                       </div>
+                      {canFollow && <div style={{ fontSize: 11, opacity: 0.8 }}>{isFollowed ? '👀 Following' : 'Follow'}</div>}
                     </div>
                   )
                 })}
+                {recentUsers.length > 0 && (
+                  <div style={{ borderTop: '1px solid rgba(0,0,0,0.1)', marginTop: 6, paddingTop: 6 }}>
+                    <div style={{ fontSize: 11, opacity: 0.6, padding: '0 4px 4px' }}>Recently here</div>
+                    {recentUsers.slice(0, 10).map(u => (
+                      <div key={u.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '4px', opacity: 0.7 }}>
+                        <img
+                          src={avatarUrlFor(u)}
+                          alt={u.name}
+                          width={24}
+                          height={24}
+                          style={{ width: 24, height: 24, borderRadius: '50%', filter: 'grayscale(1)', background: '#fff' }}
+                        />
+                        <div style={{ flex: 1, fontSize: 12 }}>{u.name}</div>
+                        <div style={{ fontSize: 11 }}>{'last seen ' + lastSeenText(u.lastSeenAt)}</div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {canCollaborate && avatarUsers.length > 1 && (
+                  <button
+                    className="btn-outline"
+                    style={{ width: '100%', marginTop: 6, fontSize: 12 }}
+                    onClick={() => { summon(); setShowPeople(false) }}
+                    title="Everyone else starts following your view"
+                  >
+                    {'📣 Bring everyone to me'}
+                  </button>
+                )}
               </div>
             )}
           </div>
 
           {/* Live cursors */}
-          {Object.values(liveCursors || {}).map((c) => (
+          {Object.values(liveCursors || {}).map((c) => {
+            const at = toOverlay(c)
+            return (
             <div key={c.id} style={{
-              position:'absolute', left:(c.x != null ? c.x : -9999), top:(c.y != null ? c.y : -9999),
+              position:'absolute', left:at.x, top:at.y,
               transform:'translate(-50%,-50%)', pointerEvents:'none', zIndex:1500
             }}>
               <div style={{
@@ -769,27 +1091,25 @@ function BoardInner({ boardId, token, me }) {
                 color:c.color, fontSize:'0.7rem', background:'rgba(255,255,255,0.95)', padding:'0 3px', borderRadius:3
               }}>{c.name}</div>
             </div>
-          ))}
+            )
+          })}
 
           {/* Selection rectangles */}
-          {editor && Object.values(selections || {}).map(sel =>
-            (sel.shapes || []).map(id => {
-              const b = editor.getShapeBounds?.(id)
-              if (!b) return null
-              const key = (sel.userId || sel.id || 'u') + '-' + id
-              return (
-                <div key={key} style={{
-                  position:'absolute', left:b.minX, top:b.minY, width:b.width, height:b.height,
-                  border: '2px solid ' + (sel.color || '#3b82f6'), borderRadius:4, pointerEvents:'none', zIndex:1200
-                }}>
-                  <span style={{
-                    position:'absolute', top:-16, left:0, background:(sel.color || '#3b82f6'), color:'#fff',
-                    padding:'1px 4px', borderRadius:3, fontSize:'0.6rem'
-                  }}>{sel.name}</span>
-                </div>
-              )
-            })
-          )}
+          {editor && remoteBoxes.map(({ key, sel, x, y, w, h }) => {
+            const at = toOverlay({ x, y })
+            const z = editor.getZoomLevel()
+            return (
+              <div key={key} style={{
+                position:'absolute', left:at.x, top:at.y, width:w * z, height:h * z,
+                border: '2px dashed ' + (sel.color || '#3b82f6'), borderRadius:4, pointerEvents:'none', zIndex:1200
+              }}>
+                <span style={{
+                  position:'absolute', top:-16, left:0, background:(sel.color || '#3b82f6'), color:'#fff',
+                  padding:'1px 4px', borderRadius:3, fontSize:'0.6rem', whiteSpace:'nowrap'
+                }}>{'🔒 ' + sel.name}</span>
+              </div>
+            )
+          })}
         </div>
 
         {/* Ask AI floating button */}
@@ -806,6 +1126,38 @@ function BoardInner({ boardId, token, me }) {
         >
           {'🤖 Ask AI'}
         </button>
+
+        {me.email && role && (
+          <button
+            onClick={() => { setHistoryOpen((v) => !v); setAccessOpen(false) }}
+            style={{
+              position:'absolute', bottom:20, left:140, zIndex:2100,
+              padding:'10px 14px', borderRadius:999,
+              border:'1px solid rgba(0,0,0,0.1)',
+              background:'rgba(255,255,255,0.96)', cursor:'pointer',
+              boxShadow:'0 8px 18px rgba(0,0,0,0.12)', fontWeight:700
+            }}
+            title="Browse and restore earlier versions"
+          >
+            {'🕘 History'}
+          </button>
+        )}
+
+        {role === 'owner' && (
+          <button
+            onClick={() => { setAccessOpen((v) => !v); setHistoryOpen(false) }}
+            style={{
+              position:'absolute', bottom:20, left:260, zIndex:2100,
+              padding:'10px 14px', borderRadius:999,
+              border:'1px solid rgba(0,0,0,0.1)',
+              background:'rgba(255,255,255,0.96)', cursor:'pointer',
+              boxShadow:'0 8px 18px rgba(0,0,0,0.12)', fontWeight:700
+            }}
+            title="Who can open this board"
+          >
+            {'🔐 Access'}
+          </button>
+        )}
       </div>
 
       <FabCluster
@@ -827,6 +1179,11 @@ function BoardInner({ boardId, token, me }) {
           open={chatOpen}
           onClose={() => setChatOpen(false)}
           history={chatHistory}
+          canPost={canCollaborate}
+          editor={editor}
+          canEdit={!!role && !readOnly}
+          focus={focus?.kind === 'chat' ? focus : null}
+          onFocusDone={() => setFocus(null)}
         />
       </div>
 
@@ -846,6 +1203,24 @@ function BoardInner({ boardId, token, me }) {
         />
       )}
 
+      {me.email && role && (
+        <HistoryPanel
+          boardId={boardId}
+          open={historyOpen}
+          onClose={() => setHistoryOpen(false)}
+          canRestore={canCollaborate}
+          onReplay={(seq) => setReplayFrom(seq)}
+        />
+      )}
+
+      {replayFrom !== undefined && (
+        <ReplayPlayer boardId={boardId} fromSeq={replayFrom} onClose={() => setReplayFrom(undefined)} />
+      )}
+
+      {role === 'owner' && (
+        <AccessPanel socket={socket} boardId={boardId} open={accessOpen} onClose={() => setAccessOpen(false)} />
+      )}
+
       {/* AI Dialog */}
       <AIDialog
         open={aiOpen}
@@ -868,6 +1243,8 @@ function AppInner() {
   const [route, setRoute] = useState({ id: initialId, token: initialToken })
 
   const [me, setMe] = useState({ id: '', email: '', name: '', color: '#7c3aed' })
+  const [authChecked, setAuthChecked] = useState(false)
+  const guest = useMemo(() => ({ id: 'guest:' + uuid().slice(0, 8), email: '', name: 'Guest', color: '#64748b' }), [])
   const [auth, setAuth] = useState({ identifier: '', password: '', mode: 'signin', name: '' })
   const [err, setErr] = useState('')
 
@@ -876,6 +1253,7 @@ function AppInner() {
       .then((r) => (r.ok ? r.json() : Promise.reject()))
       .then((u) => setMe({ id: u.id, email: u.email, name: u.name, color: u.color }))
       .catch(() => {})
+      .finally(() => setAuthChecked(true))
   }, [])
 
   async function submit(e) {
@@ -900,6 +1278,19 @@ function AppInner() {
     }
   }
 
+  // Unsent offline edits belong to this account only; the next person on this browser starts clean
+  async function signOut() {
+    await clearOps(me.id).catch((e) => console.warn('[opQueue] clear failed', e))
+    await apiFetch('/api/auth/signout', { method: 'POST' }).catch(() => {})
+    setMe({ id: '', email: '', name: '', color: '#7c3aed' })
+  }
+
+  // Public viewer link: signed-out visitors watch read-only as a guest
+  if (!me.id && route.id && route.token) {
+    if (!authChecked) return null
+    return <BoardInner boardId={route.id} token={route.token} me={guest} />
+  }
+
   if (!me.id) {
     return (
       <div className="min-h-screen grid place-items-center p-6">
@@ -967,12 +1358,9 @@ function AppInner() {
     return (
       <Lobby
         me={me}
-        onEnter={({ id, token }) => {
-          const sp = new URLSearchParams()
-          sp.set('id', id)
-          if (token) sp.set('token', token)
-          const next = location.pathname + '?' + sp.toString()
-          window.history.pushState({}, '', next)
+        onSignOut={signOut}
+        onEnter={({ id, token, focus }) => {
+          window.history.pushState({}, '', boardHref({ id, token, focus }))
           setRoute({ id, token: token || '' })
         }}
       />
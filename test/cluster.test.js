@@ -0,0 +1,89 @@
+// test/cluster.test.js  (two instances with REALTIME_ADAPTER=mongo on one database converge)
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  mongoSkip, testDbUrl, dropDb, startServer, signup, connectSocket, emitAck, nextEvent,
+  pageRecord, textShape, changeOp, snapshotRecords,
+} from './helpers.js'
+
+// the mongo adapter and the op log both need a replica set
+const skip = await mongoSkip({ replicaSet: true })
+
+describe('REALTIME_ADAPTER=mongo, two instances', { skip }, () => {
+  const mongoUrl = testDbUrl('wbtest_cluster')
+  const env = { REALTIME_ADAPTER: 'mongo' }
+  let a, b, alice, bob, sa, sb, boardId
+
+  before(async () => {
+    a = await startServer({ mongoUrl, env })
+    b = await startServer({ mongoUrl, env })
+    alice = await signup(a.url, { email: 'alice@example.com', name: 'Alice' })
+    bob = await signup(b.url, { email: 'bob@example.com', name: 'Bob' })
+    boardId = (await alice.post('/api/boards', { title: 'Shared' })).body._id
+    assert.equal((await alice.post(`/api/boards/${boardId}/members`, { email: 'bob@example.com', role: 'editor' })).status, 200)
+
+    sa = await connectSocket(a.url, alice)
+    sb = await connectSocket(b.url, bob)
+    assert.equal((await emitAck(sa, 'room:join', { boardId })).role, 'owner')
+    assert.equal((await emitAck(sb, 'room:join', { boardId })).role, 'editor')
+  })
+  after(async () => {
+    sa?.close()
+    sb?.close()
+    await Promise.all([a?.stop(), b?.stop()])
+    await dropDb(mongoUrl)
+  })
+
+  it('shares the presence roster', async () => {
+    const aliceRoster = nextEvent(sa, 'presence:roster')
+    sa.emit('presence:join', { id: alice.user.id, name: 'Alice' })
+    assert.deepEqual((await aliceRoster).map(p => p.name), ['Alice'])
+
+    const bobJoined = nextEvent(sa, 'presence:join', p => p.id === bob.user.id)
+    const bobRoster = nextEvent(sb, 'presence:roster')
+    // the id comes from Bob's session, not from what he claims
+    sb.emit('presence:join', { id: alice.user.id, name: 'Bob' })
+    assert.deepEqual((await bobRoster).map(p => p.name).sort(), ['Alice', 'Bob'])
+    assert.equal((await bobJoined).socketId, sb.id)
+  })
+
+  it('relays ops with their seqs and both live documents agree', async () => {
+    const shape = textShape('shape:x', 'from alice')
+    const atBob = nextEvent(sb, 'board:ops')
+    const ackA = await emitAck(sa, 'board:ops', { ops: [changeOp({ added: [pageRecord(), shape] })] })
+    assert.deepEqual(ackA.seqs, [1])
+    const gotB = await atBob
+    assert.deepEqual(gotB.ops.map(o => o.seq), [1])
+
+    const atAlice = nextEvent(sa, 'board:ops')
+    const ackB = await emitAck(sb, 'board:ops', { ops: [changeOp({ updated: [[shape, textShape('shape:x', 'from bob')]] })] })
+    assert.deepEqual(ackB.seqs, [2])
+    assert.deepEqual((await atAlice).ops.map(o => o.seq), [2])
+
+    // each instance answers from its own live document
+    const docA = (await alice.get(`/api/boards/${boardId}`)).body.document.tldraw
+    const docB = (await bob.get(`/api/boards/${boardId}`)).body.document.tldraw
+    const shapeOf = (snap) => snapshotRecords(snap).find(r => r.id === 'shape:x')
+    assert.equal(shapeOf(docA).props.text, 'from bob')
+    assert.deepEqual(shapeOf(docB), shapeOf(docA))
+  })
+
+  it('delivers chat to both instances', async () => {
+    const atBob = nextEvent(sb, 'chat:message', m => m.text === 'hi bob')
+    const atAlice = nextEvent(sa, 'chat:message', m => m.text === 'hi bob')
+    // the server builds link previews itself; one sent along by a client is dropped
+    const spoofed = { url: 'https://example.com/', title: 'Spoofed' }
+    assert.equal((await emitAck(sa, 'chat:message', { text: 'hi bob', linkPreview: spoofed })).ok, true)
+    const [onB, onA] = await Promise.all([atBob, atAlice])
+    assert.equal(onB.id, onA.id)
+    assert.equal(onB.name, 'Alice')
+    assert.equal(onB.linkPreview, null)
+
+    const reply = nextEvent(sa, 'chat:message', m => m.text === 'hi alice')
+    assert.equal((await emitAck(sb, 'chat:message', { text: 'hi alice' })).ok, true)
+    assert.equal((await reply).name, 'Bob')
+
+    const history = (await bob.get(`/api/boards/${boardId}/chat`)).body.items
+    assert.deepEqual(history.map(m => m.text), ['hi bob', 'hi alice'])
+  })
+})
@@ -0,0 +1,48 @@
+// test/document.test.js  (a stored snapshot that does not load is never overwritten)
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import mongoose from 'mongoose'
+import { createTLSchema } from '@tldraw/tlschema'
+import { mongoSkip, testDbUrl, dropDb, startServer, signup, connectSocket, emitAck, pageRecord, textShape } from './helpers.js'
+
+const skip = await mongoSkip()
+
+describe('live document', { skip }, () => {
+  const mongoUrl = testDbUrl('wbtest_document')
+  let server, owner, db
+
+  before(async () => {
+    server = await startServer({ mongoUrl })
+    owner = await signup(server.url, { email: 'doc-owner@example.com' })
+    db = await mongoose.createConnection(mongoUrl).asPromise()
+  })
+  after(async () => {
+    await db?.close()
+    await server?.stop()
+    await dropDb(mongoUrl)
+  })
+
+  it('refuses to open a board whose stored snapshot does not load, and keeps it', async () => {
+    const boardId = (await owner.post('/api/boards', { title: 'Broken' })).body._id
+    const broken = {
+      store: { 'page:p1': pageRecord(), 'shape:a': { ...textShape('shape:a', 'kept'), props: { text: 'kept' } } },
+      schema: createTLSchema().serialize(),
+    }
+    const _id = new mongoose.Types.ObjectId(boardId)
+    await db.collection('boards').updateOne({ _id }, { $set: { document: { tldraw: broken, seq: 0, updatedAt: Date.now() } } })
+
+    const socket = await connectSocket(server.url, owner)
+    try {
+      const join = await emitAck(socket, 'room:join', { boardId })
+      assert.equal(join.ok, false)
+      assert.equal(join.error, 'Board document could not be loaded')
+      const ops = await emitAck(socket, 'board:ops', { ops: [] })
+      assert.equal(ops.ok, false)
+    } finally {
+      socket.close()
+    }
+
+    const stored = await db.collection('boards').findOne({ _id })
+    assert.deepEqual(stored.document.tldraw, broken)
+  })
+})
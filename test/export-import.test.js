@@ -0,0 +1,141 @@
+// test/export-import.test.js  (export -> import round trip, checksum, ops after the snapshot, automatic versions)
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import {
+  mongoSkip, testDbUrl, dropDb, startServer, signup, connectSocket, emitAck, waitFor,
+  pageRecord, textShape, changeOp, snapshotRecords,
+} from './helpers.js'
+
+// board:ops writes the op log in a transaction
+const skip = await mongoSkip({ replicaSet: true })
+
+const hashObj = (obj) => crypto.createHash('sha256').update(JSON.stringify(obj || {})).digest('hex')
+const textOf = (snap, id) => snapshotRecords(snap).find(r => r.id === id)?.props?.text
+
+describe('export / import', { skip }, () => {
+  const mongoUrl = testDbUrl('wbtest_export')
+  let server, owner, socket, boardId, savedVersion
+
+  before(async () => {
+    server = await startServer({ mongoUrl })
+    owner = await signup(server.url, { email: 'exporter@example.com', name: 'Ex' })
+    boardId = (await owner.post('/api/boards', { title: 'Round trip' })).body._id
+    socket = await connectSocket(server.url, owner)
+    assert.equal((await emitAck(socket, 'room:join', { boardId })).ok, true)
+
+    const first = textShape('shape:a', 'first')
+    let r = await emitAck(socket, 'board:ops', { ops: [changeOp({ added: [pageRecord(), first] })] })
+    assert.equal(r.ok, true)
+
+    // a saved version, then edits the version does not have
+    savedVersion = (await owner.post(`/api/boards/${boardId}/snapshots`)).body.version
+    r = await emitAck(socket, 'board:ops', {
+      ops: [
+        changeOp({ updated: [[first, textShape('shape:a', 'latest')]] }),
+        changeOp({ added: [textShape('shape:b', 'second', { x: 200 })] }),
+      ],
+    })
+    assert.deepEqual(r.seqs, [2, 3])
+  })
+  after(async () => {
+    socket?.close()
+    await server?.stop()
+    await dropDb(mongoUrl)
+  })
+
+  const exportBoard = async () => {
+    const r = await owner.get(`/api/boards/${boardId}/export`)
+    assert.equal(r.status, 200)
+    return r.body
+  }
+
+  it('exports the current document with a checksum over it', async () => {
+    const payload = await exportBoard()
+    assert.equal(payload.meta.seq, 3)
+    assert.equal(payload.meta.baseVersion, savedVersion)
+    assert.equal(payload.meta.checksum, hashObj(payload.snapshot))
+    assert.equal(textOf(payload.snapshot, 'shape:a'), 'latest')
+    assert.equal(textOf(payload.snapshot, 'shape:b'), 'second')
+    assert.deepEqual(payload.ops.map(o => o.seq), [1, 2, 3])
+  })
+
+  it('imports an export as a new board with the same document', async () => {
+    const payload = await exportBoard()
+    const r = await owner.post('/api/boards/import', payload)
+    assert.equal(r.status, 201)
+    assert.equal(r.body.ops, 3)
+
+    const copy = await owner.get(`/api/boards/${r.body.board._id}`)
+    assert.equal(copy.status, 200)
+    assert.equal(copy.body.role, 'owner')
+    assert.equal(textOf(copy.body.document.tldraw, 'shape:a'), 'latest')
+    assert.equal(textOf(copy.body.document.tldraw, 'shape:b'), 'second')
+
+    const again = await owner.get(`/api/boards/${r.body.board._id}/export`)
+    assert.equal(again.body.meta.checksum, payload.meta.checksum)
+  })
+
+  it('rejects a snapshot that does not match its checksum', async () => {
+    const payload = await exportBoard()
+    const rec = snapshotRecords(payload.snapshot).find(x => x.id === 'shape:a')
+    rec.props.text = 'tampered'
+    const r = await owner.post('/api/boards/import', payload)
+    assert.equal(r.status, 422)
+    assert.match(r.body.error, /Checksum mismatch/)
+  })
+
+  it('requires the checksum', async () => {
+    const payload = await exportBoard()
+    delete payload.meta.checksum
+    const r = await owner.post('/api/boards/import', payload)
+    assert.equal(r.status, 422)
+    assert.equal(r.body.error, 'Missing meta.checksum')
+  })
+
+  it('rejects a snapshot that does not pass the document schema', async () => {
+    const payload = await exportBoard()
+    snapshotRecords(payload.snapshot).find(x => x.id === 'shape:b').props = { text: 'no style props' }
+    payload.meta.checksum = hashObj(payload.snapshot)
+    const r = await owner.post('/api/boards/import', payload)
+    assert.equal(r.status, 422)
+    assert.match(r.body.error, /^Snapshot could not be loaded/)
+  })
+
+  it('replays the ops logged after the snapshot', async () => {
+    const payload = await exportBoard()
+    const versions = (await owner.get(`/api/boards/${boardId}/versions`)).body.items
+    const saved = versions.find(v => v.version === savedVersion)
+    const older = (await owner.get(`/api/boards/${boardId}/versions/${savedVersion}`)).body.tldraw
+    assert.equal(textOf(older, 'shape:a'), 'first')
+
+    // an export whose snapshot is the saved version: ops 2 and 3 come after it
+    payload.snapshot = older
+    payload.meta.seq = saved.seq
+    payload.meta.checksum = hashObj(older)
+    const r = await owner.post('/api/boards/import', payload)
+    assert.equal(r.status, 201)
+
+    const copy = await owner.get(`/api/boards/${r.body.board._id}`)
+    assert.equal(textOf(copy.body.document.tldraw, 'shape:a'), 'latest')
+    assert.equal(textOf(copy.body.document.tldraw, 'shape:b'), 'second')
+  })
+
+  it('saves a version when a batch crosses every 200th op', async () => {
+    const other = (await owner.post('/api/boards', { title: 'Busy' })).body._id
+    assert.equal((await emitAck(socket, 'room:join', { boardId: other })).ok, true)
+    const shapes = (from, n) => Array.from({ length: n }, (_, i) => textShape(`shape:n${from + i}`, `#${from + i}`))
+    let r = await emitAck(socket, 'board:ops', { ops: [changeOp({ added: [pageRecord()] }), ...shapes(0, 149).map(sh => changeOp({ added: [sh] }))] })
+    assert.deepEqual([r.seqs[0], r.seqs.at(-1)], [1, 150])
+    r = await emitAck(socket, 'board:ops', { ops: shapes(149, 100).map(sh => changeOp({ added: [sh] })) })
+    assert.deepEqual([r.seqs[0], r.seqs.at(-1)], [151, 250])
+
+    // 200 is in the middle of the second batch
+    const versions = await waitFor(async () => {
+      const items = (await owner.get(`/api/boards/${other}/versions`)).body.items
+      return items.length && items
+    }, { what: 'the automatic version' })
+    assert.equal(versions.length, 1)
+    assert.equal(versions[0].seq, 250)
+  })
+})
@@ -0,0 +1,204 @@
+// test/helpers.js  (spawn server.js against a throwaway database + HTTP/socket clients)
+import { spawn } from 'child_process'
+import { fileURLToPath } from 'url'
+import path from 'path'
+import fs from 'fs'
+import os from 'os'
+import net from 'net'
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+import { io as ioClient } from 'socket.io-client'
+
+const SERVER_JS = fileURLToPath(new URL('../server.js', import.meta.url))
+export const TEST_MONGO_URL = process.env.TEST_MONGO_URL || 'mongodb://127.0.0.1:27017'
+
+// { ok, replicaSet } for TEST_MONGO_URL; tests that need Mongo skip when it is not reachable
+export async function mongoInfo() {
+  const conn = mongoose.createConnection(TEST_MONGO_URL, { serverSelectionTimeoutMS: 1500 })
+  try {
+    await conn.asPromise()
+    const hello = await conn.db.admin().command({ hello: 1 })
+    return { ok: true, replicaSet: !!hello.setName }
+  } catch {
+    return { ok: false, replicaSet: false }
+  } finally {
+    await conn.close().catch(() => {})
+  }
+}
+
+// Reason to skip a suite, or false when it can run (TEST_REQUIRE_MONGO=1 turns a skip into a failure)
+export async function mongoSkip({ replicaSet = false } = {}) {
+  const info = await mongoInfo()
+  let reason = false
+  if (!info.ok) reason = `MongoDB not reachable at ${TEST_MONGO_URL} (set TEST_MONGO_URL)`
+  else if (replicaSet && !info.replicaSet) reason = `MongoDB at ${TEST_MONGO_URL} is not a replica set`
+  if (reason && process.env.TEST_REQUIRE_MONGO) throw new Error(reason)
+  return reason
+}
+
+// A fresh database URL on TEST_MONGO_URL (keeps its query string, e.g. ?replicaSet=rs0)
+export function testDbUrl(prefix = 'wbtest') {
+  const u = new URL(TEST_MONGO_URL)
+  u.pathname = `/${prefix}_${crypto.randomBytes(4).toString('hex')}`
+  return u.toString()
+}
+
+export async function dropDb(url) {
+  const conn = mongoose.createConnection(url, { serverSelectionTimeoutMS: 1500 })
+  try { await conn.asPromise(); await conn.dropDatabase() } catch {} finally { await conn.close().catch(() => {}) }
+}
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer()
+    srv.unref()
+    srv.on('error', reject)
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address()
+      srv.close(() => resolve(port))
+    })
+  })
+}
+
+/**
+ * Start server.js in its own temp cwd (uploads/, outbox/ and .env lookups stay out of the repo).
+ * Resolves once it logs "[server] listening"; `stop()` sends SIGTERM and waits for the exit.
+ */
+export async function startServer({ mongoUrl, env = {}, timeoutMs = 20000 } = {}) {
+  const port = await freePort()
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'wbtest-'))
+  const mailFile = path.join(cwd, 'outbox', 'mail.jsonl')
+  const child = spawn(process.execPath, [SERVER_JS], {
+    cwd,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      MONGO_URL: mongoUrl,
+      JWT_SECRET: 'test_secret',
+      MAIL_TRANSPORT: 'file',
+      MAIL_FILE: mailFile,
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+  let log = ''
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { child.kill('SIGKILL'); reject(new Error(`server did not start:\n${log}`)) }, timeoutMs)
+    const onData = (chunk) => {
+      log += chunk
+      if (log.includes('[server] listening')) { clearTimeout(timer); resolve() }
+    }
+    child.stdout.on('data', onData)
+    child.stderr.on('data', onData)
+    child.once('exit', (code) => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${log}`)) })
+  })
+  child.removeAllListeners('exit')
+
+  const stop = () => new Promise((resolve) => {
+    if (child.exitCode !== null) return resolve()
+    const timer = setTimeout(() => child.kill('SIGKILL'), 5000)
+    child.once('exit', () => { clearTimeout(timer); fs.rmSync(cwd, { recursive: true, force: true }); resolve() })
+    child.kill('SIGTERM')
+  })
+  const mails = () => {
+    try { return fs.readFileSync(mailFile, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l)) } catch { return [] }
+  }
+  return { url: `http://127.0.0.1:${port}`, port, cwd, mailFile, mails, stop, log: () => log }
+}
+
+// fetch with the access_token cookie kept between calls; resolves { status, body }
+export function httpClient(baseUrl) {
+  let cookie = ''
+  async function request(method, url, body) {
+    const headers = {}
+    if (cookie) headers.Cookie = cookie
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+    const r = await fetch(baseUrl + url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) })
+    const set = r.headers.getSetCookie().map(c => c.split(';')[0]).find(c => c.startsWith('access_token='))
+    if (set !== undefined) cookie = set === 'access_token=' ? '' : set
+    const text = await r.text()
+    let json = null
+    try { json = text ? JSON.parse(text) : null } catch { json = text }
+    return { status: r.status, body: json }
+  }
+  return {
+    get: (url) => request('GET', url),
+    post: (url, body = {}) => request('POST', url, body),
+    patch: (url, body = {}) => request('PATCH', url, body),
+    delete: (url) => request('DELETE', url),
+    get cookie() { return cookie },
+  }
+}
+
+export async function signup(baseUrl, { email, password = 'password', name } = {}) {
+  const client = httpClient(baseUrl)
+  const r = await client.post('/api/auth/signup', { email, password, name })
+  if (r.status !== 201) throw new Error(`signup ${email} failed: ${r.status} ${JSON.stringify(r.body)}`)
+  client.user = r.body.user
+  client.redeemed = r.body.boards
+  return client
+}
+
+// Socket.IO client authenticated with the client's cookie; resolves once connected
+export function connectSocket(baseUrl, client) {
+  const socket = ioClient(baseUrl, {
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false,
+    extraHeaders: client?.cookie ? { Cookie: client.cookie } : {},
+  })
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket))
+    socket.once('connect_error', (e) => { socket.close(); reject(e) })
+  })
+}
+
+export const emitAck = (socket, event, payload, timeoutMs = 5000) =>
+  socket.timeout(timeoutMs).emitWithAck(event, payload)
+
+// Poll `check` until it returns a truthy value (or throw after timeoutMs)
+export async function waitFor(check, { timeoutMs = 5000, intervalMs = 50, what = 'condition' } = {}) {
+  const until = Date.now() + timeoutMs
+  for (;;) {
+    const v = await check()
+    if (v) return v
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`)
+    await new Promise(r => setTimeout(r, intervalMs))
+  }
+}
+
+/* ---- tldraw records for board:ops ---- */
+export const pageRecord = (id = 'page:p1') => ({ id, typeName: 'page', name: 'Page 1', index: 'a1', meta: {} })
+
+export const textShape = (id, text, { parentId = 'page:p1', x = 0, y = 0 } = {}) => ({
+  id, typeName: 'shape', type: 'text', parentId, index: 'a1', x, y, rotation: 0, isLocked: false, opacity: 1, meta: {},
+  props: { text, color: 'black', size: 'm', w: 100, font: 'draw', textAlign: 'middle', autoSize: true, scale: 1 },
+})
+
+// One board:ops change set: { added: [...records], updated: [[from, to]...], removed: [...ids] }
+export const changeOp = ({ added = [], updated = [], removed = [] } = {}) => ({
+  id: crypto.randomUUID(),
+  changes: {
+    added: Object.fromEntries(added.map(r => [r.id, r])),
+    updated: Object.fromEntries(updated.map(([from, to]) => [to.id, [from, to]])),
+    removed: Object.fromEntries(removed.map(id => [id, { id }])),
+  },
+})
+
+// Records of a stored snapshot ({ store, schema } or { document: { store } })
+export const snapshotRecords = (snap) => Object.values((snap?.document?.store ? snap.document : snap)?.store || {})
+
+// Resolve with the next `event` payload that passes `match` (the listener is set up right away)
+export function nextEvent(socket, event, match = () => true, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { socket.off(event, on); reject(new Error(`timed out waiting for ${event}`)) }, timeoutMs)
+    function on(payload) {
+      if (!match(payload)) return
+      clearTimeout(timer)
+      socket.off(event, on)
+      resolve(payload)
+    }
+    socket.on(event, on)
+  })
+}
@@ -0,0 +1,106 @@
+// test/invites.test.js  (pending invites: mail, redeem on signup, wrong email, reuse, expiry; access requests)
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import mongoose from 'mongoose'
+import { mongoSkip, testDbUrl, dropDb, startServer, signup } from './helpers.js'
+
+const skip = await mongoSkip()
+
+describe('invites', { skip }, () => {
+  const mongoUrl = testDbUrl('wbtest_invites')
+  let server, owner, db
+
+  before(async () => {
+    server = await startServer({ mongoUrl })
+    owner = await signup(server.url, { email: 'owner@example.com', name: 'Olive' })
+    db = await mongoose.createConnection(mongoUrl).asPromise()
+  })
+  after(async () => {
+    await db?.close()
+    await server?.stop()
+    await dropDb(mongoUrl)
+  })
+
+  async function newBoard(title) {
+    const r = await owner.post('/api/boards', { title })
+    assert.equal(r.status, 200)
+    return r.body._id
+  }
+
+  it('mails the invite through the file transport', async () => {
+    const boardId = await newBoard('Mail board')
+    const r = await owner.post(`/api/boards/${boardId}/members`, { email: 'Mail.Me@Example.com', role: 'viewer' })
+    assert.equal(r.status, 202)
+    assert.equal(r.body.pending, true)
+    assert.equal(r.body.invite.email, 'mail.me@example.com')
+
+    const mail = server.mails().find(m => m.to === 'mail.me@example.com')
+    assert.ok(mail, 'invite mail written to MAIL_FILE')
+    assert.match(mail.subject, /Olive invited you to "Mail board"/)
+    assert.ok(mail.text.includes(`/?id=${boardId}`))
+    assert.match(mail.text, /as viewer/)
+    assert.ok(!Number.isNaN(Date.parse(mail.at)))
+  })
+
+  it('does not redeem for a different email', async () => {
+    const boardId = await newBoard('Wrong email')
+    await owner.post(`/api/boards/${boardId}/members`, { email: 'invited@example.com', role: 'editor' })
+
+    const other = await signup(server.url, { email: 'someone-else@example.com' })
+    assert.deepEqual(other.redeemed, [])
+    assert.equal((await other.get(`/api/boards/${boardId}`)).status, 403)
+
+    const invites = await owner.get(`/api/boards/${boardId}/members/invites`)
+    assert.deepEqual(invites.body.map(i => i.email), ['invited@example.com'])
+  })
+
+  it('redeems on signup with the invited email, once', async () => {
+    const boardId = await newBoard('Redeem')
+    await owner.post(`/api/boards/${boardId}/members`, { email: 'joiner@example.com', role: 'editor' })
+
+    const joiner = await signup(server.url, { email: 'JOINER@example.com' })
+    assert.deepEqual(joiner.redeemed, [{ id: boardId, title: 'Redeem', role: 'editor' }])
+    const board = await joiner.get(`/api/boards/${boardId}`)
+    assert.equal(board.status, 200)
+
+    // the invite is used up: nothing pending, and the address cannot sign up again
+    assert.deepEqual((await owner.get(`/api/boards/${boardId}/members/invites`)).body, [])
+    const stored = await db.collection('boards').findOne({ _id: new mongoose.Types.ObjectId(boardId) })
+    assert.equal(stored.invites.length, 0)
+    assert.equal(stored.members.filter(m => String(m.userId) === String(joiner.user.id)).length, 1)
+    const again = await owner.post('/api/auth/signup', { email: 'joiner@example.com', password: 'password' })
+    assert.equal(again.status, 409)
+  })
+
+  it('drops an expired invite without joining', async () => {
+    const boardId = await newBoard('Expired')
+    await owner.post(`/api/boards/${boardId}/members`, { email: 'late@example.com', role: 'editor' })
+    await db.collection('boards').updateOne(
+      { _id: new mongoose.Types.ObjectId(boardId) },
+      { $set: { 'invites.$[i].expiresAt': new Date(Date.now() - 60 * 1000) } },
+      { arrayFilters: [{ 'i.email': 'late@example.com' }] },
+    )
+    assert.deepEqual((await owner.get(`/api/boards/${boardId}/members/invites`)).body, [])
+
+    const late = await signup(server.url, { email: 'late@example.com' })
+    assert.deepEqual(late.redeemed, [])
+    assert.equal((await late.get(`/api/boards/${boardId}`)).status, 403)
+    const stored = await db.collection('boards').findOne({ _id: new mongoose.Types.ObjectId(boardId) })
+    assert.equal(stored.invites.length, 0)
+  })
+
+  it('tells a non-member nothing but that they may ask, and takes no requests for trashed boards', async () => {
+    const boardId = await newBoard('Secret plans')
+    const stranger = await signup(server.url, { email: 'stranger@example.com' })
+    const denied = await stranger.get(`/api/boards/${boardId}`)
+    assert.equal(denied.status, 403)
+    assert.deepEqual(denied.body, { error: 'Forbidden', canRequestAccess: true, pendingRequest: false })
+
+    assert.equal((await stranger.post(`/api/boards/${boardId}/access-requests`, {})).status, 201)
+    assert.equal((await stranger.get(`/api/boards/${boardId}`)).body.pendingRequest, true)
+
+    assert.equal((await stranger.post('/api/boards/not-an-id/access-requests', {})).status, 404)
+    assert.equal((await owner.delete(`/api/boards/${boardId}`)).status, 200)
+    assert.equal((await stranger.post(`/api/boards/${boardId}/access-requests`, {})).status, 404)
+  })
+})
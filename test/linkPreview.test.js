@@ -0,0 +1,187 @@
+// test/linkPreview.test.js  (lib/linkPreview.js against a local fixture server)
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import zlib from 'zlib'
+import {
+  createLinkPreviewer, isPublicAddress, normalizePreviewUrl, firstLink, cleanPreview, parseHtmlMeta,
+} from '../lib/linkPreview.js'
+
+const page = (head, body = '') => `<!doctype html><html><head>${head}</head><body>${body}</body></html>`
+
+const routes = {
+  '/og': (req, res) => html(res, page(`
+    <title>Fallback title</title>
+    <meta property="og:title" content="OG &amp; title">
+    <meta property="og:description" content="OG description">
+    <meta property="og:image" content="/img/cover.png">
+    <meta property="og:site_name" content="Fixture">
+    <meta property="og:type" content="article">
+    <meta name="twitter:title" content="Twitter title">`)),
+  '/twitter': (req, res) => html(res, page(`
+    <meta name="twitter:title" content="Card title">
+    <meta name="twitter:description" content="Card description">
+    <meta name="twitter:image" content="https://cdn.example.com/card.jpg">
+    <meta name="twitter:creator" content="@someone">`)),
+  '/oembed': (req, res) => html(res, page(`
+    <title>Page title</title>
+    <link rel="alternate" type="application/json+oembed" href="/oembed.json?x=1">`)),
+  '/oembed.json': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ type: 'video', title: 'oEmbed title', author_name: 'Author', provider_name: 'Provider', thumbnail_url: '/thumb.jpg' }))
+  },
+  '/title-only': (req, res) => html(res, page('<title>\n  Just   a &#39;title&#39;\n</title>')),
+  '/redirect': (req, res) => { res.writeHead(302, { Location: '/og' }); res.end() },
+  '/redirect-private': (req, res) => { res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' }); res.end() },
+  '/slow': (req, res) => { res.writeHead(200, { 'Content-Type': 'text/html' }); res.write('<html><head>') }, // never ends
+  '/big': (req, res) => html(res, page('<meta property="og:title" content="Big page">', 'x'.repeat(2 * 1024 * 1024))),
+  '/gzip-bomb': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' })
+    res.end(zlib.gzipSync(Buffer.concat([Buffer.from(page('<meta property="og:title" content="Zipped">')), Buffer.alloc(8 * 1024 * 1024, 32)])))
+  },
+  '/json': (req, res) => { res.writeHead(200, { 'Content-Type': 'application/json' }); res.end('{}') },
+  '/missing': (req, res) => { res.writeHead(404); res.end() },
+}
+function html(res, body) {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+  res.end(body)
+}
+
+describe('link previews', () => {
+  let server, base
+  const sockets = new Set()
+  // the fixture lives on loopback, which the default address check refuses
+  const previewer = createLinkPreviewer({ timeoutMs: 2000, maxBytes: 64 * 1024, isAllowed: () => true })
+
+  before(async () => {
+    server = http.createServer((req, res) => (routes[new URL(req.url, 'http://x').pathname] || routes['/missing'])(req, res))
+    server.on('connection', (s) => { sockets.add(s); s.on('close', () => sockets.delete(s)) })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    base = `http://127.0.0.1:${server.address().port}`
+  })
+  after(async () => {
+    for (const s of sockets) s.destroy()
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  describe('parsing', () => {
+    it('reads OpenGraph tags first and resolves relative images', async () => {
+      const p = await previewer.buildPreview(`${base}/og`)
+      assert.equal(p.title, 'OG & title')
+      assert.equal(p.description, 'OG description')
+      assert.equal(p.image, `${base}/img/cover.png`)
+      assert.equal(p.siteName, 'Fixture')
+      assert.equal(p.type, 'article')
+      assert.equal(p.url, `${base}/og`)
+    })
+
+    it('falls back to Twitter-card tags', async () => {
+      const p = await previewer.buildPreview(`${base}/twitter`)
+      assert.equal(p.title, 'Card title')
+      assert.equal(p.description, 'Card description')
+      assert.equal(p.image, 'https://cdn.example.com/card.jpg')
+      assert.equal(p.author, '@someone')
+      assert.equal(p.siteName, '127.0.0.1')
+    })
+
+    it('follows the oEmbed discovery link', async () => {
+      const p = await previewer.buildPreview(`${base}/oembed`)
+      assert.equal(p.title, 'oEmbed title')
+      assert.equal(p.author, 'Author')
+      assert.equal(p.siteName, 'Provider')
+      assert.equal(p.type, 'video')
+      assert.equal(p.image, `${base}/thumb.jpg`)
+    })
+
+    it('uses <title> when there is nothing else', async () => {
+      const p = await previewer.buildPreview(`${base}/title-only`)
+      assert.equal(p.title, "Just a 'title'")
+      assert.equal(p.description, null)
+    })
+
+    it('follows redirects and reports the final url', async () => {
+      const p = await previewer.buildPreview(`${base}/redirect`)
+      assert.equal(p.title, 'OG & title')
+      assert.equal(p.url, `${base}/og`)
+    })
+
+    it('refuses non-HTML and error responses', async () => {
+      await assert.rejects(previewer.buildPreview(`${base}/json`), { status: 422, message: 'Not an HTML page' })
+      await assert.rejects(previewer.buildPreview(`${base}/missing`), { status: 422, message: 'Upstream answered 404' })
+    })
+
+    it('keeps the first <meta> of a name and the first oEmbed link', () => {
+      const { meta, oembed } = parseHtmlMeta(page(`
+        <meta name="description" content="one"><meta name="description" content="two">
+        <link rel="alternate" type="application/json+oembed" href="/a"><link rel="alternate" type="application/json+oembed" href="/b">`))
+      assert.equal(meta.description, 'one')
+      assert.equal(oembed, '/a')
+    })
+  })
+
+  describe('limits', () => {
+    it('gives up after timeoutMs', async () => {
+      const quick = createLinkPreviewer({ timeoutMs: 200, isAllowed: () => true })
+      const started = Date.now()
+      await assert.rejects(quick.buildPreview(`${base}/slow`), { status: 422, message: 'Timed out' })
+      assert.ok(Date.now() - started < 1500)
+    })
+
+    it('reads at most maxBytes and still parses the head', async () => {
+      const r = await previewer.fetchLimited(`${base}/big`, 'text/html')
+      assert.equal(r.body.length, 64 * 1024)
+      assert.equal((await previewer.buildPreview(`${base}/big`)).title, 'Big page')
+    })
+
+    it('caps the decompressed size of a compressed body', async () => {
+      const r = await previewer.fetchLimited(`${base}/gzip-bomb`, 'text/html')
+      assert.equal(r.body.length, 64 * 1024)
+      assert.equal((await previewer.buildPreview(`${base}/gzip-bomb`)).title, 'Zipped')
+    })
+  })
+
+  describe('address checks', () => {
+    const guarded = createLinkPreviewer({ timeoutMs: 2000 })
+
+    it('refuses loopback and private hosts by default', async () => {
+      const port = server.address().port
+      for (const url of [`${base}/og`, `http://localhost:${port}/og`, `http://[::1]:${port}/og`, 'http://10.0.0.1/', 'http://192.168.1.1/', 'http://169.254.169.254/']) {
+        await assert.rejects(guarded.buildPreview(url), { status: 400, message: 'URL not allowed' }, url)
+      }
+    })
+
+    it('re-checks every redirect target', async () => {
+      const loopbackOnly = createLinkPreviewer({ timeoutMs: 2000, isAllowed: (ip) => ip === '127.0.0.1' })
+      await assert.rejects(loopbackOnly.buildPreview(`${base}/redirect-private`), { status: 400, message: 'URL not allowed' })
+    })
+
+    it('classifies addresses', () => {
+      for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1']) {
+        assert.equal(isPublicAddress(ip), false, ip)
+      }
+      for (const ip of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']) assert.equal(isPublicAddress(ip), true, ip)
+    })
+
+    it('only takes http(s) links without credentials', () => {
+      assert.throws(() => normalizePreviewUrl('ftp://example.com/'), { status: 400 })
+      assert.throws(() => normalizePreviewUrl('http://user:pw@example.com/'), { status: 400, message: 'URL not allowed' })
+      assert.throws(() => normalizePreviewUrl('not a url'), { status: 400, message: 'Invalid url' })
+      assert.equal(normalizePreviewUrl('https://example.com/a#frag').href, 'https://example.com/a')
+    })
+  })
+
+  describe('chat helpers', () => {
+    it('finds the first link in a message', () => {
+      assert.equal(firstLink('see https://example.com/x and http://other.example').href, 'https://example.com/x')
+      assert.equal(firstLink('no links here'), null)
+      assert.equal(firstLink('http://user:pw@example.com'), null)
+    })
+
+    it('keeps only http(s) urls in stored previews', () => {
+      assert.equal(cleanPreview({ url: 'javascript:alert(1)', title: 'x' }), null)
+      assert.deepEqual(cleanPreview({ url: 'https://example.com', title: ' T ', image: 'data:image/png;base64,AA' }), {
+        url: 'https://example.com/', title: 'T', description: null, image: null, siteName: null, author: null, type: null,
+      })
+    })
+  })
+})
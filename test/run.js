@@ -0,0 +1,33 @@
+// test/run.js  (npm test: node --test over test/*.test.js, with a MongoDB to run against)
+// TEST_MONGO_URL points the suites at an existing deployment (the op log and multi-instance
+// suites need a replica set). Without it a single-node replica set is started in memory with
+// mongodb-memory-server, which downloads mongod on first use (MONGOMS_* variables apply, e.g.
+// MONGOMS_SYSTEM_BINARY=/usr/bin/mongod to use a local one). If neither is available the MongoDB
+// suites are skipped with the reason, or fail when TEST_REQUIRE_MONGO=1.
+import { spawn } from 'child_process'
+import { fileURLToPath } from 'url'
+import path from 'path'
+import fs from 'fs'
+
+const dir = path.dirname(fileURLToPath(import.meta.url))
+const files = fs.readdirSync(dir).filter(f => f.endsWith('.test.js')).sort().map(f => path.join(dir, f))
+const env = { ...process.env }
+
+let replSet = null
+if (!env.TEST_MONGO_URL) {
+  try {
+    const { MongoMemoryReplSet } = await import('mongodb-memory-server')
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } })
+    env.TEST_MONGO_URL = replSet.getUri()
+    console.log(`[test] in-memory replica set at ${env.TEST_MONGO_URL}`)
+  } catch (e) {
+    console.warn(`[test] could not start an in-memory MongoDB: ${e?.message || e}`)
+    if (env.TEST_REQUIRE_MONGO) process.exit(1)
+    console.warn('[test] MongoDB suites will be skipped (set TEST_MONGO_URL or MONGOMS_SYSTEM_BINARY)')
+  }
+}
+
+const child = spawn(process.execPath, ['--test', ...files], { env, stdio: 'inherit' })
+const code = await new Promise(resolve => child.on('exit', (c) => resolve(c ?? 1)))
+await replSet?.stop().catch(() => {})
+process.exit(code)